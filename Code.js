@@ -1,236 +1,1210 @@
 // Import functions (this is ignored in Google Apps Script)
-let extractNettoReceiptData;
 if (typeof require !== 'undefined') {
-  const { extractNettoReceiptData } = require("./src/extractNettoReceiptData");
+  var { getReceiptParsers, findReceiptParser, parseReceipt, buildReceiptSearchQuery } = require('./src/receiptParsers');
+  var { getSheetLayout } = require('./src/sheetLayout');
+  var { createSheetRepository } = require('./src/sheetRepository');
+  var {
+    createBackfillState,
+    buildBackfillQuery,
+    advanceBackfillState,
+    recordBackfillError,
+    hasTimeForPage,
+    summariseBackfill,
+  } = require('./src/backfill');
+  var { runStage, buildErrorRow } = require('./src/receiptErrors');
+  var {
+    createProductCatalogue,
+    resolveProductReviews,
+    applyReviewsToAliases,
+    retireMergedProducts,
+  } = require('./src/productCatalogue');
+  var { findPriceChanges, buildPriceChangeRow, buildPriceChangeDigest } = require('./src/priceChanges');
+  var { aggregateSpending, buildReportRows } = require('./src/spendingReport');
+  var { handleApiRequest } = require('./src/apiRoutes');
+  var { resolveReceiptUpload } = require('./src/manualUpload');
+  var { describeAddedRows, formatDryRunReport } = require('./src/dryRun');
+  var { parseSettings, buildRepositoryLayout, applySenderSettings } = require('./src/settings');
+  var { getSheetSchemas, planSpreadsheetSetup } = require('./src/schema');
+  var { readCategoryRules, categoriseLineItems, buildUncategorisedItemRows, recategoriseRows } = require('./src/categoryRules');
+  var { getScheduledTaskHandlers, planTriggers, describeSchedule, buildRunRow } = require('./src/triggers');
 }
 
-// Constants
-const purchaseIdColumnIndex = 0;
-const dateColumnIndex = 2;
-const totalPriceColumnIndex = 3;
-const storeIdColumnIndex = 4;
+// Constants (labels, sheet names, columns, senders and the currency are settings, see src/settings.js)
+const lockTimeoutMs = 30000;
+const backfillStateProperty = 'backfillState';
+const schemaVersionProperty = 'schemaVersion'; // Document property holding the schema version of the spreadsheet
+const backfillPageSize = 20;
+const backfillTimeBudgetMs = 4.5 * 60 * 1000; // Apps Script stops executions after 6 minutes
+const backfillPageEstimateMs = 60 * 1000;
+const backfillMaxConsecutiveErrors = 3; // Executions in a row that may fail before the backfill stops
+const scriptVersion = '2026.10.18'; // Release date of this version, recorded in the 'runs' sheet
+
+let settingsCache = null;
+let categoryRulesCache = null;
+
+/**
+ * Return the settings of this execution, read from the 'config' sheet and the script
+ * properties on first use (see `parseSettings`). Throws if the settings are invalid.
+ *
+ * @returns {object} The settings.
+ */
+function getSettings() {
+  if (!settingsCache) {
+    const configSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(getSheetLayout().config.name);
+    settingsCache = parseSettings(
+      configSheet ? configSheet.getDataRange().getValues() : [],
+      PropertiesService.getScriptProperties().getProperties()
+    );
+  }
+  return settingsCache;
+}
 
 /**
- * Process unread emails from Netto Marken-Discount or the Netto app
- * with the label 'kassenbons', extract receipt data, and add it to the Google Sheet.
+ * Return the category rules of this execution, read from the 'categoryRules' sheet on first use
+ * (see `readCategoryRules`). Invalid rules are logged and skipped, so they do not fail the import.
+ *
+ * @param {object} repository - The sheet repository of the current run (see `createSheetRepository`).
+ * @returns {Array<object>} The valid rules.
+ */
+function getCategoryRules(repository) {
+  if (!categoryRulesCache) {
+    const { rules, problems } = readCategoryRules(repository.getValues(getSheetLayout().categoryRules.name));
+    problems.forEach(problem => Logger.log(`Warning: skipping invalid category rule. ${problem}`));
+    categoryRulesCache = rules;
+  }
+  return categoryRulesCache;
+}
+
+/**
+ * Return the receipt parsers with the configured sender addresses.
+ *
+ * @returns {Array<object>} The parsers (see `getReceiptParsers`).
+ */
+function getConfiguredParsers() {
+  return applySenderSettings(getReceiptParsers(), getSettings());
+}
+
+/**
+ * Build the Gmail search query for the configured label and senders.
+ *
+ * @returns {string} The Gmail search query (see `buildReceiptSearchQuery`).
+ */
+function getReceiptSearchQuery() {
+  return buildReceiptSearchQuery(getSettings().receiptLabel, getConfiguredParsers());
+}
+
+/**
+ * Process unread emails from the senders of all registered receipt parsers
+ * with the configured receipt label ('kassenbons' by default), extract receipt data, and add it to the Google Sheet.
+ * The sheets are read once and written in one batch at the end of the run, under the script lock;
+ * messages are marked read only after their rows have been written.
+ * A run that starts while another one holds the lock is skipped rather than queued, so
+ * overlapping triggers never import the same messages twice. Every run is recorded in the 'runs' sheet.
  */
 function processEmailsAndAddToSheet() {
-  var searchQuery = '{from:nicht.antworten@reply.netto-online.de from:noreply@netto-app.de} label:kassenbons is:unread';
-  var threads = GmailApp.search(searchQuery);
+  withRunRecord('processEmailsAndAddToSheet', run => {
+    try {
+      const ran = tryWithScriptLock(() => {
+        var searchQuery = `${getReceiptSearchQuery()} is:unread`;
+        var threads = GmailApp.search(searchQuery);
+        Logger.log(`Found ${threads.length} threads to process`);
+        run.threads = threads.length;
+
+        const repository = openSheetRepository();
+        const results = processThreads(threads, repository);
+        Logger.log({ writtenRows: repository.flush() });
+        run.statuses = results.map(result => result.status);
+        markMessagesRead(getLoadedMessages(results));
+      });
+      if (!ran) {
+        run.outcome = 'skipped';
+        Logger.log('Another run is in progress, skipping this run');
+        return;
+      }
+      Logger.log('Email processing completed');
+    } catch (error) {
+      run.outcome = 'failed';
+      run.error = error;
+      Logger.log('Critical error in main function: ' + error.toString());
+    }
+  });
+}
+
+/**
+ * Schedule the time-driven triggers of the import, the spending report and the price change
+ * digest as configured by the `schedule.*` settings. Triggers installed before are replaced;
+ * with invalid settings they are kept as they are.
+ */
+function installTriggers() {
+  const plannedTriggers = planTriggers(getSettings());
+  deleteScheduledTaskTriggers();
+  plannedTriggers.forEach(trigger => {
+    let builder = ScriptApp.newTrigger(trigger.handler).timeBased();
+    builder = trigger.schedule.everyHours
+      ? builder.everyHours(trigger.schedule.everyHours)
+      : builder.everyDays(1).atHour(trigger.schedule.atHour);
+    builder.create();
+    Logger.log(`Scheduled ${trigger.handler} ${describeSchedule(trigger.schedule)}`);
+  });
+}
+
+/**
+ * Remove the triggers installed by `installTriggers`. Backfill triggers are left alone.
+ */
+function uninstallTriggers() {
+  const count = deleteScheduledTaskTriggers();
+  Logger.log(`Removed ${count} triggers`);
+}
+
+function deleteScheduledTaskTriggers() {
+  const handlers = getScheduledTaskHandlers();
+  const triggers = ScriptApp.getProjectTriggers()
+    .filter(trigger => handlers.includes(trigger.getHandlerFunction()));
+  triggers.forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  return triggers.length;
+}
 
+/**
+ * Run a task and record it in the 'runs' sheet (see `buildRunRow`).
+ * The callback may add counts and set the outcome on the run it is given; errors are recorded
+ * as a failed run and thrown again.
+ *
+ * @param {string} task - The name of the task, e.g. 'processEmailsAndAddToSheet'.
+ * @param {Function} callback - The task, called with the run.
+ * @returns {*} The return value of the callback.
+ */
+function withRunRecord(task, callback) {
+  const run = { task: task, startedAt: new Date(), outcome: 'completed' };
   try {
-    Logger.log(`Found ${threads.length} threads to process`);
-    processThreads(threads);
-    Logger.log('Email processing completed');
+    return callback(run);
   } catch (error) {
-    Logger.log('Critical error in main function: ' + error.toString());
+    run.outcome = 'failed';
+    run.error = error;
+    throw error;
+  } finally {
+    run.finishedAt = new Date();
+    recordRun(run);
+  }
+}
+
+/**
+ * Append a run to the 'runs' sheet, creating the sheet when missing.
+ * Recording is best effort: an error is logged rather than failing the run.
+ */
+function recordRun(run) {
+  try {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const runs = getSheetLayout().runs;
+    let sheet = spreadsheet.getSheetByName(runs.name);
+    if (!sheet) {
+      sheet = spreadsheet.insertSheet(runs.name);
+      sheet.appendRow(runs.header);
+    }
+    sheet.appendRow(buildRunRow(run, scriptVersion));
+  } catch (error) {
+    Logger.log(`Error recording run ${error.toString()}`);
+  }
+}
+
+/**
+ * Preview what `processEmailsAndAddToSheet` would import, without writing anything:
+ * the unread receipts are searched, parsed and matched against the stores and purchases in
+ * the sheets, but no rows are written, no labels are added and the messages stay unread.
+ * Logs one line per message with the store, purchase, line items and totals it would add.
+ *
+ * @returns {Array<object>} The previewed messages with their `subject`, `date`, `status` and
+ * `changes` (see `describeAddedRows`).
+ */
+function previewEmailImport() {
+  var searchQuery = `${getReceiptSearchQuery()} is:unread`;
+  var threads = GmailApp.search(searchQuery);
+  Logger.log(`Found ${threads.length} threads to preview`);
+
+  const repository = openSheetRepository({ dryRun: true });
+  const entries = processThreads(threads, repository, { dryRun: true }).map(result => ({
+    subject: result.message.getSubject(),
+    date: result.message.getDate(),
+    status: result.status,
+    changes: describeAddedRows(result.addedRows),
+  }));
+  Logger.log(formatDryRunReport(entries));
+  return entries;
+}
+
+/**
+ * Start a resumable import of all labelled receipts in a date range, read or unread.
+ * The backfill processes the matching threads page by page, saves its cursor in the
+ * script properties and schedules itself to continue before the execution time limit.
+ *
+ * @param {string|Date} after - The first day of the date range (inclusive).
+ * @param {string|Date} before - The day after the date range (exclusive).
+ */
+function startBackfill(after, before) {
+  const state = createBackfillState(after, before);
+  PropertiesService.getScriptProperties().setProperty(backfillStateProperty, JSON.stringify(state));
+  Logger.log(`Starting backfill from ${state.after} to ${state.before}`);
+  continueBackfill();
+}
+
+/**
+ * Continue the backfill from the saved cursor until it is complete or the time budget runs out.
+ * Runs from the time-driven trigger scheduled by the previous execution. After
+ * `backfillMaxConsecutiveErrors` executions in a row ended with an error, the backfill stops
+ * with the error in its saved state and fails the execution; run it again to resume.
+ */
+function continueBackfill() {
+  withRunRecord('continueBackfill', run => {
+    const startTime = Date.now();
+    const properties = PropertiesService.getScriptProperties();
+    const savedState = properties.getProperty(backfillStateProperty);
+    deleteBackfillTriggers();
+    if (!savedState) {
+      run.outcome = 'skipped';
+      Logger.log('No backfill in progress');
+      return;
+    }
+
+    let state = JSON.parse(savedState);
+    run.threads = 0;
+    run.statuses = [];
+
+    try {
+      // Reads the settings, whose errors count towards the failed executions as well
+      const searchQuery = buildBackfillQuery(getReceiptSearchQuery(), state);
+      while (hasTimeForPage(startTime, Date.now(), backfillTimeBudgetMs, backfillPageEstimateMs)) {
+        const threads = GmailApp.search(searchQuery, state.cursor, backfillPageSize);
+        if (threads.length === 0) {
+          properties.deleteProperty(backfillStateProperty);
+          Logger.log(summariseBackfill(state));
+          Logger.log('Backfill completed');
+          return;
+        }
+
+        const results = withScriptLock(() => {
+          const repository = openSheetRepository();
+          // Historical price moves are not news, so the backfill records no price changes
+          const results = processThreads(threads, repository, { skipPriceChanges: true });
+          repository.flush();
+          return results;
+        });
+        markMessagesRead(getLoadedMessages(results));
+
+        const statuses = results.map(result => result.status);
+        run.threads += threads.length;
+        run.statuses.push(...statuses);
+        state = advanceBackfillState(state, threads.length, statuses);
+        properties.setProperty(backfillStateProperty, JSON.stringify(state));
+      }
+    } catch (error) {
+      Logger.log('Critical error in backfill: ' + error.toString());
+      state = recordBackfillError(state, error);
+      properties.setProperty(backfillStateProperty, JSON.stringify(state));
+      if (state.consecutiveErrors >= backfillMaxConsecutiveErrors) {
+        Logger.log(`${summariseBackfill(state)} - stopped after ${state.consecutiveErrors} failed executions in a row`);
+        throw error;
+      }
+      run.outcome = 'failed';
+      run.error = error;
+    }
+
+    // Out of time (or interrupted): continue from the saved cursor in a new execution
+    ScriptApp.newTrigger('continueBackfill').timeBased().after(60 * 1000).create();
+    Logger.log(`${summariseBackfill(state)} - continuing in a new execution`);
+  });
+}
+
+/**
+ * Cancel a running backfill and log how far it got.
+ */
+function cancelBackfill() {
+  const properties = PropertiesService.getScriptProperties();
+  const savedState = properties.getProperty(backfillStateProperty);
+  deleteBackfillTriggers();
+  properties.deleteProperty(backfillStateProperty);
+  if (savedState) {
+    Logger.log(`${summariseBackfill(JSON.parse(savedState))} - cancelled`);
   }
+}
 
+function deleteBackfillTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'continueBackfill')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
 }
 
 /**
  * Process a collection of email threads
+ *
+ * @returns {Array<object>} The `{message, status}` results of all messages (see `processMessage`).
  */
-function processThreads(threads){
-    for (thread of threads) {
-      processThread(thread);
+function processThreads(threads, repository, options = {}){
+  const results = [];
+  for (const thread of threads) {
+    results.push(...processThread(thread, repository, options));
   }
+  return results;
 }
 
 /**
  * Process a singl email thread
+ *
+ * @param {object} [options] - Processing options.
+ * @param {boolean} [options.dryRun=false] - Whether to leave the thread unlabelled on errors.
+ * @param {boolean} [options.skipPriceChanges=false] - Whether to load receipts without recording
+ * their price changes (see `loadReceiptDataToSheet`).
+ * @returns {Array<object>} The `{message, status, addedRows}` results of the thread's messages
+ * (see `processMessage` and `getRowsAddedSince`).
  */
-function processThread(thread){
+function processThread(thread, repository, options = {}){
+  const results = [];
   try {
     var messages = thread.getMessages();
-    for (message of messages) {
-      processMessage(message);
+    for (const message of messages) {
+      const snapshot = repository.snapshot();
+      const status = processMessage(message, repository, options);
+      results.push({ message: message, status: status, addedRows: repository.getRowsAddedSince(snapshot) });
     }
   } catch (error) {
     Logger.log(`Error processing thread ${error.toString()}`);
     // mark problematic emails
-    thread.addLabel(GmailApp.getUserLabelByName('processing-error'));
+    if (!options.dryRun) {
+      thread.addLabel(getOrCreateLabel(getSettings().processingErrorLabel));
+    }
+  }
+  return results;
+}
+
+/**
+ * Retrieve a Gmail label, creating it if it does not exist yet.
+ */
+function getOrCreateLabel(name) {
+  return GmailApp.getUserLabelByName(name) || GmailApp.createLabel(name);
+}
+
+/**
+ * Select the messages whose receipts are in the sheets, i.e. those to mark as read.
+ *
+ * @param {Array<object>} results - The `{message, status}` results of `processThreads`.
+ * @returns {Array<GmailApp.GmailMessage>} The messages that were loaded now or before.
+ */
+function getLoadedMessages(results) {
+  return results
+    .filter(result => result.status === 'processed' || result.status === 'duplicate')
+    .map(result => result.message);
+}
+
+/**
+ * Mark messages as read, in chunks of the 100 messages GmailApp accepts per call.
+ */
+function markMessagesRead(messages) {
+  for (let i = 0; i < messages.length; i += 100) {
+    GmailApp.markMessagesRead(messages.slice(i, i + 100));
+  }
+}
+
+/**
+ * Process a single email message.
+ * Failures are logged and recorded in the 'errors' sheet with the failing stage.
+ *
+ * @param {GmailApp.GmailMessage} message - The receipt email.
+ * @param {object} repository - The sheet repository of the current run (see `createSheetRepository`).
+ * @param {object} [options] - Import options (see `importMessage`).
+ * @returns {string} 'processed' if the receipt was loaded, 'duplicate' if it had been loaded before,
+ * 'skipped' if no parser is registered for the email, or 'failed'.
+ */
+function processMessage(message, repository, options = {}){
+  try {
+    return importMessage(message, repository, options);
+  } catch (error) {
+    Logger.log(`Error processing message (stage: ${error.stage || 'unknown'}) ${error.toString()}`);
+    recordFailedMessage(repository, message, error);
+    return 'failed';
+  }
+}
+
+/**
+ * Import the receipt of a single email message into the repository.
+ * Errors are tagged with the failing stage ('content', 'split', 'address', 'line items', 'totals', 'parse' or 'load').
+ *
+ * @param {GmailApp.GmailMessage} message - The receipt email.
+ * @param {object} repository - The sheet repository of the current run (see `createSheetRepository`).
+ * @param {object} [options] - Import options.
+ * @param {boolean} [options.skipPriceChanges=false] - Whether to load the receipt without recording its price changes.
+ * @returns {string} 'processed', 'duplicate' or 'skipped' (see `processMessage`).
+ */
+function importMessage(message, repository, options = {}){
+  var date = message.getDate();
+  var subject = message.getSubject();
+  Logger.log(`Processing email: ${subject} from ${date}`);
+
+  var parser = findReceiptParser(message.getFrom(), subject, getConfiguredParsers());
+  if (!parser) {
+    Logger.log(`Skipping email ${subject}: no receipt parser registered for ${message.getFrom()}`);
+    return 'skipped';
+  }
+
+  var content = runStage('content', () => getReceiptContent(message, parser));
+  var data = extractReceiptData(parser, content);
+  if (data.totalMismatch) {
+    Logger.log(`Warning: line items of email ${subject} do not add up to the total ${data.total}`);
   }
+
+  const isNewPurchase = runStage('load', () => loadReceiptDataToSheet(repository, data, data.storeName, date, data.total, options));
+  Logger.log(`Sucessfully processed email ${subject}`);
+  return isNewPurchase ? 'processed' : 'duplicate';
 }
 
 /**
- * Process a single email message
+ * Record a failed message in the 'errors' sheet, once per message.
  */
-function processMessage(message){
+function recordFailedMessage(repository, message, error) {
   try {
-      var date = message.getDate();
-      var subject = message.getSubject();
-      Logger.log(`Processing email: ${subject} from ${date}`);
-
-      var body = message.getBody();
-      var data = extractReceiptData(body);
-      
-      if (data) {
-        loadReceiptDataToSheet(data, 'Netto Marken-Discount', date)
-        message.markRead();
-        Logger.log(`Sucessfully processed email ${subject}`);
+    const errors = getSheetLayout().errors;
+    const messageId = message.getId();
+    const isRecorded = repository.getValues(errors.name).slice(1)
+      .some(row => row[errors.columns.messageId] === messageId);
+    if (!isRecorded) {
+      repository.appendRow(errors.name, buildErrorRow({
+        id: messageId,
+        sender: message.getFrom(),
+        subject: message.getSubject(),
+        date: message.getDate(),
+      }, error, new Date()));
+    }
+  } catch (recordError) {
+    Logger.log(`Error recording failed message ${recordError.toString()}`);
+  }
+}
+
+/**
+ * Retry the messages recorded in the 'errors' sheet, e.g. after a parser fix.
+ * Rows of messages that now import successfully are removed; the others are updated with the new error.
+ * Messages no parser accepts any more (e.g. after changing the `senders.*` settings) are kept
+ * with the stage 'skipped'.
+ */
+function reprocessFailedMessages() {
+  withRunRecord('reprocessFailedMessages', run => withScriptLock(() => {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const errors = getSheetLayout().errors;
+    const errorsSheet = spreadsheet.getSheetByName(errors.name);
+    if (!errorsSheet || errorsSheet.getLastRow() < 2) {
+      run.outcome = 'skipped';
+      Logger.log('No failed messages to reprocess');
+      return;
+    }
+
+    const repository = openSheetRepository();
+    const [header, ...errorRows] = errorsSheet.getDataRange().getValues();
+    const remainingRows = [];
+    const loadedMessages = [];
+    let skippedCount = 0;
+
+    errorRows.forEach(row => {
+      const messageId = row[errors.columns.messageId];
+      const message = GmailApp.getMessageById(messageId);
+      if (!message) {
+        remainingRows.push(buildErrorRow({
+          id: messageId,
+          sender: row[errors.columns.sender],
+          subject: row[errors.columns.subject],
+          date: row[errors.columns.date],
+        }, Object.assign(new Error('Message not found'), { stage: 'content' }), new Date()));
+        return;
+      }
+
+      try {
+        const status = importMessage(message, repository);
+        if (status === 'skipped') {
+          remainingRows.push(buildErrorRow({
+            id: messageId,
+            sender: message.getFrom(),
+            subject: message.getSubject(),
+            date: message.getDate(),
+          }, Object.assign(new Error(`No receipt parser registered for ${message.getFrom()}`), { stage: 'skipped' }), new Date()));
+          skippedCount++;
+          return;
+        }
+        loadedMessages.push(message);
+      } catch (error) {
+        Logger.log(`Error reprocessing message ${messageId} (stage: ${error.stage || 'unknown'}) ${error.toString()}`);
+        remainingRows.push(buildErrorRow({
+          id: messageId,
+          sender: message.getFrom(),
+          subject: message.getSubject(),
+          date: message.getDate(),
+        }, error, new Date()));
       }
+    });
+
+    repository.flush();
+    markMessagesRead(loadedMessages);
+
+    // Rewrite the errors sheet with the messages that still fail
+    errorsSheet.getRange(2, 1, errorRows.length, header.length).clearContent();
+    if (remainingRows.length > 0) {
+      errorsSheet.getRange(2, 1, remainingRows.length, header.length).setValues(remainingRows);
+    }
+    run.statuses = Array(errorRows.length - remainingRows.length).fill('processed')
+      .concat(Array(skippedCount).fill('skipped'), Array(remainingRows.length - skippedCount).fill('failed'));
+    Logger.log(`Reprocessed ${errorRows.length} failed messages: ${errorRows.length - remainingRows.length} fixed, ` +
+      `${skippedCount} skipped, ${remainingRows.length - skippedCount} still failing`);
+  }));
+}
+
+/**
+ * Apply the decisions entered in the 'productReview' sheet (TRUE in 'sameProduct' merges the
+ * queued product into the candidate, FALSE keeps it separate). The aliases are remembered as
+ * confirmed, merged products are retired (see `retireMergedProducts`) and re-pointed in the 'priceLog'
+ * sheet, and decided rows leave the queue.
+ */
+function applyProductReviews() {
+  withScriptLock(() => {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const layout = getSheetLayout();
+    const reviewSheet = spreadsheet.getSheetByName(layout.productReview.name);
+    if (!reviewSheet || reviewSheet.getLastRow() < 2) {
+      Logger.log('No product matches to review');
+      return;
+    }
+
+    const [reviewHeader, ...reviewRows] = reviewSheet.getDataRange().getValues();
+    const { mergedProductIds, remainingRows } = resolveProductReviews(reviewRows);
+    const decidedProductIds = reviewRows.filter(row => !remainingRows.includes(row)).map(row => row[1]);
+    if (decidedProductIds.length === 0) {
+      Logger.log('No product matches decided yet');
+      return;
+    }
+
+    const aliasesSheet = spreadsheet.getSheetByName(layout.productAliases.name);
+    const [aliasHeader, ...aliasRows] = aliasesSheet.getDataRange().getValues();
+    if (aliasRows.length > 0) {
+      aliasesSheet.getRange(2, 1, aliasRows.length, aliasHeader.length)
+        .setValues(applyReviewsToAliases(aliasRows, decidedProductIds, mergedProductIds));
+    }
+
+    const productsSheet = spreadsheet.getSheetByName(layout.products.name);
+    const [productsHeader, ...productRows] = productsSheet.getDataRange().getValues();
+    if (Object.keys(mergedProductIds).length > 0 && productRows.length > 0) {
+      productsSheet.getRange(2, 1, productRows.length, productsHeader.length)
+        .setValues(retireMergedProducts(productRows, mergedProductIds));
+    }
+
+    const priceLogSheet = spreadsheet.getSheetByName(getSettings()['sheet.priceLog']);
+    if (Object.keys(mergedProductIds).length > 0 && priceLogSheet.getLastRow() > 1) {
+      const productIdRange = priceLogSheet.getRange(2, layout.priceLog.columns.productId + 1, priceLogSheet.getLastRow() - 1, 1);
+      productIdRange.setValues(productIdRange.getValues().map(([productId]) =>
+        [productId in mergedProductIds ? mergedProductIds[productId] : productId]));
+    }
+
+    reviewSheet.getRange(2, 1, reviewRows.length, reviewHeader.length).clearContent();
+    if (remainingRows.length > 0) {
+      reviewSheet.getRange(2, 1, remainingRows.length, reviewHeader.length).setValues(remainingRows);
+    }
+    Logger.log(`Applied ${decidedProductIds.length} product reviews: ${Object.keys(mergedProductIds).length} merged`);
+  });
+}
+
+/**
+ * Re-categorise all 'priceLog' rows with the current 'categoryRules', e.g. after editing the rules.
+ * Categories entered in the 'uncategorisedItems' sheet are first added as rules for their
+ * description; afterwards the sheet lists the products that still have no category.
+ */
+function recategorisePriceLog() {
+  withScriptLock(() => {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const layout = getSheetLayout();
+    const categoryColumn = layout.priceLog.columns.category;
+    const rulesSheet = spreadsheet.getSheetByName(layout.categoryRules.name);
+    const uncategorisedSheet = spreadsheet.getSheetByName(layout.uncategorisedItems.name);
+    const priceLogSheet = spreadsheet.getSheetByName(getSettings()['sheet.priceLog']);
+    const priceLogRows = priceLogSheet.getDataRange().getValues();
+    if (!rulesSheet || !uncategorisedSheet || priceLogRows[0][categoryColumn] !== 'category') {
+      throw new Error('Category sheets or the priceLog category column are missing, run setupSpreadsheet first');
+    }
+
+    const uncategorisedRows = uncategorisedSheet.getDataRange().getValues();
+    const result = recategoriseRows(
+      priceLogRows,
+      rulesSheet.getDataRange().getValues(),
+      uncategorisedRows,
+      new Date()
+    );
+
+    if (result.newRuleRows.length > 0) {
+      rulesSheet.getRange(rulesSheet.getLastRow() + 1, 1, result.newRuleRows.length, layout.categoryRules.header.length)
+        .setValues(result.newRuleRows);
+    }
+    if (result.categories.length > 0) {
+      priceLogSheet.getRange(2, categoryColumn + 1, result.categories.length, 1)
+        .setValues(result.categories.map(category => [category === null ? '' : category]));
+    }
+    if (uncategorisedRows.length > 1) {
+      uncategorisedSheet.getRange(2, 1, uncategorisedRows.length - 1, layout.uncategorisedItems.header.length).clearContent();
+    }
+    if (result.uncategorisedRows.length > 0) {
+      uncategorisedSheet.getRange(2, 1, result.uncategorisedRows.length, layout.uncategorisedItems.header.length)
+        .setValues(result.uncategorisedRows);
+    }
+    Logger.log(`Re-categorised priceLog: ${result.changedCount} rows changed, ${result.newRuleRows.length} rules added, ` +
+      `${result.uncategorisedRows.length} items without category`);
+  });
+}
+
+/**
+ * Rebuild the 'report' sheet from the 'purchases' and 'priceLog' sheets: monthly spend per store,
+ * average basket, top products with price trend sparklines and the spend per product category.
+ */
+function updateSpendingReport() {
+  withRunRecord('updateSpendingReport', () => {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const repository = openSheetRepository();
+    const aggregates = aggregateSpending({
+      purchases: repository.getValues("purchases"),
+      priceLog: repository.getValues("priceLog"),
+      stores: repository.getValues("stores"),
+      products: repository.getValues(getSheetLayout().products.name),
+    });
+    const rows = buildReportRows(aggregates, new Date());
+
+    const reportSheetName = getSheetLayout().report.name;
+    const reportSheet = spreadsheet.getSheetByName(reportSheetName) || spreadsheet.insertSheet(reportSheetName);
+    reportSheet.clear();
+    reportSheet.getRange(1, 1, rows.length, rows[0].length).setValues(rows);
+    Logger.log(`Updated spending report with ${aggregates.basket.purchases} purchases`);
+  });
+}
+
+/**
+ * Answer read-only JSON API requests to the web app (see `handleApiRequest` for the routes),
+ * e.g. '.../exec/purchases?from=2026-01-01&to=2026-01-31' or '.../exec?action=stores'.
+ * '.../exec/upload' serves the form for uploading a receipt manually (see `handleReceiptUpload`).
+ * Apps Script web apps always answer with HTTP 200, so the status is part of the JSON body;
+ * requests that fail, e.g. because a sheet is missing, are answered with status 500.
+ *
+ * @param {object} e - The web app request event.
+ * @returns {ContentService.TextOutput} The JSON response.
+ */
+function doGet(e) {
+  if ((e.pathInfo || (e.parameter || {}).action) === 'upload') {
+    return HtmlService.createHtmlOutputFromFile('Upload').setTitle('Upload receipt');
+  }
+
+  // A dry-run repository never creates sheets. Errors such as a missing sheet or invalid
+  // settings are answered as JSON too, rather than with the Apps Script error page
+  let response;
+  try {
+    const repository = openSheetRepository({ dryRun: true });
+    response = handleApiRequest(e.pathInfo, e.parameter || {}, repository.getValues);
   } catch (error) {
-    Logger.log(`Error processing message ${error.toString()}`);
+    Logger.log(`Error answering API request ${error.toString()}`);
+    response = { status: 500, error: error.message };
+  }
+  return ContentService.createTextOutput(JSON.stringify(response))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * Accept a manually uploaded receipt (see `handleReceiptUpload`), posted as form fields
+ * or as a JSON object. A body that is not a JSON object is answered with status 400.
+ *
+ * @param {object} e - The web app request event.
+ * @returns {ContentService.TextOutput} The JSON response.
+ */
+function doPost(e) {
+  let fields = e.parameter || {};
+  if (e.postData && e.postData.type === 'application/json') {
+    try {
+      fields = JSON.parse(e.postData.contents);
+    } catch (error) {
+      fields = null;
+    }
   }
+  const response = fields && typeof fields === 'object'
+    ? handleReceiptUpload(fields)
+    : { status: 400, error: 'The request body must be a JSON object' };
+  return ContentService.createTextOutput(JSON.stringify(response))
+    .setMimeType(ContentService.MimeType.JSON);
 }
 
 /**
- * Extract receipt data from email body with error handling
+ * Import a receipt that did not arrive by e-mail, e.g. a saved .eml or copied receipt HTML
+ * (see `resolveReceiptUpload` for the fields). The receipt goes through the same parsing and
+ * loading as e-mailed receipts; with `dryRun` it is only parsed and nothing is written.
+ * The upload form calls it through `uploadReceiptFromForm`.
+ *
+ * @param {object} fields - The upload form fields.
+ * @returns {object} The response: `status`, whether the receipt was `loaded` (false for duplicates
+ * and dry runs), the parsed `receipt`, or an `error` message with the failing `stage`. A dry run
+ * also returns the `changes` the import would make (see `describeAddedRows`).
  */
-function extractReceiptData(body) {
+function handleReceiptUpload(fields) {
   try {
-    var data = extractNettoReceiptData(body);
-    if (!data || Object.keys(data).length === 0) {
-      Logger.log('Warning: No receipt data extracted from email');
-      return null;
+    const upload = resolveReceiptUpload(fields, getConfiguredParsers());
+    const data = extractReceiptData(upload.parser, upload.content);
+    if (upload.dryRun) {
+      const repository = openSheetRepository({ dryRun: true });
+      const snapshot = repository.snapshot();
+      const isNewPurchase = runStage('load', () =>
+        loadReceiptDataToSheet(repository, data, data.storeName, upload.date || new Date(), data.total));
+      return {
+        status: 200,
+        dryRun: true,
+        loaded: false,
+        alreadyImported: !isNewPurchase,
+        changes: describeAddedRows(repository.getRowsAddedSince(snapshot)),
+        receipt: data,
+      };
+    }
+
+    const isNewPurchase = withScriptLock(() => {
+      const repository = openSheetRepository();
+      const loaded = runStage('load', () =>
+        loadReceiptDataToSheet(repository, data, data.storeName, upload.date || new Date(), data.total));
+      repository.flush();
+      return loaded;
+    });
+    return { status: 200, dryRun: false, loaded: isNewPurchase, receipt: data };
+  } catch (error) {
+    if (error.status) {
+      return { status: error.status, error: error.message };
     }
-    return data;
+    Logger.log(`Error importing uploaded receipt (stage: ${error.stage || 'unknown'}) ${error.toString()}`);
+    return { status: 422, error: error.message, stage: error.stage || null };
+  }
+}
+
+/**
+ * Handle an upload from the form served by `doGet`. `google.script.run` cannot return dates,
+ * so the response is passed back as JSON text.
+ *
+ * @param {object} fields - The upload form fields.
+ * @returns {string} The response of `handleReceiptUpload` as JSON.
+ */
+function uploadReceiptFromForm(fields) {
+  return JSON.stringify(handleReceiptUpload(fields));
+}
+
+/**
+ * Create the missing sheets with their headers, apply the schema migrations newer than the
+ * spreadsheet's schema version (kept in the document properties) and set frozen header rows
+ * and data validation on all sheets. Safe to run again, e.g. after updating the script.
+ */
+function setupSpreadsheet() {
+  withScriptLock(() => {
+    const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+    const documentProperties = PropertiesService.getDocumentProperties();
+    const sheetNames = buildRepositoryLayout(getSettings()).sheetNames;
+    const getSheet = sheetName => spreadsheet.getSheetByName(sheetNames[sheetName] || sheetName);
+    const schemas = getSheetSchemas();
+
+    const headers = {};
+    schemas.forEach(schema => {
+      const sheet = getSheet(schema.sheetName);
+      headers[schema.sheetName] = sheet && sheet.getLastColumn() > 0
+        ? sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0]
+        : null;
+    });
+    const schemaVersion = Number(documentProperties.getProperty(schemaVersionProperty) || 0);
+    const plan = planSpreadsheetSetup(headers, schemaVersion, schemas);
+
+    plan.createSheets.forEach(schema => {
+      const sheetName = sheetNames[schema.sheetName] || schema.sheetName;
+      const sheet = getSheet(schema.sheetName) || spreadsheet.insertSheet(sheetName);
+      sheet.getRange(1, 1, 1, schema.header.length).setValues([schema.header]);
+      if (schema.initialRows) {
+        sheet.getRange(2, 1, schema.initialRows.length, schema.header.length).setValues(schema.initialRows);
+      }
+      Logger.log(`Created sheet ${sheetName}`);
+    });
+    plan.insertColumns.forEach(step => {
+      const sheet = getSheet(step.sheetName);
+      sheet.insertColumnsAfter(step.afterColumn, step.headers.length);
+      sheet.getRange(1, step.afterColumn + 1, 1, step.headers.length).setValues([step.headers]);
+      Logger.log(`Migration ${step.version}: added ${step.headers.join(', ')} to ${sheet.getName()}`);
+    });
+    plan.skipped.forEach(migration => Logger.log(`Skipped migration ${migration}`));
+
+    schemas.forEach(schema => applySheetFormat(getSheet(schema.sheetName), schema));
+    documentProperties.setProperty(schemaVersionProperty, String(plan.targetVersion));
+    Logger.log(`Spreadsheet schema version ${plan.targetVersion}`);
+  });
+}
+
+/**
+ * Freeze the header rows of a sheet and set the data validation of its columns.
+ * Invalid values are flagged, not rejected, so imports never fail on validation.
+ *
+ * @param {SpreadsheetApp.Sheet} sheet - The sheet.
+ * @param {object} schema - The schema of the sheet (see `getSheetSchemas`).
+ */
+function applySheetFormat(sheet, schema) {
+  sheet.setFrozenRows(schema.frozenRows);
+  const header = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+
+  schema.validations.forEach(validation => {
+    const columnIndex = header.indexOf(validation.column);
+    if (columnIndex === -1 || sheet.getMaxRows() < 2) {
+      return;
+    }
+
+    const builder = SpreadsheetApp.newDataValidation().setAllowInvalid(true);
+    if (validation.type === 'list') {
+      builder.requireValueInList(validation.values, true);
+    } else if (validation.type === 'date') {
+      builder.requireDate();
+    } else if (validation.type === 'checkbox') {
+      builder.requireCheckbox();
+    }
+    sheet.getRange(2, columnIndex + 1, sheet.getMaxRows() - 1, 1).setDataValidation(builder.build());
+  });
+}
+
+/**
+ * Open the sheet repository of a run on the active spreadsheet.
+ *
+ * @param {object} [options] - Repository options, e.g. `{dryRun: true}` (see `createSheetRepository`).
+ */
+function openSheetRepository(options = {}) {
+  const layout = getSheetLayout();
+  const headers = {};
+  ['errors', 'products', 'productAliases', 'productReview', 'priceChanges', 'categoryRules', 'uncategorisedItems']
+    .forEach(sheet => {
+      headers[layout[sheet].name] = layout[sheet].header;
+    });
+  return createSheetRepository(SpreadsheetApp.getActiveSpreadsheet(), headers,
+    { ...buildRepositoryLayout(getSettings()), ...options });
+}
+
+/**
+ * Read the receipt content of an email in the form the parser expects.
+ *
+ * @param {GmailApp.GmailMessage} message - The receipt email.
+ * @param {object} parser - The receipt parser selected by `findReceiptParser`.
+ * @returns {string} The HTML body, or the text of the PDF attachment for 'pdfAttachment' parsers.
+ */
+function getReceiptContent(message, parser) {
+  if (parser.source !== 'pdfAttachment') {
+    return message.getBody();
+  }
+
+  const pdfAttachment = message.getAttachments().find(attachment => attachment.getContentType() === 'application/pdf');
+  if (!pdfAttachment) {
+    throw new Error(`No PDF attachment found in email ${message.getSubject()}`);
+  }
+  return extractPdfText(pdfAttachment);
+}
+
+/**
+ * Extract the text of a PDF by converting it to a temporary Google Doc.
+ * Requires the Drive advanced service (v3).
+ *
+ * @param {GmailApp.GmailAttachment} attachment - The PDF attachment.
+ * @returns {string} The text content of the PDF.
+ */
+function extractPdfText(attachment) {
+  const resource = { name: attachment.getName(), mimeType: MimeType.GOOGLE_DOCS };
+  const file = Drive.Files.create(resource, attachment.copyBlob(), { ocrLanguage: 'de' });
+  try {
+    return DocumentApp.openById(file.id).getBody().getText();
+  } finally {
+    Drive.Files.remove(file.id);
+  }
+}
+
+/**
+ * Extract receipt data from email content with error handling
+ *
+ * @param {object} parser - The receipt parser selected by `findReceiptParser`.
+ * @param {string} content - The content of the receipt email as returned by `getReceiptContent`.
+ * @returns {object} The receipt data including the parser's store name.
+ * @throws {Error} If the parser fails or extracts nothing, tagged with the failing stage.
+ */
+function extractReceiptData(parser, content) {
+  try {
+    return runStage('parse', () => {
+      var data = parseReceipt(parser, content);
+      if (!data) {
+        throw new Error('No receipt data extracted from email');
+      }
+      return data;
+    });
   } catch (error) {
     Logger.log(`Error extracting receipt data: ${error.toString()}`);
-    return null;
+    throw error;
   }
 }
 
 /**
  * Orchestrate the loading of receipt data into the Google Sheet.
  * Retrieve or creates the store and purchase IDs, then loads the line items.
+ * Receipts that were already loaded are skipped, so reprocessing a mailbox is idempotent.
  *
+ * @param {object} repository - The sheet repository of the current run (see `createSheetRepository`).
  * @param {object} data - An object containing the extracted receipt data.
  * @param {string} data.storeAddress - The address of the store.
  * @param {Array<object>} data.lineItems - An array of line item objects.
+ * @param {number|null} [data.total] - The total stated on the receipt, if the parser extracts it.
+ * @param {string|null} [data.receiptNumber] - The receipt/transaction number, if the parser extracts it.
+ * @param {Date|null} [data.purchaseDate] - The timestamp printed on the receipt; takes precedence over `date`.
  * @param {string} storeName - The name of the store.
  * @param {string|Date} date - The date of the purchase (can be a string that `new Date()` can parse or a Date object).
  * @param {number} totalPrice - The total price of the purchase.
+ * @param {object} [options] - Load options.
+ * @param {boolean} [options.skipPriceChanges=false] - Whether to leave the price changes of the purchase
+ * unrecorded, e.g. for receipts loaded by a backfill.
+ * @returns {boolean} True if the purchase was added, false if it had been loaded before.
  */
-function loadReceiptDataToSheet(data, storeName, date, totalPrice) {
-  const storeId = getStoreId(storeName, data);
-  const purchaseId = getPurchaseId(storeId, date, totalPrice)
-  loadLineItems(purchaseId, data);
+function loadReceiptDataToSheet(repository, data, storeName, date, totalPrice, options = {}) {
+  const storeId = getStoreId(repository, storeName, data);
+  const purchase = {
+    storeId: storeId,
+    purchaseDate: new Date(data.purchaseDate || date),
+    emailDate: new Date(date),
+    totalPrice: totalPrice,
+    receiptNumber: data.receiptNumber || null,
+  };
+
+  const existingPurchaseId = repository.findPurchaseId(purchase);
+  if (existingPurchaseId) {
+    Logger.log(`Skipping receipt already loaded as purchase ID: ${existingPurchaseId}`);
+    return false;
+  }
+
+  const purchaseId = getPurchaseId(repository, purchase);
+  loadLineItems(repository, purchaseId, data);
+  if (!options.skipPriceChanges) {
+    recordPriceChanges(repository, purchaseId);
+  }
+  return true;
+}
+
+/**
+ * Record the unit prices of a purchase that changed beyond the `priceChangeThreshold` setting
+ * in the 'priceChanges' sheet, where `sendPriceChangeDigest` picks them up.
+ *
+ * @param {object} repository - The sheet repository of the current run (see `createSheetRepository`).
+ * @param {string|number} purchaseId - The ID of the purchase whose line items were just loaded.
+ */
+function recordPriceChanges(repository, purchaseId) {
+  const changes = findPriceChanges(
+    repository.getValues("priceLog"),
+    repository.getValues("purchases"),
+    purchaseId,
+    getSettings().priceChangeThreshold
+  );
+  const detectedAt = new Date();
+  changes.forEach(change => {
+    repository.appendRow(getSheetLayout().priceChanges.name, buildPriceChangeRow(change, purchaseId, detectedAt));
+  });
+  if (changes.length > 0) {
+    Logger.log(`Recorded ${changes.length} price changes for purchase ID: ${purchaseId}`);
+  }
+}
+
+/**
+ * Send the price changes recorded since the last digest to the script owner in one e-mail
+ * and mark them as notified. Meant to run once a day from a time-driven trigger (see `installTriggers`).
+ */
+function sendPriceChangeDigest() {
+  withRunRecord('sendPriceChangeDigest', () => withScriptLock(() => {
+    const priceChanges = getSheetLayout().priceChanges;
+    const notifiedAtColumn = priceChanges.columns.notifiedAt;
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(priceChanges.name);
+    if (!sheet || sheet.getLastRow() < 2) {
+      Logger.log('No price changes recorded');
+      return;
+    }
+
+    const [header, ...rows] = sheet.getDataRange().getValues();
+    const pendingRows = rows.filter(row => row[notifiedAtColumn] === '');
+    if (pendingRows.length === 0) {
+      Logger.log('No new price changes');
+      return;
+    }
+
+    const digest = buildPriceChangeDigest(pendingRows, getSettings().currency);
+    GmailApp.sendEmail(Session.getEffectiveUser().getEmail(), digest.subject, digest.body);
+
+    const notifiedAt = new Date();
+    const notifiedRows = rows.map(row => pendingRows.includes(row)
+      ? row.map((value, i) => i === notifiedAtColumn ? notifiedAt : value)
+      : row);
+    sheet.getRange(2, 1, notifiedRows.length, header.length).setValues(notifiedRows);
+    Logger.log(`Sent digest of ${pendingRows.length} price changes`);
+  }));
 }
 
 /**
  * Retrieve the ID of an existing store or creates a new one in the 'stores' sheet.
- * Check for duplicates based on store name and address.
+ * Check for duplicates based on the store name and normalised address (see `buildStoreKey`).
+ * New stores are geocoded when the `geocodeStores` setting is on.
  *
+ * @param {object} repository - The sheet repository of the current run (see `createSheetRepository`).
  * @param {string} storeName - The name of the store.
  * @param {object} data - An object containing the extracted receipt data.
  * @param {string} data.storeAddress - The address of the store.
- * @returns {string|number|null|undefined} The ID of the existing or newly created store,
- * or null/undefined if an issue occurs.
- */
-function getStoreId(storeName, data){
-  // check if store exists in db
-  // if store does not exits, create one
-  // else retrieve store id
-
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const storesSheet = ss.getSheetByName("stores");
-  const storesData = storesSheet.getDataRange().getValues(); // Assuming headers in first row
-  const storeAddresses = storesData.map(row => row[2]).slice(1); // Extract addresses, skip header
-
-  let storeId;
-  Logger.log(storesData)
-  const existingStoreIndex = storeAddresses.indexOf(data.storeAddress);
-
-  if (existingStoreIndex === -1) {
-    // Store doesn't exist, create a new one
-    // const nextStoreId = // Logic to determine the next unique store ID (e.g., incrementing the last ID)
-    storesSheet.appendRow([null, storeName, data.storeAddress /*, other store details if you have them */]);
-    storeId = getLastRowData(storesData)[0];
-  } else {
-    // Store exists, retrieve its ID
-    storeId = storesData[existingStoreIndex + 1][0]; // Assuming storeId is in the first column
-  }
+ * @returns {number} The ID of the existing or newly created store.
+ */
+function getStoreId(repository, storeName, data){
+  const geocode = getSettings().geocodeStores ? geocodeStoreAddress : null;
+  const storeId = repository.getOrAddStore(storeName, data.storeAddress, geocode);
   Logger.log({ storeId: storeId });
-
   return storeId
 }
 
 /**
- * Retrieve the ID of an existing purchase or creates a new one in the 'purchases' sheet.
- * Check for duplicates based on store ID, date, and total price.
+ * Look up the location of a store address with the Maps geocoder.
+ * A failed lookup is logged and leaves the location empty rather than failing the import.
  *
- * @param {string} storeId - The ID of the store where the purchase was made.
- * @param {string|Date} date - The date of the purchase (can be a string that `new Date()` can parse or a Date object).
- * @param {number} totalPrice - The total price of the purchase.
- * @returns {string} The ID of the existing or newly created purchase.
+ * @param {string} storeAddress - The address of the store.
+ * @returns {object|null} The `latitude` and `longitude`, or null if the address was not found.
  */
-function getPurchaseId(storeId, date, totalPrice) {
-  const purchaseDate = new Date(date); // Convert the date string to a Date object
-  var purchaseId = findMatchingPurchaseId(getPurchaseData(), storeId, purchaseDate, 0)
-
-  if (purchaseId){
-    return purchaseId;
+function geocodeStoreAddress(storeAddress) {
+  try {
+    const response = Maps.newGeocoder().setRegion('de').setLanguage('de').geocode(storeAddress);
+    if (response.status !== 'OK' || response.results.length === 0) {
+      Logger.log(`Could not geocode store address '${storeAddress}': ${response.status}`);
+      return null;
+    }
+    const location = response.results[0].geometry.location;
+    return { latitude: location.lat, longitude: location.lng };
+  } catch (error) {
+    Logger.log(`Could not geocode store address '${storeAddress}': ${error.message}`);
+    return null;
   }
-
-  // Purchase not found, create a new one
-  purchasesSheet.appendRow([null, null, purchaseDate, totalPrice, storeId]);
-  purchasesData = purchasesSheet.getDataRange().getValues(); // Assuming headers
-  purchaseId = getLastRowData(getPurchaseData())[purchaseIdColumnIndex];
-  return purchaseId;
-}
-
-function getPurchaseData() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const purchasesSheet = ss.getSheetByName("purchases");
-  const purchasesData = purchasesSheet.getDataRange().getValues(); // Assuming headers
-  return purchasesData
 }
 
-function findMatchingPurchaseId(purchasesData, storeId, purchaseDate, totalPrice) {
-  // Skip header row (index 0)
-  for (let i = 1; i < purchasesData.length; i++) {
-    const row = purchasesData[i];
-    const existingDate = new Date(row[dateColumnIndex]);
-    
-    const isMatchingStore = row[storeIdColumnIndex] === storeId;
-    const isMatchingDate = existingDate.toString() === purchaseDate.toString();
-    // const isMatchingPrice = Math.abs(parseFloat(row[totalPriceColumnIndex]) - totalPrice) < 0.001;
-    const isMatchingPrice = true
-    
-    if (isMatchingStore && isMatchingDate && isMatchingPrice) {
-      return row[purchaseIdColumnIndex];
-    }
-  }
-  
-  return null; // No matching purchase found
+/**
+ * Retrieve the ID of an existing purchase or creates a new one in the 'purchases' sheet.
+ * Check for duplicates based on store ID, receipt number, date, and total price (see `findMatchingPurchaseId`).
+ *
+ * @param {object} repository - The sheet repository of the current run (see `createSheetRepository`).
+ * @param {object} purchase - The purchase.
+ * @param {string|number} purchase.storeId - The ID of the store where the purchase was made.
+ * @param {Date} purchase.purchaseDate - The date of the purchase.
+ * @param {Date} purchase.emailDate - The date of the e-mail the receipt came with.
+ * @param {number} purchase.totalPrice - The total price of the purchase.
+ * @param {string|null} purchase.receiptNumber - The receipt/transaction number of the purchase.
+ * @returns {number} The ID of the existing or newly created purchase.
+ */
+function getPurchaseId(repository, purchase) {
+  return repository.findPurchaseId(purchase) || repository.addPurchase(purchase);
 }
 
 /**
  * Load line item data into the 'priceLog' sheet.
+ * Product rows get the ID of their product in the catalogue (see `createProductCatalogue`) and
+ * every row the category of the 'categoryRules' (see `categoriseLineItems`). Products without a
+ * category are added to the 'uncategorisedItems' sheet for review.
  *
+ * @param {object} repository - The sheet repository of the current run (see `createSheetRepository`).
  * @param {string} purchaseId - The ID of the purchase to associate with these line items.
  * @param {object} data - An object containing the extracted receipt data.
  * @param {Array<object>} data.lineItems - An array of line item objects.
- * @param {string} data.lineItems[].itemDescription - The description of the item.
- * @param {number} data.lineItems[].quantity - The quantity of the item.
- * @param {string|null} data.lineItems[].unit - The unit of the item (e.g., 'kg', 'pcs').
+ * @param {string} data.lineItems[].description - The description of the item.
+ * @param {string|null} data.lineItems[].details - The raw detail row of the item.
+ * @param {number|null} data.lineItems[].quantity - The quantity of the item in its normalised unit.
+ * @param {string|null} data.lineItems[].unit - The normalised unit of the item ('kg', 'l' or 'Stück').
  * @param {number|null} data.lineItems[].unitPrice - The price per unit of the item.
- * @param {string} data.lineItems[].currency - The currency of the price (e.g., 'EUR').
  * @param {number} data.lineItems[].totalPrice - The total price of the line item.
+ * @param {string} data.lineItems[].type - 'product', 'discount', 'deposit' or 'deposit_return'.
+ * @param {number} data.lineItems[].lineNumber - The position of the item on the receipt.
+ * @param {number|null} data.lineItems[].appliesToLine - For discounts, the line number of the discounted product.
+ * @param {number|null} data.lineItems[].effectivePrice - For products, the price paid after discounts.
  */
-function loadLineItems(purchaseId, data) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const priceLogSheet = ss.getSheetByName("priceLog");
+function loadLineItems(repository, purchaseId, data) {
   const lineItems = data.lineItems;
+  const currency = getSettings().currency;
+  const catalogue = createProductCatalogue(repository);
+  const layout = getSheetLayout();
+  const { categories, unmatched } = categoriseLineItems(lineItems, getCategoryRules(repository));
+
+  lineItems.forEach((item, i) => {
+    // Discounts and deposits are not products of their own
+    const productId = item.type === 'product' ? catalogue.resolve(item.description).productId : null;
 
-  lineItems.forEach(item => {
-    priceLogSheet.appendRow([
+    repository.appendRow("priceLog", [
       item.description,
       item.details,
-      null, // item.quantity,
-      null, // item.unit,
-      null, //item.unitPrice,
-      'EUR',
+      item.quantity,
+      item.unit,
+      item.unitPrice,
+      currency,
       item.totalPrice,
       purchaseId,
+      item.type,
+      item.lineNumber,
+      item.appliesToLine,
+      item.effectivePrice,
+      productId,
+      categories[i],
       // ... other columns in your priceLog
     ]);
   });
+  buildUncategorisedItemRows(repository.getValues(layout.uncategorisedItems.name), unmatched, new Date())
+    .forEach(row => repository.appendRow(layout.uncategorisedItems.name, row));
   Logger.log(`Loaded ${lineItems.length} items for purchase ID: ${purchaseId}`);
 }
 
-function getLastRowData(sheetData){
-  return sheetData[sheetData.length -1]
+/**
+ * Run a callback while holding the script lock.
+ * Serialises runs of concurrent triggers, whose repositories allocate IDs in memory.
+ *
+ * @param {Function} callback - The function to run.
+ * @returns {*} The return value of the callback.
+ */
+function withScriptLock(callback) {
+  const lock = LockService.getScriptLock();
+  lock.waitLock(lockTimeoutMs);
+  try {
+    return callback();
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Run a callback while holding the script lock, unless another run holds it.
+ * Unlike `withScriptLock` it does not wait, so a scheduled run that overlaps the previous one is dropped.
+ *
+ * @param {Function} callback - The function to run.
+ * @returns {boolean} Whether the callback ran.
+ */
+function tryWithScriptLock(callback) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(0)) {
+    return false;
+  }
+  try {
+    callback();
+    return true;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = {
+    processEmailsAndAddToSheet,
+    previewEmailImport,
+    reprocessFailedMessages,
+    startBackfill,
+    continueBackfill,
+    applyProductReviews,
+    recategorisePriceLog,
+    updateSpendingReport,
+    sendPriceChangeDigest,
+    setupSpreadsheet,
+    installTriggers,
+    uninstallTriggers,
+    doGet,
+    doPost,
+    handleReceiptUpload,
+    openSheetRepository,
+    loadReceiptDataToSheet,
+    getStoreId,
+    getPurchaseId,
+    loadLineItems,
+  };
 }
@@ -0,0 +1,175 @@
+// Import functions (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { getSheetLayout } = require('./sheetLayout');
+}
+
+/**
+ * Return the routes of the read-only JSON API by name.
+ * Each route takes the request parameters and a function returning the values of a sheet
+ * (including the header row), and returns the response data or throws an error from `apiError`.
+ *
+ * @returns {Object<string, Function>} The routes.
+ */
+function getApiRoutes() {
+  const layout = getSheetLayout();
+  const purchaseColumns = layout.purchases.columns;
+  const priceLogColumns = layout.priceLog.columns;
+  return {
+    stores: (parameters, getValues) => ({
+      stores: getValues('stores').slice(1).map(row => ({ storeId: row[0], name: row[1], address: row[2] })),
+    }),
+
+    purchases: (parameters, getValues) => {
+      const from = parseDateParameter(parameters, 'from');
+      const to = parseDateParameter(parameters, 'to');
+      const storeId = parameters.storeId;
+      const purchases = getValues('purchases').slice(1)
+        .filter(row => {
+          const date = new Date(row[purchaseColumns.date]);
+          return (!from || date >= from) &&
+            (!to || date < new Date(to.getFullYear(), to.getMonth(), to.getDate() + 1)) &&
+            (storeId === undefined || String(row[purchaseColumns.storeId]) === String(storeId));
+        })
+        .map(toPurchaseResponse);
+      return { purchases: purchases };
+    },
+
+    purchase: (parameters, getValues) => {
+      const purchaseId = requireParameter(parameters, 'id');
+      const row = getValues('purchases').slice(1).find(r => String(r[purchaseColumns.purchaseId]) === purchaseId);
+      if (!row) {
+        throw apiError(404, `Purchase ${purchaseId} not found`);
+      }
+
+      const lineItems = getValues('priceLog').slice(1)
+        .filter(r => String(r[priceLogColumns.purchaseId]) === purchaseId)
+        .map(toLineItemResponse);
+      return { purchase: { ...toPurchaseResponse(row), lineItems: lineItems } };
+    },
+
+    priceHistory: (parameters, getValues) => {
+      const productId = requireParameter(parameters, 'productId');
+      const product = getValues(layout.products.name).slice(1).find(row => String(row[0]) === productId);
+      if (!product) {
+        throw apiError(404, `Product ${productId} not found`);
+      }
+
+      const purchases = {};
+      getValues('purchases').slice(1).forEach(row => {
+        purchases[row[purchaseColumns.purchaseId]] = row;
+      });
+      // Prices of purchases without a valid date cannot be placed in the history and are left out
+      const prices = getValues('priceLog').slice(1)
+        .filter(row => String(row[priceLogColumns.productId]) === productId && purchases[row[priceLogColumns.purchaseId]] &&
+          toIsoDate(purchases[row[priceLogColumns.purchaseId]][purchaseColumns.date]) !== null)
+        .map(row => {
+          const purchase = purchases[row[priceLogColumns.purchaseId]];
+          const lineItem = toLineItemResponse(row);
+          return {
+            date: toIsoDate(purchase[purchaseColumns.date]),
+            storeId: purchase[purchaseColumns.storeId],
+            purchaseId: lineItem.purchaseId,
+            description: lineItem.description,
+            quantity: lineItem.quantity,
+            unit: lineItem.unit,
+            unitPrice: lineItem.unitPrice,
+            totalPrice: lineItem.totalPrice,
+            effectivePrice: lineItem.effectivePrice,
+          };
+        })
+        .sort((a, b) => a.date.localeCompare(b.date));
+      return { product: { productId: product[0], name: product[1], category: product[3] || null }, prices: prices };
+    },
+  };
+}
+
+/**
+ * Handle a request to the JSON API.
+ * The route is the path after the web app URL (e.g. '.../exec/stores') or the `action`
+ * or `path` parameter (e.g. '...?action=stores').
+ *
+ * @param {string|null} route - The name of the route.
+ * @param {Object<string, string>} parameters - The request parameters.
+ * @param {Function} getValues - Returns the values of a sheet by name, including the header row.
+ * @returns {object} The response: `status` (200, 400 or 404) and the route's data or an `error` message.
+ */
+function handleApiRequest(route, parameters, getValues) {
+  const routeName = (route || parameters.action || parameters.path || '').replace(/^\/+|\/+$/g, '');
+  const routes = getApiRoutes();
+  try {
+    if (!Object.prototype.hasOwnProperty.call(routes, routeName)) {
+      throw apiError(404, `Unknown route '${routeName}', expected one of: ${Object.keys(routes).join(', ')}`);
+    }
+    return { status: 200, ...routes[routeName](parameters, getValues) };
+  } catch (error) {
+    if (!error.status) {
+      throw error;
+    }
+    return { status: error.status, error: error.message };
+  }
+}
+
+/**
+ * Create an error answered with an HTTP-like status instead of failing the request.
+ *
+ * @param {number} status - The status, e.g. 400 or 404.
+ * @param {string} message - The error message.
+ * @returns {Error} The error.
+ */
+function apiError(status, message) {
+  return Object.assign(new Error(message), { status: status });
+}
+
+function requireParameter(parameters, name) {
+  if (parameters[name] === undefined || parameters[name] === '') {
+    throw apiError(400, `Missing parameter '${name}'`);
+  }
+  return String(parameters[name]);
+}
+
+function parseDateParameter(parameters, name) {
+  if (parameters[name] === undefined || parameters[name] === '') {
+    return null;
+  }
+  const match = String(parameters[name]).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) {
+    throw apiError(400, `Parameter '${name}' must be a date like 2026-01-31`);
+  }
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+function toPurchaseResponse(row) {
+  const purchaseColumns = getSheetLayout().purchases.columns;
+  return {
+    purchaseId: row[purchaseColumns.purchaseId],
+    date: toIsoDate(row[purchaseColumns.date]),
+    totalPrice: row[purchaseColumns.totalPrice] === '' ? null : row[purchaseColumns.totalPrice],
+    storeId: row[purchaseColumns.storeId],
+    receiptNumber: row[purchaseColumns.receiptNumber] || null,
+  };
+}
+
+/**
+ * Format a date cell as ISO 8601; blank cells and text that is not a date give null.
+ */
+function toIsoDate(value) {
+  if (value === '' || value === null || value === undefined) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function toLineItemResponse(row) {
+  // The fields are the 'priceLog' columns, named by their header
+  const lineItem = {};
+  getSheetLayout().priceLog.header.forEach((field, i) => {
+    lineItem[field] = row[i] === '' || row[i] === undefined ? null : row[i];
+  });
+  return lineItem;
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = { getApiRoutes, handleApiRequest, apiError };
+}
@@ -0,0 +1,117 @@
+/**
+ * Create the persisted state of a historical backfill.
+ *
+ * @param {string|Date} after - The first day of the date range (inclusive).
+ * @param {string|Date} before - The day after the date range (exclusive, like Gmail's `before:`).
+ * @returns {object} The backfill state: the date range as 'YYYY/MM/DD', the thread cursor, the counts
+ * and the number of executions in a row that ended with an error.
+ */
+function createBackfillState(after, before) {
+  return {
+    after: formatGmailDate(after),
+    before: formatGmailDate(before),
+    cursor: 0,
+    processed: 0,
+    skipped: 0,
+    failed: 0,
+    consecutiveErrors: 0,
+  };
+}
+
+/**
+ * Format a date for Gmail's `after:`/`before:` search operators.
+ *
+ * @param {string|Date} date - A Date or a string that `new Date()` can parse.
+ * @returns {string} The date as 'YYYY/MM/DD'.
+ */
+function formatGmailDate(date) {
+  const d = new Date(date);
+  if (isNaN(d.getTime())) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}/${pad(d.getMonth() + 1)}/${pad(d.getDate())}`;
+}
+
+/**
+ * Build the Gmail search query of a backfill: all labelled receipts in the date range, read or unread.
+ *
+ * @param {string} receiptQuery - The receipt query, e.g. from `buildReceiptSearchQuery`.
+ * @param {object} state - The backfill state.
+ * @returns {string} The Gmail search query.
+ */
+function buildBackfillQuery(receiptQuery, state) {
+  return `${receiptQuery} after:${state.after} before:${state.before}`;
+}
+
+/**
+ * Add the message statuses of a processed page to the backfill state and advance the cursor.
+ *
+ * @param {object} state - The backfill state.
+ * @param {number} threadCount - The number of threads in the page.
+ * @param {Array<string>} statuses - The statuses returned by `processMessage`; 'duplicate' counts as skipped.
+ * @returns {object} The updated backfill state.
+ */
+function advanceBackfillState(state, threadCount, statuses) {
+  const count = status => statuses.filter(s => s === status).length;
+  return {
+    ...state,
+    cursor: state.cursor + threadCount,
+    processed: state.processed + count('processed'),
+    skipped: state.skipped + count('skipped') + count('duplicate'),
+    failed: state.failed + count('failed'),
+    consecutiveErrors: 0,
+  };
+}
+
+/**
+ * Record an error that interrupted a backfill execution.
+ *
+ * @param {object} state - The backfill state.
+ * @param {Error} error - The error.
+ * @returns {object} The updated backfill state with one more of the `consecutiveErrors` and the `lastError`.
+ */
+function recordBackfillError(state, error) {
+  return {
+    ...state,
+    consecutiveErrors: (state.consecutiveErrors || 0) + 1,
+    lastError: error.toString(),
+  };
+}
+
+/**
+ * Check whether another page fits into the time budget of the execution.
+ *
+ * @param {number} startTime - The start of the execution in milliseconds.
+ * @param {number} now - The current time in milliseconds.
+ * @param {number} budgetMs - The time budget in milliseconds.
+ * @param {number} pageEstimateMs - The time a page is expected to take.
+ * @returns {boolean} True if the page can be processed before the budget runs out.
+ */
+function hasTimeForPage(startTime, now, budgetMs, pageEstimateMs) {
+  return now - startTime + pageEstimateMs <= budgetMs;
+}
+
+/**
+ * Summarise a backfill for the log.
+ *
+ * @param {object} state - The backfill state.
+ * @returns {string} The status summary.
+ */
+function summariseBackfill(state) {
+  return `Backfill ${state.after} - ${state.before}: ${state.cursor} threads, ` +
+    `${state.processed} processed, ${state.skipped} skipped, ${state.failed} failed`;
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = {
+    createBackfillState,
+    formatGmailDate,
+    buildBackfillQuery,
+    advanceBackfillState,
+    recordBackfillError,
+    hasTimeForPage,
+    summariseBackfill,
+  };
+}
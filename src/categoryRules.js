@@ -0,0 +1,258 @@
+// Import functions (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { normaliseDescription } = require('./productMatcher');
+  var { getSheetLayout } = require('./sheetLayout');
+}
+
+const CATEGORY_MATCH_TYPES = ['keyword', 'regex'];
+
+// Priority of the keyword rules added from the 'uncategorisedItems' sheet; they name a single description
+const reviewedCategoryRulePriority = 50;
+
+/**
+ * Return the rules written to a new 'categoryRules' sheet by `setupSpreadsheet`, as sheet rows.
+ * Drinks outrank produce so that e.g. 'Apfelsaft' is a drink.
+ *
+ * @returns {Array<Array<*>>} The rules: pattern, matchType, category and priority.
+ */
+function getDefaultCategoryRules() {
+  return [
+    ['^(pfand|leergut)', 'regex', 'deposit', 100],
+    ['saft', 'keyword', 'drinks', 20],
+    ['wasser', 'keyword', 'drinks', 20],
+    ['kaffee', 'keyword', 'drinks', 20],
+    ['\\btee\\b', 'regex', 'drinks', 20],
+    ['cola', 'keyword', 'drinks', 20],
+    ['bier', 'keyword', 'drinks', 20],
+    ['(?<!sch)wein', 'regex', 'drinks', 20],
+    ['milch', 'keyword', 'dairy', 10],
+    ['joghurt', 'keyword', 'dairy', 10],
+    ['quark', 'keyword', 'dairy', 10],
+    ['sahne', 'keyword', 'dairy', 10],
+    ['butter', 'keyword', 'dairy', 10],
+    ['kaese', 'keyword', 'dairy', 10],
+    ['gouda', 'keyword', 'dairy', 10],
+    ['eier', 'keyword', 'dairy', 10],
+    ['banane', 'keyword', 'produce', 10],
+    ['apfel', 'keyword', 'produce', 10],
+    ['tomate', 'keyword', 'produce', 10],
+    ['gurke', 'keyword', 'produce', 10],
+    ['zucchini', 'keyword', 'produce', 10],
+    ['kartoffel', 'keyword', 'produce', 10],
+    ['zwiebel', 'keyword', 'produce', 10],
+    ['paprika', 'keyword', 'produce', 10],
+    ['salat', 'keyword', 'produce', 10],
+    ['brot', 'keyword', 'bakery', 10],
+    ['broetchen', 'keyword', 'bakery', 10],
+    ['toast', 'keyword', 'bakery', 10],
+    ['spuelmittel', 'keyword', 'household', 10],
+    ['waschmittel', 'keyword', 'household', 10],
+    ['toilettenpapier', 'keyword', 'household', 10],
+    ['kuechenrolle', 'keyword', 'household', 10],
+    ['muellbeutel', 'keyword', 'household', 10],
+    ['duschgel', 'keyword', 'drugstore', 10],
+    ['shampoo', 'keyword', 'drugstore', 10],
+    ['zahnpasta', 'keyword', 'drugstore', 10],
+    ['deo', 'keyword', 'drugstore', 10],
+  ];
+}
+
+/**
+ * Return the match types of the 'categoryRules' sheet, e.g. for the data validation of its 'matchType' column.
+ *
+ * @returns {Array<string>} The match types.
+ */
+function getCategoryMatchTypes() {
+  return CATEGORY_MATCH_TYPES.slice();
+}
+
+/**
+ * Read and validate the rows of the 'categoryRules' sheet.
+ * A 'keyword' rule matches descriptions containing the keyword, compared like product names
+ * (see `normaliseDescription`); a 'regex' rule is a case-insensitive regular expression tested
+ * against the description as printed. An empty match type means 'keyword' and an empty priority 0.
+ * All problems are reported at once.
+ *
+ * @param {Array<Array<*>>} ruleRows - The values of the 'categoryRules' sheet including the header row.
+ * @returns {Array<object>} The rules (`category`, `priority` and `test`), highest priority first;
+ * rules of equal priority keep their sheet order.
+ */
+function parseCategoryRules(ruleRows) {
+  const { rules, problems } = readCategoryRules(ruleRows);
+  if (problems.length > 0) {
+    throw new Error(`Invalid category rules: ${problems.join('; ')}`);
+  }
+  return rules;
+}
+
+/**
+ * Read the rows of the 'categoryRules' sheet like `parseCategoryRules`, but skip invalid rows
+ * instead of failing, e.g. so that one broken rule does not stop imports.
+ *
+ * @param {Array<Array<*>>} ruleRows - The values of the 'categoryRules' sheet including the header row.
+ * @returns {object} The valid `rules`, highest priority first, and the `problems` of the skipped rows.
+ */
+function readCategoryRules(ruleRows) {
+  const problems = [];
+  const rules = [];
+  ruleRows.slice(1).forEach(([pattern, matchType, category, priority], i) => {
+    const rowNumber = i + 2;
+    if (String(pattern).trim() === '' && String(category).trim() === '') {
+      return;
+    }
+    const type = String(matchType || 'keyword').trim().toLowerCase();
+    const rulePriority = priority === '' || priority == null ? 0 : Number(priority);
+    if (String(pattern).trim() === '' || String(category).trim() === '') {
+      problems.push(`Row ${rowNumber}: pattern and category are required`);
+    } else if (!CATEGORY_MATCH_TYPES.includes(type)) {
+      problems.push(`Row ${rowNumber}: unknown match type '${matchType}'`);
+    } else if (!Number.isFinite(rulePriority)) {
+      problems.push(`Row ${rowNumber}: priority must be a number, got '${priority}'`);
+    } else {
+      try {
+        rules.push({
+          category: String(category).trim(),
+          priority: rulePriority,
+          test: buildRuleTest(type, String(pattern).trim()),
+        });
+      } catch (error) {
+        problems.push(`Row ${rowNumber}: invalid regular expression '${pattern}'`);
+      }
+    }
+  });
+
+  // Array.prototype.sort is stable, so rules of equal priority keep their order
+  return { rules: rules.sort((a, b) => b.priority - a.priority), problems: problems };
+}
+
+function buildRuleTest(type, pattern) {
+  if (type === 'regex') {
+    const regex = new RegExp(pattern, 'i');
+    return description => regex.test(description);
+  }
+  const keyword = normaliseDescription(pattern);
+  return description => normaliseDescription(description).includes(keyword);
+}
+
+/**
+ * Find the category of a description: the category of the first matching rule.
+ *
+ * @param {string} description - The description as printed on the receipt.
+ * @param {Array<object>} rules - The rules (see `parseCategoryRules`).
+ * @returns {string|null} The category, or null if no rule matches.
+ */
+function categoriseDescription(description, rules) {
+  const rule = rules.find(r => r.test(String(description || '')));
+  return rule ? rule.category : null;
+}
+
+/**
+ * Categorise the line items of one or more receipts.
+ * A discount takes the category of the product it applies to; all other items are matched
+ * against the rules. Products no rule matches are returned for review.
+ *
+ * @param {Array<object>} lineItems - The line items with `description`, `type`, `lineNumber`,
+ * `appliesToLine` and, for items of several receipts, `purchaseId`.
+ * @param {Array<object>} rules - The rules (see `parseCategoryRules`).
+ * @returns {object} The categorisation.
+ * @returns {Array<string|null>} return.categories - The category of each line item, or null.
+ * @returns {Array<string>} return.unmatched - The distinct descriptions of products without a category.
+ */
+function categoriseLineItems(lineItems, rules) {
+  const lineKey = (purchaseId, lineNumber) => `${purchaseId}|${lineNumber}`;
+  const categoriesByLine = {};
+  const unmatched = [];
+
+  const categories = lineItems.map(item => {
+    if (item.type === 'discount' && item.appliesToLine) {
+      return null; // Resolved below, once the product is categorised
+    }
+    const category = categoriseDescription(item.description, rules);
+    categoriesByLine[lineKey(item.purchaseId, item.lineNumber)] = category;
+    if (category === null && item.type === 'product' && !unmatched.includes(item.description)) {
+      unmatched.push(item.description);
+    }
+    return category;
+  });
+
+  lineItems.forEach((item, i) => {
+    if (item.type === 'discount' && item.appliesToLine) {
+      categories[i] = categoriesByLine[lineKey(item.purchaseId, item.appliesToLine)] || null;
+    }
+  });
+  return { categories: categories, unmatched: unmatched };
+}
+
+/**
+ * Build the rows to add to the 'uncategorisedItems' sheet for unmatched descriptions not listed yet.
+ *
+ * @param {Array<Array<*>>} uncategorisedRows - The values of the 'uncategorisedItems' sheet including the header row.
+ * @param {Array<string>} descriptions - The descriptions without a category.
+ * @param {Date} seenAt - The time the descriptions were seen.
+ * @returns {Array<Array<*>>} The new rows: description, firstSeen and an empty category.
+ */
+function buildUncategorisedItemRows(uncategorisedRows, descriptions, seenAt) {
+  const listed = uncategorisedRows.slice(1).map(row => String(row[0]));
+  return descriptions
+    .filter(description => !listed.includes(description))
+    .map(description => [description, seenAt, '']);
+}
+
+/**
+ * Re-categorise the rows of the 'priceLog' sheet, e.g. after the rules changed.
+ * Categories entered in the 'uncategorisedItems' sheet first become keyword rules for their description.
+ * The 'uncategorisedItems' rows are rebuilt from the products still without a category, keeping
+ * the `firstSeen` of items listed before.
+ *
+ * @param {Array<Array<*>>} priceLogRows - The values of the 'priceLog' sheet including the header row.
+ * @param {Array<Array<*>>} ruleRows - The values of the 'categoryRules' sheet including the header row.
+ * @param {Array<Array<*>>} uncategorisedRows - The values of the 'uncategorisedItems' sheet including the header row.
+ * @param {Date} now - The time of the run, the `firstSeen` of newly listed items.
+ * @returns {object} The result.
+ * @returns {Array<Array<*>>} return.newRuleRows - The rules to append to the 'categoryRules' sheet.
+ * @returns {Array<string|null>} return.categories - The category of each 'priceLog' row below the header.
+ * @returns {number} return.changedCount - The number of rows whose category changed.
+ * @returns {Array<Array<*>>} return.uncategorisedRows - The new rows of the 'uncategorisedItems' sheet, without header.
+ */
+function recategoriseRows(priceLogRows, ruleRows, uncategorisedRows, now) {
+  const columns = getSheetLayout().priceLog.columns;
+  const newRuleRows = uncategorisedRows.slice(1)
+    .filter(row => String(row[2] || '').trim() !== '')
+    .map(row => [row[0], 'keyword', String(row[2]).trim(), reviewedCategoryRulePriority]);
+  const rules = parseCategoryRules(ruleRows.concat(newRuleRows));
+
+  const rows = priceLogRows.slice(1);
+  const { categories, unmatched } = categoriseLineItems(rows.map(row => ({
+    description: row[columns.description],
+    type: row[columns.type],
+    lineNumber: row[columns.lineNumber],
+    appliesToLine: row[columns.appliesToLine],
+    purchaseId: row[columns.purchaseId],
+  })), rules);
+  const changedCount = rows.filter((row, i) => (row[columns.category] || null) !== categories[i]).length;
+
+  const firstSeen = {};
+  uncategorisedRows.slice(1).forEach(row => {
+    firstSeen[row[0]] = row[1];
+  });
+  return {
+    newRuleRows: newRuleRows,
+    categories: categories,
+    changedCount: changedCount,
+    uncategorisedRows: unmatched.map(description => [description, firstSeen[description] || now, '']),
+  };
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = {
+    getCategoryMatchTypes,
+    getDefaultCategoryRules,
+    parseCategoryRules,
+    readCategoryRules,
+    categoriseDescription,
+    categoriseLineItems,
+    buildUncategorisedItemRows,
+    recategoriseRows,
+  };
+}
@@ -0,0 +1,80 @@
+// Line item types
+const LINE_ITEM_TYPES = {
+  product: 'product',
+  discount: 'discount',
+  deposit: 'deposit',
+  depositReturn: 'deposit_return',
+};
+
+/**
+ * Return the line item types, e.g. for the data validation of the 'type' column.
+ *
+ * @returns {Array<string>} The types: 'product', 'discount', 'deposit' and 'deposit_return'.
+ */
+function getLineItemTypes() {
+  return Object.values(LINE_ITEM_TYPES);
+}
+
+/**
+ * Determine the type of a line item from its description and price.
+ *
+ * @param {object} item - The line item.
+ * @param {string|null} item.description - The description of the item.
+ * @param {number|null} item.totalPrice - The total price of the item.
+ * @returns {string} 'product', 'discount', 'deposit' or 'deposit_return'.
+ */
+function getLineItemType(item) {
+  const description = item.description || '';
+  const isNegative = typeof item.totalPrice === 'number' && item.totalPrice < 0;
+
+  if (/Leergut|Pfand[-\s]?(R(ü|ue)ck|Bon)/i.test(description) || (/Pfand/i.test(description) && isNegative)) {
+    return LINE_ITEM_TYPES.depositReturn;
+  }
+  if (/Pfand/i.test(description)) {
+    return LINE_ITEM_TYPES.deposit;
+  }
+  if (isNegative) {
+    return LINE_ITEM_TYPES.discount;
+  }
+  return LINE_ITEM_TYPES.product;
+}
+
+/**
+ * Classify the line items of a receipt and link discounts to the product they apply to.
+ *
+ * Every item gets a `type` and its 1-based `lineNumber` on the receipt. A discount applies to
+ * the nearest product above it (`appliesToLine`); a product's `effectivePrice` is its price
+ * plus the discounts applied to it, i.e. the price actually paid.
+ *
+ * @param {Array<object>} lineItems - The line items in receipt order.
+ * @returns {Array<object>} Copies of the line items with type, lineNumber, appliesToLine and effectivePrice.
+ */
+function classifyLineItems(lineItems) {
+  const classifiedItems = lineItems.map((item, index) => ({
+    ...item,
+    type: getLineItemType(item),
+    lineNumber: index + 1,
+    appliesToLine: null,
+    effectivePrice: null,
+  }));
+
+  let lastProduct = null;
+  for (const item of classifiedItems) {
+    if (item.type === LINE_ITEM_TYPES.product) {
+      item.effectivePrice = item.totalPrice;
+      lastProduct = item;
+    } else if (item.type === LINE_ITEM_TYPES.discount && lastProduct) {
+      item.appliesToLine = lastProduct.lineNumber;
+      if (lastProduct.effectivePrice !== null && item.totalPrice !== null) {
+        lastProduct.effectivePrice = Math.round((lastProduct.effectivePrice + item.totalPrice) * 100) / 100;
+      }
+    }
+  }
+
+  return classifiedItems;
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = { getLineItemTypes, getLineItemType, classifyLineItems };
+}
@@ -0,0 +1,115 @@
+// Import functions (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { getSheetLayout } = require('./sheetLayout');
+  var { roundTo } = require('./parseLineItemDetails');
+}
+
+/**
+ * Describe the rows a message would add to the sheets.
+ *
+ * @param {Object<string, Array<Array<*>>>} addedRows - The added rows per sheet name (see `getRowsAddedSince`).
+ * @returns {object} The changes.
+ * @returns {object|null} return.newStore - The new store (`storeId`, `storeName`, `storeAddress`), or null.
+ * @returns {object|null} return.newPurchase - The new purchase (`purchaseId`, `date`, `totalPrice`,
+ * `storeId`, `receiptNumber`), or null.
+ * @returns {number} return.lineItems - The number of new line items.
+ * @returns {number} return.lineItemsTotal - The sum of the new line items' prices.
+ * @returns {number} return.newProducts - The number of new products.
+ * @returns {number} return.productReviews - The number of product matches queued for review.
+ * @returns {number} return.priceChanges - The number of recorded price changes.
+ * @returns {object|null} return.error - The failing `stage` and `message`, or null.
+ */
+function describeAddedRows(addedRows) {
+  const layout = getSheetLayout();
+  const storeColumns = layout.stores.columns;
+  const purchaseColumns = layout.purchases.columns;
+  const errorColumns = layout.errors.columns;
+  const rowsOf = sheetName => addedRows[sheetName] || [];
+  const store = rowsOf('stores')[0];
+  const purchase = rowsOf('purchases')[0];
+  const error = rowsOf(layout.errors.name)[0];
+
+  return {
+    newStore: store ? {
+      storeId: store[storeColumns.storeId],
+      storeName: store[storeColumns.storeName],
+      storeAddress: store[storeColumns.storeAddress],
+    } : null,
+    newPurchase: purchase ? {
+      purchaseId: purchase[purchaseColumns.purchaseId],
+      date: purchase[purchaseColumns.date],
+      totalPrice: purchase[purchaseColumns.totalPrice],
+      storeId: purchase[purchaseColumns.storeId],
+      receiptNumber: purchase[purchaseColumns.receiptNumber],
+    } : null,
+    lineItems: rowsOf('priceLog').length,
+    lineItemsTotal: roundTo(rowsOf('priceLog')
+      .reduce((sum, row) => sum + (Number(row[layout.priceLog.columns.totalPrice]) || 0), 0), 2),
+    newProducts: rowsOf(layout.products.name).length,
+    productReviews: rowsOf(layout.productReview.name).length,
+    priceChanges: rowsOf(layout.priceChanges.name).length,
+    error: error ? { stage: error[errorColumns.stage], message: error[errorColumns.error] } : null,
+  };
+}
+
+/**
+ * Format the dry-run report: one line per message with what its import would change.
+ *
+ * @param {Array<object>} entries - The previewed messages.
+ * @param {string} entries[].subject - The subject of the e-mail.
+ * @param {Date} entries[].date - The date of the e-mail.
+ * @param {string} entries[].status - The import status (see `processMessage`).
+ * @param {object} entries[].changes - The changes (see `describeAddedRows`).
+ * @returns {string} The report.
+ */
+function formatDryRunReport(entries) {
+  const formatPrice = price => typeof price === 'number' ? price.toFixed(2).replace('.', ',') : '?';
+
+  const lines = entries.map(entry => {
+    const changes = entry.changes;
+    const date = entry.date instanceof Date ? entry.date.toISOString().slice(0, 10) : '';
+    const prefix = `${date} ${entry.subject}:`;
+
+    if (entry.status === 'skipped') {
+      return `${prefix} skipped, no receipt parser`;
+    }
+    if (entry.status === 'duplicate') {
+      return `${prefix} already imported`;
+    }
+    if (entry.status === 'failed') {
+      return changes.error
+        ? `${prefix} failed in stage '${changes.error.stage}': ${changes.error.message}`
+        : `${prefix} failed`;
+    }
+
+    const parts = [];
+    if (changes.newStore) {
+      parts.push(`new store ${changes.newStore.storeId} (${changes.newStore.storeName}, ${changes.newStore.storeAddress})`);
+    }
+    if (changes.newPurchase) {
+      const receiptNumber = changes.newPurchase.receiptNumber ? `, receipt ${changes.newPurchase.receiptNumber}` : '';
+      parts.push(`new purchase ${changes.newPurchase.purchaseId} (total ${formatPrice(changes.newPurchase.totalPrice)}${receiptNumber})`);
+    }
+    parts.push(`${changes.lineItems} line items (${formatPrice(changes.lineItemsTotal)})`);
+    if (changes.newProducts > 0) {
+      parts.push(`${changes.newProducts} new products`);
+    }
+    if (changes.productReviews > 0) {
+      parts.push(`${changes.productReviews} product matches to review`);
+    }
+    if (changes.priceChanges > 0) {
+      parts.push(`${changes.priceChanges} price changes`);
+    }
+    return `${prefix} ${parts.join(', ')}`;
+  });
+
+  const count = status => entries.filter(entry => entry.status === status).length;
+  lines.push(`Dry run: ${entries.length} messages, ${count('processed')} would be imported, ` +
+    `${count('duplicate')} already imported, ${count('skipped')} skipped, ${count('failed')} failed. Nothing was written.`);
+  return lines.join('\n');
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = { describeAddedRows, formatDryRunReport };
+}
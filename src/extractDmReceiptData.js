@@ -0,0 +1,102 @@
+// Import functions (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { extractReceiptNumber, extractReceiptDate } = require('./receiptMetadata');
+  var { runStage } = require('./receiptErrors');
+  var { htmlToTextLines } = require('./htmlToTextLines');
+}
+
+/**
+ * Extract data from the HTML body of a dm (dm-drogerie markt) eBon email.
+ * Parse store address and individual line items with their prices and details.
+ * Payback and coupon deductions are returned as line items with a negative price.
+ *
+ * @param {string} emailBody - The HTML content of the dm eBon email.
+ * @returns {object} An object containing the extracted store address and an array of line items.
+ * @returns {string|null} return.storeAddress - The extracted store address, or null if not found.
+ * @returns {Array<object>} return.lineItems - An array of extracted line item objects.
+ * @returns {string|null} return.lineItems[].description - The name or main description of the item.
+ * @returns {number|null} return.lineItems[].totalPrice - The total price of the item.
+ * @returns {string|null} return.lineItems[].details - Additional details, e.g. the quantity line '2 x 0,95'.
+ * @returns {string|null} return.receiptNumber - The receipt number ('Bon-Nr.'), or null if not found.
+ * @returns {Date|null} return.purchaseDate - The purchase timestamp printed on the receipt, or null if not found.
+ */
+function extractDmReceiptData(emailBody) {
+  const lines = runStage('split', () => htmlToTextLines(emailBody));
+
+  // Extract store address
+  Logger.log('parsing store address ...');
+  const { storeAddress, addressEndIndex } = runStage('address', () => extractDmStoreAddress(lines));
+
+  // Extract line items
+  Logger.log('parsing line items ...');
+  const lineItems = runStage('line items', () => extractDmLineItems(lines.slice(addressEndIndex)));
+  return {
+    storeAddress: storeAddress,
+    lineItems: lineItems,
+    receiptNumber: extractReceiptNumber(lines),
+    purchaseDate: extractReceiptDate(lines),
+  };
+}
+
+/**
+ * Find the store address printed below the 'dm-drogerie markt' header.
+ * The address consists of the street and the postcode/city lines.
+ *
+ * @param {Array<string>} lines - The text lines of the receipt.
+ * @returns {object} The store address (or null) and the index of the first line after it.
+ */
+function extractDmStoreAddress(lines) {
+  const headerIndex = lines.findIndex(line => /dm-drogerie markt/i.test(line));
+  if (headerIndex === -1) {
+    return { storeAddress: null, addressEndIndex: 0 };
+  }
+
+  const cityIndex = lines.findIndex((line, i) => i > headerIndex && /^\d{5}\s+\S/.test(line));
+  if (cityIndex === -1 || cityIndex - headerIndex > 3) {
+    return { storeAddress: null, addressEndIndex: headerIndex + 1 };
+  }
+
+  const storeAddress = lines.slice(cityIndex - 1, cityIndex + 1).join(', ');
+  return { storeAddress: storeAddress, addressEndIndex: cityIndex + 1 };
+}
+
+function extractDmLineItems(lines) {
+  const itemRegex = /^(.*?[^\d\s-].*?)\s+(-?\d+,\d\d)(?:\s+\d)?$/;
+  const quantityRegex = /^(\d+(?:,\d+)?\s*(?:x|St\.?|Stk\.?\s*x)\s*\d+,\d\d)$/i;
+  const subtotalRegex = /^Zwischensumme\b/i;
+  const sumRegex = /^(SUMME|Summe|Gesamt)\b/;
+
+  const lineItems = [];
+  for (const line of lines) {
+    if (sumRegex.test(line)) {
+      break;
+    }
+    if (subtotalRegex.test(line)) {
+      continue;
+    }
+
+    const quantityMatch = line.match(quantityRegex);
+    if (quantityMatch) {
+      if (lineItems.length > 0) {
+        lineItems[lineItems.length - 1].details = quantityMatch[1];
+      }
+      continue;
+    }
+
+    const itemMatch = line.match(itemRegex);
+    if (itemMatch) {
+      lineItems.push({
+        description: itemMatch[1].trim(),
+        totalPrice: parseFloat(itemMatch[2].replace(',', '.')),
+        details: null,
+      });
+    }
+  }
+
+  return lineItems;
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = { extractDmReceiptData };
+}
@@ -1,6 +1,26 @@
+// Import functions (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { htmlToTextLines, decodeHtmlEntities } = require('./htmlToTextLines');
+  var { extractReceiptNumber, extractReceiptDate } = require('./receiptMetadata');
+  var { runStage } = require('./receiptErrors');
+}
+
+// Anchors delimiting the sections of a Netto receipt email
+const NETTO_ANCHORS = {
+  'Filiale:': /Filiale:/i,
+  '<!-- WARENKORB -->': /<!--\s*WARENKORB\s*-->/i,
+  '<!-- SUMME -->': /<!--\s*SUMME\s*-->/i,
+};
+const NETTO_PAYMENT_ANCHOR = /<!--\s*ZAHLUNGEN\s*-->/i;
+
 /**
  * Extract data from the HTML body of a Netto receipt email.
- * Parse store address and individual line items with their prices and details.
+ * Parse store address, individual line items with their prices and details,
+ * the receipt total, payment method, VAT breakdown and receipt number.
+ * Receipts whose line items do not add up to the stated total are flagged with `totalMismatch`.
+ * Line items are read from the table rows of the basket, independent of inline styles,
+ * attribute order and whitespace. Anchors missing from the email are reported in `missingAnchors`.
+ * Errors are tagged with the failing stage ('split', 'address', 'line items' or 'totals').
  *
  * @param {string} emailBody - The HTML content of the Netto receipt email.
  * @returns {object} An object containing the extracted store address and an array of line items.
@@ -9,122 +29,297 @@
  * @returns {string|null} return.lineItems[].description - The name or main description of the item.
  * @returns {number|null} return.lineItems[].totalPrice - The total price of the item.
  * @returns {string|null} return.lineItems[].details - Additional details or sub-description of the item.
+ * @returns {number|null} return.total - The total amount stated on the receipt.
+ * @returns {string|null} return.paymentMethod - The payment method, e.g. 'EC-Karte' or 'Bar'.
+ * @returns {Array<object>} return.vatBreakdown - The VAT rows ({code, rate, net, tax, gross}).
+ * @returns {string|null} return.receiptNumber - The receipt/transaction number.
+ * @returns {Date|null} return.purchaseDate - The purchase timestamp printed on the receipt.
+ * @returns {boolean} return.totalMismatch - Whether the line items do not add up to the total.
+ * @returns {Array<string>} return.missingAnchors - The anchors ('Filiale:', '<!-- WARENKORB -->', '<!-- SUMME -->') not found.
  */
 function extractNettoReceiptData(emailBody) {
 
-  const { storeAddressRaw, lineItemsRaw } = extractStoreAndPurchaseString(emailBody, 'Filiale:', '<!-- ZAHLUNGEN -->', '<!-- SUMME -->');
+  const missingAnchors = checkNettoAnchors(emailBody);
+  if (missingAnchors.length > 0) {
+    Logger.log(`Warning: Netto receipt anchors not found: ${missingAnchors.join(', ')}`);
+  }
+
+  const { storeAddressRaw, lineItemsRaw } = runStage('split', () => {
+    if (missingAnchors.length === Object.keys(NETTO_ANCHORS).length) {
+      throw new Error(`Not a Netto receipt: anchors not found: ${missingAnchors.join(', ')}`);
+    }
+    return extractStoreAndPurchaseString(emailBody);
+  });
 
   // Extract store address
   Logger.log('parsing store address ...');
-  const storeAddress = extractStoreAddress(storeAddressRaw);
+  const storeAddress = runStage('address', () => extractStoreAddress(storeAddressRaw));
 
   // Extract line items
   Logger.log('parsing line items ...');
-  let lineItems = extractLineItems(lineItemsRaw);
-  return {
-    storeAddress: storeAddress,
-    lineItems: lineItems,
-  };
+  let lineItems = runStage('line items', () => extractLineItems(lineItemsRaw));
+
+  // Extract totals and payment
+  Logger.log('parsing total and payment ...');
+  return runStage('totals', () => {
+    const summaryLines = htmlToTextLines(extractSection(emailBody, NETTO_ANCHORS['<!-- SUMME -->']));
+    const paymentLines = htmlToTextLines(extractSection(emailBody, NETTO_PAYMENT_ANCHOR));
+    const total = extractTotal(summaryLines);
+    const totalMismatch = checkReceiptTotal(lineItems, total);
+    if (totalMismatch) {
+      Logger.log(`Warning: line items do not add up to the receipt total ${total}`);
+    }
+
+    const textAfterSum = htmlToTextLines(emailBody.split(NETTO_ANCHORS['<!-- SUMME -->']).slice(1).join(''));
+    const emailLines = htmlToTextLines(emailBody);
+    return {
+      storeAddress: storeAddress,
+      lineItems: lineItems,
+      total: total,
+      paymentMethod: extractPaymentMethod(paymentLines),
+      vatBreakdown: extractVatBreakdown(textAfterSum),
+      receiptNumber: extractReceiptNumber(emailLines),
+      purchaseDate: extractReceiptDate(emailLines),
+      totalMismatch: totalMismatch,
+      missingAnchors: missingAnchors,
+    };
+  });
+}
+
+/**
+ * Self-check: list the anchors of the Netto template that are missing from the email.
+ * A non-empty list usually means Netto changed its email template.
+ *
+ * @param {string} emailBody - The HTML content of the email.
+ * @returns {Array<string>} The names of the missing anchors.
+ */
+function checkNettoAnchors(emailBody) {
+  return Object.keys(NETTO_ANCHORS).filter(name => !NETTO_ANCHORS[name].test(emailBody));
 }
 
 /**
-* Extracts a substring from the email body between two specified strings.
+* Extracts the store address and line items parts of the email body.
+* The store address follows 'Filiale:', the line items follow '<!-- WARENKORB -->',
+* and both end at '<!-- SUMME -->'. A missing anchor yields an empty part instead of an error.
 * 
 * @param {string} emailBody - The HTML content of the email.
-* @param {string} startString - The string to start the extraction from.
-* @param {string} middleString - The string to split the extraction.
-* @param {string} endString - The string to end the extraction at.
 * @returns {object} An object containing the extracted store address and line items.
 * @returns {string} return.storeAddressRaw - The raw store address string.
 * @returns {string} return.lineItemsRaw - The raw line items string.
 * 
 */
-function extractStoreAndPurchaseString(emailBody, startString = 'Filiale:', middleString = '<!-- WARENKORB -->', endString = '<!-- SUMME -->') {
-  const storeAndPurchaseString = emailBody.split(startString)[1].split(endString)[0];
-  const storeAndPurchaseStringArray = storeAndPurchaseString.split(middleString);
-  return { storeAddressRaw: storeAndPurchaseStringArray[0], lineItemsRaw: storeAndPurchaseStringArray[1] };
+function extractStoreAndPurchaseString(emailBody) {
+  const startParts = emailBody.split(NETTO_ANCHORS['Filiale:']);
+  const storeAndPurchaseString = (startParts.length > 1 ? startParts.slice(1).join('') : emailBody)
+    .split(NETTO_ANCHORS['<!-- SUMME -->'])[0];
+  const storeAndPurchaseStringArray = storeAndPurchaseString.split(NETTO_ANCHORS['<!-- WARENKORB -->']);
+  return {
+    storeAddressRaw: startParts.length > 1 ? storeAndPurchaseStringArray[0] : '',
+    lineItemsRaw: storeAndPurchaseStringArray[1] || '',
+  };
 }
 
+/**
+ * Extract the part of the email body following a section marker
+ * up to the next section marker (an HTML comment such as `<!-- ZAHLUNGEN -->`).
+ *
+ * @param {string} emailBody - The HTML content of the email.
+ * @param {string|RegExp} marker - The marker starting the section.
+ * @returns {string} The raw section, or an empty string if the marker is missing.
+ */
+function extractSection(emailBody, marker) {
+  const parts = emailBody.split(marker);
+  if (parts.length < 2) {
+    return '';
+  }
+  return parts[1].split(/<!--\s*[A-Z]+\s*-->/)[0];
+}
+
+/**
+ * Find the receipt total in the summary section.
+ *
+ * @param {Array<string>} summaryLines - The text lines of the SUMME section.
+ * @returns {number|null} The total, or null if not found.
+ */
+function extractTotal(summaryLines) {
+  const amountRegex = /(-?\d+,\d\d)\s*(?:€|EUR)?$/;
+  const totalLine = summaryLines.find(line => /(Gesamtbetrag|Summe|Total)/i.test(line) && amountRegex.test(line))
+    || summaryLines.find(line => amountRegex.test(line));
+  if (!totalLine) {
+    return null;
+  }
+  return parseFloat(totalLine.match(amountRegex)[1].replace(',', '.'));
+}
+
+/**
+ * Find the payment method in the payment section, i.e. the label of the first line carrying an amount.
+ *
+ * @param {Array<string>} paymentLines - The text lines of the ZAHLUNGEN section.
+ * @returns {string|null} The payment method, e.g. 'EC-Karte', or null if not found.
+ */
+function extractPaymentMethod(paymentLines) {
+  const paymentRegex = /^(.*?[^\d\s:-].*?):?\s+-?\d+,\d\d\s*(?:€|EUR)?$/;
+  for (const line of paymentLines) {
+    const match = line.match(paymentRegex);
+    if (match && !/(Gesamtbetrag|Summe|Rückgeld|MwSt)/i.test(match[1])) {
+      return match[1].trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract the VAT table rows, e.g. 'A 19,00 % 1,00 0,19 1,19' (code, rate, net, tax, gross).
+ *
+ * @param {Array<string>} lines - The text lines following the summary.
+ * @returns {Array<object>} The VAT rows with code, rate, net, tax and gross amounts.
+ */
+function extractVatBreakdown(lines) {
+  const vatRegex = /^(?:MwSt\.?\s*)?([A-D])\s*=?\s*(\d+(?:,\d+)?)\s*%\s+(-?\d+,\d\d)\s+(-?\d+,\d\d)\s+(-?\d+,\d\d)$/i;
+  const toNumber = s => parseFloat(s.replace(',', '.'));
+  return lines
+    .map(line => line.match(vatRegex))
+    .filter(match => match)
+    .map(match => ({
+      code: match[1].toUpperCase(),
+      rate: toNumber(match[2]),
+      net: toNumber(match[3]),
+      tax: toNumber(match[4]),
+      gross: toNumber(match[5]),
+    }));
+}
+
+/**
+ * Check whether the line items add up to the receipt total.
+ *
+ * @param {Array<object>} lineItems - The extracted line items.
+ * @param {number|null} total - The total stated on the receipt.
+ * @returns {boolean} True if the total is known and differs from the sum of the line items.
+ */
+function checkReceiptTotal(lineItems, total) {
+  if (total === null || total === undefined) {
+    return false;
+  }
+  const lineItemsTotal = lineItems.reduce((sum, item) => sum + (item.totalPrice || 0), 0);
+  return Math.abs(lineItemsTotal - total) >= 0.005;
+}
+
+/**
+ * Extract the store address: the first two text lines following 'Filiale:'.
+ * Older templates print the chain name above the address; it names the store rather than
+ * its address and is skipped before the two lines are taken.
+ *
+ * @param {string} storeAddressRaw - The raw store address part of the email.
+ * @returns {string|null} The address lines joined by ', ', or null if there are none.
+ */
 function extractStoreAddress(storeAddressRaw) {
-  const addressRawArray = storeAddressRaw.split('\n').slice(1, 3);
-  const addressArrayClean = addressRawArray.map(s => s.replace('<br>', '').trim());
-  return addressArrayClean.join(', ');
+  const addressLines = htmlToTextLines(storeAddressRaw)
+    .filter(line => !/^Netto Marken-Discount$/i.test(line))
+    .slice(0, 2);
+  return addressLines.length > 0 ? addressLines.join(', ') : null;
 }
 
+/**
+ * Extract the line items from the table rows of the basket.
+ *
+ * Each item consists of a description, a price and an optional indented detail row
+ * (e.g. '2 x 1,29'); description and price may share a row or use separate rows.
+ * Items are separated by divider rows (`<hr>`) or start with the next non-indented description.
+ *
+ * @param {string} lineItemsRaw - The raw line items part of the email.
+ * @returns {Array<object>} The line items with description, totalPrice and details.
+ */
 function extractLineItems(lineItemsRaw) {
-  const itemRegex = /<td style="font-size:.+>(.+?)<\/td>/;
-  const priceRegex = /<td style="text-align:right;.+>(\d+,\d\d)&nbsp;<\/td>/;
-  const itemDetailsRegex = /<td style="font-size:.+>&nbsp;&nbsp;&nbsp;&nbsp;(.*?)<\/td>/;
-  const rowDividerRegex = /<hr .*\/><\/td>/;
-
   const lineItems = [];
-  lineItemsFilteredArray = extractLineItemsArray(lineItemsRaw);
-
   let currentLineItem = { description: null, totalPrice: null, details: null };
-  let searchItem = false;
-  let searchPrice = false;
-  let searchDetail = false;
-
-  for (const line of lineItemsFilteredArray) {
-    // Logger.log(line);
-    const dividerMatch = line.match(rowDividerRegex);
-    if (dividerMatch) {
-      if (currentLineItem.description || currentLineItem.totalPrice || currentLineItem.details) {
-        lineItems.push({ ...currentLineItem }); // Create a copy
-      }
-      currentLineItem = { description: null, totalPrice: null, details: null };
-      searchItem = true;
-      searchPrice = false;
-      searchDetail = false;
-      continue;
-    }
 
-    if (searchItem) {
-      const itemMatch = line.match(itemRegex);
-      if (itemMatch) {
-        currentLineItem.description = itemMatch[1].trim();
-        // Logger.log({ description: currentLineItem.description });
-        searchItem = false;
-        searchPrice = true;
-        continue;
-      }
+  const pushCurrentLineItem = () => {
+    if (currentLineItem.description || currentLineItem.totalPrice !== null || currentLineItem.details) {
+      lineItems.push({ ...currentLineItem }); // Create a copy
     }
+    currentLineItem = { description: null, totalPrice: null, details: null };
+  };
 
-    if (searchPrice) {
-      const priceMatch = line.match(priceRegex);
-      if (priceMatch) {
-        const priceStr = priceMatch[1].trim().replace(',', '.');
-        currentLineItem.totalPrice = parseFloat(priceStr);
-        // Logger.log({ totalPrice: currentLineItem.totalPrice });
-        searchPrice = false;
-        searchDetail = true;
-        continue;
-      }
+  for (const row of extractTableRows(lineItemsRaw)) {
+    if (row.isDivider) {
+      pushCurrentLineItem();
+      continue;
     }
 
-    if (searchDetail) {
-      const detailMatch = line.match(itemDetailsRegex);
-      if (detailMatch) {
-        currentLineItem.details = detailMatch[1].trim();
-        // Logger.log({ details: currentLineItem.details });
-        searchDetail = false;
+    for (const cell of row.cells) {
+      const amount = parseAmount(cell.text);
+      if (amount !== null) {
+        if (currentLineItem.totalPrice === null) {
+          currentLineItem.totalPrice = amount;
+        }
+      } else if (cell.isIndented && currentLineItem.description) {
+        currentLineItem.details = cell.text;
+      } else {
+        if (currentLineItem.description) {
+          pushCurrentLineItem();
+        }
+        currentLineItem.description = cell.text;
       }
     }
   }
 
   // Push the last item if it has data
-  if (currentLineItem.description || currentLineItem.totalPrice || currentLineItem.details) {
-    lineItems.push({ ...currentLineItem });
-  }
+  pushCurrentLineItem();
 
   return lineItems;
 }
 
-function extractLineItemsArray(lineItemsRaw) {
-  const lineItemsRawArray = lineItemsRaw.split('\n');
-  let lineItemsFilteredArray = lineItemsRawArray.filter(function (line) {
-    let stringsToRemove = ['', '<tr>', '</tr>', '<td>&nbsp;</td>', '<td></td>'];
-    return !stringsToRemove.includes(line.trim());
-  });
-  return lineItemsFilteredArray;
+/**
+ * Split an HTML fragment into table rows with their non-empty cells.
+ *
+ * @param {string} html - The HTML fragment.
+ * @returns {Array<object>} The rows: `isDivider` for `<hr>` rows, and `cells` with decoded `text` and `isIndented`.
+ */
+function extractTableRows(html) {
+  const rowRegex = /<tr\b[^>]*>([\s\S]*?)<\/tr\s*>/gi;
+  const cellRegex = /<t[dh]\b([^>]*)>([\s\S]*?)<\/t[dh]\s*>/gi;
+  const indentRegex = /^(?:\s|&nbsp;|&#160;|&#xa0;|\u00a0)*(?:&nbsp;|&#160;|&#xa0;|\u00a0)/i;
+
+  const rows = [];
+  for (const rowMatch of html.matchAll(rowRegex)) {
+    const rowHtml = rowMatch[1];
+    if (/<hr\b/i.test(rowHtml)) {
+      rows.push({ isDivider: true, cells: [] });
+      continue;
+    }
+
+    const cells = [];
+    for (const cellMatch of rowHtml.matchAll(cellRegex)) {
+      const attributes = cellMatch[1];
+      const content = cellMatch[2].replace(/<[^>]+>/g, ' ');
+      const text = decodeHtmlEntities(content).replace(/\s+/g, ' ').trim();
+      if (text === '') {
+        continue;
+      }
+      cells.push({
+        text: text,
+        isIndented: indentRegex.test(content) || /padding-left|text-indent/i.test(attributes),
+      });
+    }
+    if (cells.length > 0) {
+      rows.push({ isDivider: false, cells: cells });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Parse a cell holding only an amount, e.g. '1,29', '-0,50 €' or '2,49 A'.
+ *
+ * @param {string} text - The decoded cell text.
+ * @returns {number|null} The amount, or null if the cell holds something else.
+ */
+function parseAmount(text) {
+  const match = text.match(/^(-?\d+,\d\d)\s*(?:€|EUR)?\s*(?:[A-D]\b)?\s*\*?$/);
+  return match ? parseFloat(match[1].replace(',', '.')) : null;
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = { extractNettoReceiptData, checkReceiptTotal };
 }
@@ -0,0 +1,100 @@
+// Import functions (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { extractReceiptNumber, extractReceiptDate } = require('./receiptMetadata');
+  var { runStage } = require('./receiptErrors');
+}
+
+/**
+ * Extract data from the text of a REWE eBon.
+ * REWE sends its receipts as a PDF attachment, so this parser works on the
+ * plain text extracted from that PDF rather than on an HTML email body.
+ * Parse store address and individual line items with their prices and details.
+ * Deposit (Pfand) lines are returned as line items, deposit returns (Leergut) with a negative price.
+ *
+ * @param {string} receiptText - The text extracted from the REWE eBon PDF.
+ * @returns {object} An object containing the extracted store address and an array of line items.
+ * @returns {string|null} return.storeAddress - The extracted store address, or null if not found.
+ * @returns {Array<object>} return.lineItems - An array of extracted line item objects.
+ * @returns {string|null} return.lineItems[].description - The name or main description of the item.
+ * @returns {number|null} return.lineItems[].totalPrice - The total price of the item.
+ * @returns {string|null} return.lineItems[].details - Additional details, e.g. '2 Stk x 0,99' or '0,615 kg x 1,99 EUR/kg'.
+ * @returns {string|null} return.receiptNumber - The receipt number ('Bon-Nr.'), or null if not found.
+ * @returns {Date|null} return.purchaseDate - The purchase timestamp printed on the receipt, or null if not found.
+ */
+function extractReweReceiptData(receiptText) {
+  const lines = receiptText.split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line !== '');
+
+  // Extract store address
+  Logger.log('parsing store address ...');
+  const { storeAddress, addressEndIndex } = runStage('address', () => extractReweStoreAddress(lines));
+
+  // Extract line items
+  Logger.log('parsing line items ...');
+  const currencyHeaderIndex = lines.indexOf('EUR');
+  const itemsStartIndex = currencyHeaderIndex === -1 ? addressEndIndex : currencyHeaderIndex + 1;
+  const lineItems = runStage('line items', () => extractReweLineItems(lines.slice(itemsStartIndex)));
+  return {
+    storeAddress: storeAddress,
+    lineItems: lineItems,
+    receiptNumber: extractReceiptNumber(lines),
+    purchaseDate: extractReceiptDate(lines),
+  };
+}
+
+/**
+ * Find the store address at the top of the eBon.
+ * The address consists of the street and the postcode/city lines.
+ *
+ * @param {Array<string>} lines - The text lines of the receipt.
+ * @returns {object} The store address (or null) and the index of the first line after it.
+ */
+function extractReweStoreAddress(lines) {
+  const cityIndex = lines.findIndex((line, i) => i > 0 && i < 6 && /^\d{5}\s+\S/.test(line));
+  if (cityIndex === -1) {
+    return { storeAddress: null, addressEndIndex: 0 };
+  }
+
+  const storeAddress = lines.slice(cityIndex - 1, cityIndex + 1).join(', ');
+  return { storeAddress: storeAddress, addressEndIndex: cityIndex + 1 };
+}
+
+function extractReweLineItems(lines) {
+  // Item lines end with the price, the VAT category letter and an optional '*' marking deposits
+  const itemRegex = /^(.*?[^\d\s-].*?)\s+(-?\d+,\d\d)(?:\s+[A-Z](?:\s*\*)?)?$/;
+  const quantityRegex = /^(\d+ Stk x \d+,\d\d)$/;
+  const weightRegex = /^(\d+,\d+ kg x \d+,\d\d EUR\/kg)$/;
+  const sumRegex = /^(SUMME|-{5,})/;
+
+  const lineItems = [];
+  for (const line of lines) {
+    if (sumRegex.test(line)) {
+      break;
+    }
+
+    const detailMatch = line.match(quantityRegex) || line.match(weightRegex);
+    if (detailMatch) {
+      if (lineItems.length > 0) {
+        lineItems[lineItems.length - 1].details = detailMatch[1];
+      }
+      continue;
+    }
+
+    const itemMatch = line.match(itemRegex);
+    if (itemMatch) {
+      lineItems.push({
+        description: itemMatch[1].trim(),
+        totalPrice: parseFloat(itemMatch[2].replace(',', '.')),
+        details: null,
+      });
+    }
+  }
+
+  return lineItems;
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = { extractReweReceiptData };
+}
@@ -0,0 +1,43 @@
+/**
+ * Convert an HTML email body into trimmed, non-empty text lines.
+ * Source whitespace is collapsed as in a browser: block-level elements and
+ * line breaks start a new line, all other tags are dropped.
+ *
+ * @param {string} html - The HTML content of the email.
+ * @returns {Array<string>} The text lines of the email.
+ */
+function htmlToTextLines(html) {
+  const text = html
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<br\s*\/?>|<\/?(p|div|table|tr|li|h\d)\b[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ');
+  return decodeHtmlEntities(text).split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line !== '');
+}
+
+/**
+ * Decode the HTML entities used in receipt emails.
+ *
+ * @param {string} text - Text containing HTML entities.
+ * @returns {string} The decoded text; non-breaking spaces become regular spaces.
+ */
+function decodeHtmlEntities(text) {
+  const namedEntities = {
+    nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", euro: '€',
+    auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ß',
+  };
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const isHex = name[1] === 'x' || name[1] === 'X';
+      return String.fromCharCode(parseInt(name.slice(isHex ? 2 : 1), isHex ? 16 : 10));
+    }
+    return Object.prototype.hasOwnProperty.call(namedEntities, name) ? namedEntities[name] : entity;
+  });
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = { htmlToTextLines, decodeHtmlEntities };
+}
@@ -0,0 +1,22 @@
+/**
+ * Determine the next sequential ID of a sheet.
+ * IDs are positive integers; the next ID is one above the highest existing ID,
+ * so gaps left by deleted rows are never reused. Non-numeric IDs are ignored.
+ *
+ * @param {Array<Array<*>>} sheetData - The values of the sheet, including the header row.
+ * @param {number} [idColumnIndex=0] - The index of the ID column.
+ * @returns {number} The next free ID.
+ */
+function nextSequentialId(sheetData, idColumnIndex = 0) {
+  // Skip header row (index 0)
+  const maxId = sheetData.slice(1).reduce((max, row) => {
+    const id = Number(row[idColumnIndex]);
+    return row[idColumnIndex] !== '' && Number.isInteger(id) && id > max ? id : max;
+  }, 0);
+  return maxId + 1;
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = { nextSequentialId };
+}
@@ -0,0 +1,222 @@
+// Import functions (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { getReceiptParsers, findReceiptParser } = require('./receiptParsers');
+  var { apiError } = require('./apiRoutes');
+}
+
+/**
+ * Work out what to import from a manual receipt upload.
+ * The content is either the HTML of a receipt e-mail or a saved e-mail (.eml); for an .eml the
+ * parser is chosen by sender and subject like for e-mails in the mailbox, for HTML the
+ * `parser` field must name it. Only parsers reading the HTML body support uploads.
+ *
+ * @param {object} fields - The upload form fields.
+ * @param {string} fields.content - The receipt HTML or the .eml source.
+ * @param {string} [fields.format] - 'html' or 'eml'; detected from the content when missing.
+ * @param {string} [fields.parser] - The ID of the parser, e.g. 'netto'.
+ * @param {string|boolean} [fields.dryRun] - Whether to only preview the parsed receipt.
+ * @param {Array<object>} [parsers] - The parsers to choose from (defaults to the registered parsers).
+ * @returns {object} The upload: `parser`, HTML `content`, the e-mail `date` (or null) and `dryRun`.
+ */
+function resolveReceiptUpload(fields, parsers = getReceiptParsers()) {
+  const rawContent = String(fields.content || '');
+  if (rawContent.trim() === '') {
+    throw apiError(400, "Missing parameter 'content'");
+  }
+
+  const format = fields.format || (looksLikeEml(rawContent) ? 'eml' : 'html');
+  let content = rawContent;
+  let date = null;
+  let parser = null;
+
+  if (fields.parser) {
+    parser = parsers.find(p => p.id === fields.parser);
+    if (!parser) {
+      throw apiError(400, `Unknown parser '${fields.parser}', expected one of: ${parsers.map(p => p.id).join(', ')}`);
+    }
+  }
+
+  if (format === 'eml') {
+    const email = parseEml(rawContent);
+    if (!email.html) {
+      throw apiError(400, 'The e-mail has no HTML part');
+    }
+    content = email.html;
+    date = email.date;
+    parser = parser || findReceiptParser(email.from, email.subject, parsers);
+    if (!parser) {
+      throw apiError(400, `No receipt parser registered for ${email.from}`);
+    }
+  } else if (format !== 'html') {
+    throw apiError(400, `Unknown format '${format}', expected 'html' or 'eml'`);
+  } else if (!parser) {
+    throw apiError(400, "Missing parameter 'parser' for an HTML upload");
+  }
+
+  if (parser.source !== 'body') {
+    throw apiError(400, `Uploads are not supported for ${parser.storeName} receipts`);
+  }
+
+  return {
+    parser: parser,
+    content: content,
+    date: date,
+    dryRun: [true, 'true', '1', 'on'].includes(fields.dryRun),
+  };
+}
+
+function looksLikeEml(content) {
+  const headerEnd = content.search(/\r?\n\r?\n/);
+  const headers = headerEnd === -1 ? '' : content.slice(0, headerEnd);
+  return /^[\w-]+:/.test(headers) && /^(from|content-type):/im.test(headers);
+}
+
+/**
+ * Parse a saved e-mail (.eml) into its sender, subject, date and HTML body.
+ * Understands multipart messages, quoted-printable and base64 transfer encodings,
+ * UTF-8 and ISO-8859-1 charsets and encoded words in the headers.
+ *
+ * @param {string} source - The .eml source.
+ * @returns {object} The e-mail.
+ * @returns {string} return.from - The From header.
+ * @returns {string} return.subject - The decoded subject.
+ * @returns {Date|null} return.date - The Date header, or null if missing or invalid.
+ * @returns {string|null} return.html - The decoded HTML body, or null if the e-mail has none.
+ */
+function parseEml(source) {
+  const { headers, body } = parseMimePart(source);
+  const date = headers['date'] ? new Date(headers['date']) : null;
+  return {
+    from: decodeHeaderWords(headers['from'] || ''),
+    subject: decodeHeaderWords(headers['subject'] || ''),
+    date: date && !isNaN(date.getTime()) ? date : null,
+    html: findHtmlBody(headers, body),
+  };
+}
+
+function parseMimePart(source) {
+  const separator = source.match(/\r?\n\r?\n/);
+  const headerText = separator ? source.slice(0, separator.index) : source;
+  const body = separator ? source.slice(separator.index + separator[0].length) : '';
+
+  const headers = {};
+  headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const match = line.match(/^([\w-]+):\s*(.*)$/);
+    if (match) {
+      headers[match[1].toLowerCase()] = match[2].trim();
+    }
+  });
+  return { headers, body };
+}
+
+function findHtmlBody(headers, body) {
+  const contentType = (headers['content-type'] || 'text/plain').toLowerCase();
+
+  if (contentType.startsWith('multipart/')) {
+    const boundary = (headers['content-type'].match(/boundary="?([^";]+)"?/i) || [])[1];
+    if (!boundary) {
+      return null;
+    }
+    const parts = body.split(`--${boundary}`).slice(1);
+    for (const part of parts) {
+      if (part.startsWith('--')) {
+        break;
+      }
+      const { headers: partHeaders, body: partBody } = parseMimePart(part.replace(/^\r?\n/, ''));
+      const html = findHtmlBody(partHeaders, partBody);
+      if (html) {
+        return html;
+      }
+    }
+    return null;
+  }
+
+  if (!contentType.startsWith('text/html')) {
+    return null;
+  }
+  const charset = (contentType.match(/charset="?([^";]+)"?/) || [])[1] || 'utf-8';
+  return decodeTransferEncoding(body, headers['content-transfer-encoding'], charset);
+}
+
+function decodeTransferEncoding(text, encoding, charset) {
+  switch ((encoding || '').toLowerCase()) {
+    case 'base64':
+      return decodeBytes(decodeBase64(text), charset);
+    case 'quoted-printable':
+      return decodeQuotedPrintable(text, charset);
+    default:
+      return text;
+  }
+}
+
+function decodeHeaderWords(value) {
+  return value
+    .replace(/(=\?[^?]+\?[BQ]\?[^?]*\?=)\s+(?==\?)/gi, '$1')
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (word, charset, encoding, text) => {
+      return encoding.toUpperCase() === 'B'
+        ? decodeBytes(decodeBase64(text), charset)
+        : decodeQuotedPrintable(text.replace(/_/g, ' '), charset);
+    });
+}
+
+/**
+ * Decode quoted-printable text. Only the escaped bytes are decoded in the charset; characters
+ * that were not escaped (e.g. raw umlauts in a pasted e-mail) are kept as they are.
+ */
+function decodeQuotedPrintable(text, charset) {
+  return text
+    .replace(/=\r?\n/g, '')
+    .replace(/(?:=[0-9A-F]{2})+/gi, escaped =>
+      decodeBytes(escaped.slice(1).split('=').map(hex => parseInt(hex, 16)), charset));
+}
+
+function decodeBase64(text) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text.replace(/[^A-Za-z0-9+/]/g, '')) {
+    buffer = (buffer << 6) | alphabet.indexOf(char);
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return bytes;
+}
+
+function decodeBytes(bytes, charset) {
+  if (!/^utf-?8$/i.test(charset)) {
+    // ISO-8859-1 and windows-1252 map bytes to the same code points for the characters on receipts.
+    // Converted in chunks, as spreading a large body into one call overflows the stack
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+      text += String.fromCharCode.apply(null, bytes.slice(i, i + 8192));
+    }
+    return text;
+  }
+
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+    let code = byte;
+    if (byte >= 0xf0) {
+      code = ((byte & 0x07) << 18) | ((bytes[i + 1] & 0x3f) << 12) | ((bytes[i + 2] & 0x3f) << 6) | (bytes[i + 3] & 0x3f);
+      i += 3;
+    } else if (byte >= 0xe0) {
+      code = ((byte & 0x0f) << 12) | ((bytes[i + 1] & 0x3f) << 6) | (bytes[i + 2] & 0x3f);
+      i += 2;
+    } else if (byte >= 0xc0) {
+      code = ((byte & 0x1f) << 6) | (bytes[i + 1] & 0x3f);
+      i += 1;
+    }
+    text += String.fromCodePoint(code);
+  }
+  return text;
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = { resolveReceiptUpload, parseEml };
+}
@@ -0,0 +1,93 @@
+/**
+ * Units as written on receipts mapped to the normalised unit and the factor
+ * converting the written quantity into the normalised unit.
+ */
+const UNIT_ALIASES = {
+  'g': { unit: 'kg', factor: 0.001 },
+  'gr': { unit: 'kg', factor: 0.001 },
+  'kg': { unit: 'kg', factor: 1 },
+  'ml': { unit: 'l', factor: 0.001 },
+  'cl': { unit: 'l', factor: 0.01 },
+  'l': { unit: 'l', factor: 1 },
+  'ltr': { unit: 'l', factor: 1 },
+  'liter': { unit: 'l', factor: 1 },
+  'st': { unit: 'Stück', factor: 1 },
+  'stk': { unit: 'Stück', factor: 1 },
+  'stück': { unit: 'Stück', factor: 1 },
+};
+
+/**
+ * Parse the detail row of a line item into quantity, unit and unit price.
+ * Understands multi-buy lines ('2 x 1,29', '2 Stk x 0,99', dm's '2 St 0,95'), weighed
+ * items ('0,532 kg x 2,99 EUR/kg') and package sizes ('500g', '1,5 Liter', '1.000 g').
+ * Units are normalised to 'kg', 'l' or 'Stück'; grams and millilitres are converted.
+ * Line items without a parseable detail row count as one piece.
+ *
+ * @param {string|null} details - The detail row of the line item.
+ * @param {number|null} totalPrice - The total price of the line item.
+ * @returns {object} The structured quantity.
+ * @returns {number|null} return.quantity - The quantity in the normalised unit.
+ * @returns {string|null} return.unit - The normalised unit ('kg', 'l' or 'Stück').
+ * @returns {number|null} return.unitPrice - The price per normalised unit.
+ */
+function parseLineItemDetails(details, totalPrice) {
+  const text = (details || '').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+
+  // '0,532 kg x 2,99 EUR/kg' or '2 Stk x 0,99' or '2 x 1,29', the 'x' is optional after 'St'/'Stk' ('2 St 0,95')
+  const multiplyMatch = text.match(/^(\d{1,3}(?:\.\d{3})+(?:,\d+)?|\d+(?:,\d+)?)\s*(?:(stk?)\.?\s*x?|([a-zA-Zäöü]+\.?)?\s*x)\s*(\d+,\d+)(?:\s*(?:EUR|€)?\s*\/\s*([a-zA-Zäöü]+))?$/i);
+  if (multiplyMatch) {
+    const unitAlias = normaliseUnit(multiplyMatch[2] || multiplyMatch[3] || multiplyMatch[5] || 'Stück');
+    if (unitAlias) {
+      return {
+        quantity: roundTo(parseGermanNumber(multiplyMatch[1]) * unitAlias.factor, 3),
+        unit: unitAlias.unit,
+        unitPrice: roundTo(parseGermanNumber(multiplyMatch[4]) / unitAlias.factor, 2),
+      };
+    }
+  }
+
+  // '500g', '1,5 Liter', '750 ml', '1.000 g'
+  const sizeMatch = text.match(/^(\d{1,3}(?:\.\d{3})+(?:,\d+)?|\d+(?:,\d+)?)\s*([a-zA-Zäöü]+)\.?$/);
+  if (sizeMatch) {
+    const unitAlias = normaliseUnit(sizeMatch[2]);
+    if (unitAlias) {
+      const quantity = roundTo(parseGermanNumber(sizeMatch[1]) * unitAlias.factor, 3);
+      return {
+        quantity: quantity,
+        unit: unitAlias.unit,
+        unitPrice: totalPrice == null || quantity === 0 ? null : roundTo(totalPrice / quantity, 2),
+      };
+    }
+  }
+
+  return {
+    quantity: 1,
+    unit: 'Stück',
+    unitPrice: totalPrice == null ? null : totalPrice,
+  };
+}
+
+/**
+ * Look up a unit as written on a receipt.
+ *
+ * @param {string} unit - The unit, e.g. 'g', 'Liter' or 'Stk.'.
+ * @returns {object|null} The normalised unit and conversion factor, or null if the unit is unknown.
+ */
+function normaliseUnit(unit) {
+  const key = unit.replace(/\.$/, '').toLowerCase();
+  return UNIT_ALIASES[key] || null;
+}
+
+function parseGermanNumber(numberString) {
+  return parseFloat(numberString.replace(/\./g, '').replace(',', '.'));
+}
+
+function roundTo(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = { parseLineItemDetails, normaliseUnit, roundTo };
+}
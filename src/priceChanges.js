@@ -0,0 +1,145 @@
+// Import functions (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { getSheetLayout } = require('./sheetLayout');
+}
+
+/**
+ * Compare the unit prices of a purchase's products with their price history.
+ * Each product is compared with its latest earlier purchase in the same unit, so receipts
+ * imported out of order (e.g. by a backfill) are compared with what came before them.
+ *
+ * @param {Array<Array<*>>} priceLogData - The values of the 'priceLog' sheet, including the header row.
+ * @param {Array<Array<*>>} purchasesData - The values of the 'purchases' sheet, including the header row.
+ * @param {string|number} purchaseId - The ID of the purchase to check.
+ * @param {number} threshold - The relative change to report, e.g. 0.05 for 5 %.
+ * @returns {Array<object>} The price changes.
+ * @returns {*} return[].productId - The ID of the product.
+ * @returns {string} return[].description - The description on the checked receipt.
+ * @returns {string} return[].unit - The unit of the unit prices.
+ * @returns {number} return[].previousUnitPrice - The unit price of the earlier purchase.
+ * @returns {number} return[].unitPrice - The unit price of the checked purchase.
+ * @returns {number} return[].change - The relative change, negative for price drops.
+ * @returns {*} return[].previousPurchaseId - The ID of the earlier purchase.
+ */
+function findPriceChanges(priceLogData, purchasesData, purchaseId, threshold) {
+  const purchaseColumns = getSheetLayout().purchases.columns;
+  const priceLogColumns = getSheetLayout().priceLog.columns;
+  const purchaseDates = {};
+  purchasesData.slice(1).forEach(row => {
+    purchaseDates[row[purchaseColumns.purchaseId]] = new Date(row[purchaseColumns.date]).getTime();
+  });
+
+  const productRows = priceLogData.slice(1).filter(row =>
+    row[priceLogColumns.type] === 'product' &&
+    row[priceLogColumns.productId] !== '' && row[priceLogColumns.productId] != null &&
+    typeof row[priceLogColumns.unitPrice] === 'number'
+  );
+  const purchaseDate = purchaseDates[purchaseId];
+  const checkedProductIds = new Set();
+  const changes = [];
+
+  productRows.filter(row => row[priceLogColumns.purchaseId] === purchaseId).forEach(row => {
+    const productId = row[priceLogColumns.productId];
+    const unit = row[priceLogColumns.unit];
+    if (checkedProductIds.has(productId)) {
+      return;
+    }
+    checkedProductIds.add(productId);
+
+    let previousRow = null;
+    productRows.forEach(candidate => {
+      const candidateDate = purchaseDates[candidate[priceLogColumns.purchaseId]];
+      if (candidate[priceLogColumns.productId] === productId &&
+        candidate[priceLogColumns.unit] === unit &&
+        candidateDate < purchaseDate &&
+        (!previousRow || candidateDate >= purchaseDates[previousRow[priceLogColumns.purchaseId]])) {
+        previousRow = candidate;
+      }
+    });
+    if (!previousRow || previousRow[priceLogColumns.unitPrice] === 0) {
+      return;
+    }
+
+    const previousUnitPrice = previousRow[priceLogColumns.unitPrice];
+    const unitPrice = row[priceLogColumns.unitPrice];
+    const change = (unitPrice - previousUnitPrice) / previousUnitPrice;
+    if (Math.abs(change) >= threshold) {
+      changes.push({
+        productId: productId,
+        description: row[priceLogColumns.description],
+        unit: unit,
+        previousUnitPrice: previousUnitPrice,
+        unitPrice: unitPrice,
+        change: Math.round(change * 1000) / 1000,
+        previousPurchaseId: previousRow[priceLogColumns.purchaseId],
+      });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Build the 'priceChanges' sheet row of a price change.
+ *
+ * @param {object} change - The price change (see `findPriceChanges`).
+ * @param {string|number} purchaseId - The ID of the purchase with the new price.
+ * @param {Date} detectedAt - When the change was found.
+ * @returns {Array<*>} The row values.
+ */
+function buildPriceChangeRow(change, purchaseId, detectedAt) {
+  return [
+    detectedAt,
+    change.productId,
+    change.description,
+    change.unit,
+    change.previousUnitPrice,
+    change.unitPrice,
+    change.change,
+    purchaseId,
+    change.previousPurchaseId,
+    '',
+  ];
+}
+
+/**
+ * Build the digest e-mail listing price changes, price increases first.
+ *
+ * @param {Array<Array<*>>} changeRows - The 'priceChanges' rows to list.
+ * @param {string} currency - The currency of the prices, e.g. 'EUR'.
+ * @returns {object} The e-mail `subject` and plain text `body`.
+ */
+function buildPriceChangeDigest(changeRows, currency) {
+  const columns = getSheetLayout().priceChanges.columns;
+  const formatPrice = price => `${price.toFixed(2).replace('.', ',')} ${currency}`;
+  const formatChange = change => `${change > 0 ? '+' : ''}${(change * 100).toFixed(1).replace('.', ',')} %`;
+  const formatRow = row => `${row[columns.description]}: ${formatPrice(row[columns.previousUnitPrice])} → ` +
+    `${formatPrice(row[columns.unitPrice])} per ${row[columns.unit]} (${formatChange(row[columns.change])})`;
+
+  const increases = changeRows.filter(row => row[columns.change] > 0)
+    .sort((a, b) => b[columns.change] - a[columns.change]);
+  const decreases = changeRows.filter(row => row[columns.change] < 0)
+    .sort((a, b) => a[columns.change] - b[columns.change]);
+
+  const sections = [];
+  if (increases.length > 0) {
+    sections.push(['Price increases:', ...increases.map(formatRow)].join('\n'));
+  }
+  if (decreases.length > 0) {
+    sections.push(['Price decreases:', ...decreases.map(formatRow)].join('\n'));
+  }
+
+  return {
+    subject: `Price changes: ${increases.length} up, ${decreases.length} down`,
+    body: sections.join('\n\n'),
+  };
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = {
+    findPriceChanges,
+    buildPriceChangeRow,
+    buildPriceChangeDigest,
+  };
+}
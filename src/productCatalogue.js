@@ -0,0 +1,159 @@
+// Import functions (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { matchProduct } = require('./productMatcher');
+  var { nextSequentialId } = require('./idAllocation');
+  var { getSheetLayout } = require('./sheetLayout');
+}
+
+/**
+ * Create the product catalogue on top of a sheet repository.
+ * Every receipt description resolves to a product ID: remembered aliases and exact or close
+ * matches reuse the existing product, anything else becomes a new product. Descriptions that
+ * only resemble an existing product become a new product and are queued in the 'productReview'
+ * sheet, so the match can be confirmed with `applyProductReviews`.
+ *
+ * @param {object} repository - The sheet repository (see `createSheetRepository`).
+ * @returns {object} The catalogue.
+ */
+function createProductCatalogue(repository) {
+  const layout = getSheetLayout();
+  let catalogue = null;
+
+  function getCatalogue() {
+    if (!catalogue) {
+      catalogue = { products: [], aliases: {}, names: {} };
+      repository.getValues(layout.products.name).slice(1).forEach(row => {
+        catalogue.products.push({ productId: row[0], normalisedName: row[2] });
+        catalogue.names[row[0]] = row[1];
+      });
+      repository.getValues(layout.productAliases.name).slice(1).forEach(row => {
+        catalogue.aliases[row[0]] = row[1];
+      });
+    }
+    return catalogue;
+  }
+
+  function addProduct(description, normalised) {
+    const productId = nextSequentialId(repository.getValues(layout.products.name));
+    repository.appendRow(layout.products.name, [productId, description, normalised]);
+    getCatalogue().products.push({ productId: productId, normalisedName: normalised });
+    getCatalogue().names[productId] = description;
+    return productId;
+  }
+
+  function addAlias(normalised, productId) {
+    repository.appendRow(layout.productAliases.name, [normalised, productId, false]);
+    getCatalogue().aliases[normalised] = productId;
+  }
+
+  /**
+   * Resolve a receipt description to a product ID, adding the product when needed.
+   *
+   * @param {string} description - The description as printed on the receipt.
+   * @returns {object} The product ID and the match status (see `matchProduct`).
+   */
+  function resolve(description) {
+    const match = matchProduct(description, getCatalogue());
+
+    switch (match.status) {
+      case 'alias':
+      case 'exact':
+        return { productId: match.productId, status: match.status };
+      case 'fuzzy':
+        addAlias(match.normalised, match.productId);
+        return { productId: match.productId, status: match.status };
+      case 'uncertain': {
+        const productId = addProduct(description, match.normalised);
+        addAlias(match.normalised, productId);
+        repository.appendRow(layout.productReview.name, [
+          description,
+          productId,
+          match.productId,
+          getCatalogue().names[match.productId],
+          match.score,
+          '',
+        ]);
+        return { productId: productId, status: match.status };
+      }
+      default:
+        return { productId: addProduct(description, match.normalised), status: match.status };
+    }
+  }
+
+  return { resolve };
+}
+
+/**
+ * Work out the effect of the decisions entered in the 'productReview' sheet.
+ * A row answered with TRUE in 'sameProduct' merges the queued product into the candidate,
+ * a row answered with FALSE keeps it as a separate product; both remember the alias as confirmed.
+ * Rows without an answer stay queued.
+ *
+ * @param {Array<Array<*>>} reviewRows - The rows of the 'productReview' sheet without the header.
+ * @returns {object} The decisions.
+ * @returns {Object<string, *>} return.mergedProductIds - The candidate product ID by queued product ID.
+ * @returns {Array<Array<*>>} return.remainingRows - The rows still waiting for a decision.
+ */
+function resolveProductReviews(reviewRows) {
+  const mergedProductIds = {};
+  const remainingRows = [];
+
+  reviewRows.forEach(row => {
+    const answer = String(row[5]).trim().toUpperCase();
+    if (answer === 'TRUE') {
+      mergedProductIds[row[1]] = row[2];
+    } else if (answer !== 'FALSE') {
+      remainingRows.push(row);
+    }
+  });
+
+  return { mergedProductIds, remainingRows };
+}
+
+/**
+ * Apply review decisions to the 'productAliases' rows: aliases of decided products are
+ * marked confirmed and point to the merged product where one was chosen.
+ *
+ * @param {Array<Array<*>>} aliasRows - The rows of the 'productAliases' sheet without the header.
+ * @param {Array<*>} decidedProductIds - The queued product IDs that received an answer.
+ * @param {Object<string, *>} mergedProductIds - The candidate product ID by queued product ID.
+ * @returns {Array<Array<*>>} The updated rows.
+ */
+function applyReviewsToAliases(aliasRows, decidedProductIds, mergedProductIds) {
+  return aliasRows.map(([alias, productId, confirmed]) => {
+    if (!decidedProductIds.includes(productId)) {
+      return [alias, productId, confirmed];
+    }
+    const mergedProductId = mergedProductIds[productId];
+    return [alias, mergedProductId === undefined ? productId : mergedProductId, true];
+  });
+}
+
+/**
+ * Retire the products merged into another product by a review. Their normalised name is
+ * cleared, so later descriptions no longer match the orphaned ID but the product it was merged
+ * into (whose aliases now include the merged descriptions). The rows are kept, so their IDs are
+ * not handed out again, and the name notes the merge.
+ *
+ * @param {Array<Array<*>>} productRows - The rows of the 'products' sheet without the header.
+ * @param {Object<string, *>} mergedProductIds - The candidate product ID by queued product ID.
+ * @returns {Array<Array<*>>} The updated rows.
+ */
+function retireMergedProducts(productRows, mergedProductIds) {
+  return productRows.map(row => {
+    if (!Object.prototype.hasOwnProperty.call(mergedProductIds, row[0]) || row[2] === '') {
+      return row;
+    }
+    return [row[0], `${row[1]} (merged into ${mergedProductIds[row[0]]})`, '', ...row.slice(3)];
+  });
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = {
+    createProductCatalogue,
+    resolveProductReviews,
+    applyReviewsToAliases,
+    retireMergedProducts,
+  };
+}
@@ -0,0 +1,121 @@
+// Scores at or above which a fuzzy match is accepted automatically or queued for review
+const AUTO_MATCH_SCORE = 0.9;
+const REVIEW_MATCH_SCORE = 0.6;
+// Score of a description that is a prefix of the other: it may be truncated ('Gouda jung holl')
+// or name a variant ('Coca Cola' / 'Coca Cola Zero'), so it is queued for review
+const PREFIX_MATCH_SCORE = 0.8;
+
+/**
+ * Normalise a receipt description for matching: lower case, umlauts folded,
+ * punctuation removed, units joined to their amount ('400 G' becomes '400g').
+ *
+ * @param {string} description - The description as printed on the receipt.
+ * @returns {string} The normalised description.
+ */
+function normaliseDescription(description) {
+  return (description || '')
+    .toLowerCase()
+    .replace(/ä/g, 'ae')
+    .replace(/ö/g, 'oe')
+    .replace(/ü/g, 'ue')
+    .replace(/ß/g, 'ss')
+    .replace(/(\d),(\d)/g, '$1.$2')
+    .replace(/[^a-z0-9.%]+/g, ' ')
+    .replace(/(^|\s)\.+|\.+(\s|$)/g, ' ')
+    .replace(/(\d)\s+(g|kg|ml|l|cl|st|stk)\b/g, '$1$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Score the similarity of two normalised descriptions between 0 and 1.
+ * Uses the Dice coefficient of character bigrams; a description of 8 or more characters
+ * that is a prefix of the other (receipts cut long names) scores at least `PREFIX_MATCH_SCORE`,
+ * which is below `AUTO_MATCH_SCORE`: a prefix alone never merges two products without review.
+ *
+ * @param {string} a - A normalised description.
+ * @param {string} b - Another normalised description.
+ * @returns {number} The similarity score.
+ */
+function descriptionSimilarity(a, b) {
+  if (!a || !b) {
+    return 0;
+  }
+  if (a === b) {
+    return 1;
+  }
+
+  const shorter = a.length <= b.length ? a : b;
+  const longer = shorter === a ? b : a;
+  const prefixScore = shorter.length >= 8 && longer.startsWith(shorter) ? PREFIX_MATCH_SCORE : 0;
+
+  const bigrams = text => {
+    const counts = {};
+    for (let i = 0; i < text.length - 1; i++) {
+      const bigram = text.slice(i, i + 2);
+      counts[bigram] = (counts[bigram] || 0) + 1;
+    }
+    return counts;
+  };
+  const bigramsA = bigrams(a);
+  const bigramsB = bigrams(b);
+  let overlap = 0;
+  Object.keys(bigramsA).forEach(bigram => {
+    overlap += Math.min(bigramsA[bigram], bigramsB[bigram] || 0);
+  });
+  const diceScore = (2 * overlap) / Math.max(1, (a.length - 1) + (b.length - 1));
+
+  return Math.max(prefixScore, diceScore);
+}
+
+/**
+ * Match a receipt description against the product catalogue.
+ *
+ * @param {string} description - The description as printed on the receipt.
+ * @param {object} catalogue - The catalogue to match against.
+ * @param {Object<string, *>} catalogue.aliases - Product IDs by normalised description (remembered matches).
+ * @param {Array<object>} catalogue.products - The products with `productId` and `normalisedName`.
+ * @returns {object} The match: `status` ('alias', 'exact', 'fuzzy', 'uncertain' or 'new'),
+ * the matched or candidate `productId` (null for 'new'), its `score` and the normalised description.
+ */
+function matchProduct(description, catalogue) {
+  const normalised = normaliseDescription(description);
+
+  if (Object.prototype.hasOwnProperty.call(catalogue.aliases, normalised)) {
+    return { status: 'alias', productId: catalogue.aliases[normalised], score: 1, normalised: normalised };
+  }
+
+  let best = { productId: null, score: 0 };
+  for (const product of catalogue.products) {
+    const score = descriptionSimilarity(normalised, product.normalisedName);
+    if (score > best.score) {
+      best = { productId: product.productId, score: score };
+    }
+  }
+
+  let status = 'new';
+  if (best.score === 1) {
+    status = 'exact';
+  } else if (best.score >= AUTO_MATCH_SCORE) {
+    status = 'fuzzy';
+  } else if (best.score >= REVIEW_MATCH_SCORE) {
+    status = 'uncertain';
+  }
+  return {
+    status: status,
+    productId: status === 'new' ? null : best.productId,
+    score: Math.round(best.score * 100) / 100,
+    normalised: normalised,
+  };
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = {
+    AUTO_MATCH_SCORE,
+    REVIEW_MATCH_SCORE,
+    normaliseDescription,
+    descriptionSimilarity,
+    matchProduct,
+  };
+}
@@ -0,0 +1,92 @@
+// Import functions (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { getSheetLayout } = require('./sheetLayout');
+}
+
+/**
+ * Find an existing purchase in the 'purchases' sheet data.
+ *
+ * A purchase with a receipt number is identified by store, receipt number and the
+ * timestamp printed on the receipt; a row with a different receipt number never matches,
+ * so two receipts forwarded at the same time stay separate.
+ * Without a receipt number on either side, store and timestamp are matched and the total
+ * is compared as a fallback check whenever both totals are known.
+ * Rows loaded before receipt numbers were read have none and carry the date of the e-mail
+ * instead of the printed timestamp; they are matched on store, either date and total.
+ *
+ * @param {Array<Array<*>>} purchasesData - The values of the 'purchases' sheet, including the header row.
+ * @param {object} purchase - The purchase to look up.
+ * @param {string|number} purchase.storeId - The ID of the store.
+ * @param {Date} purchase.purchaseDate - The purchase timestamp.
+ * @param {Date|null} [purchase.emailDate] - The date of the e-mail the receipt came with.
+ * @param {number|null} [purchase.totalPrice] - The total price of the purchase.
+ * @param {string|null} [purchase.receiptNumber] - The receipt/transaction number.
+ * @returns {string|number|null} The ID of the matching purchase, or null if none matches.
+ */
+function findMatchingPurchaseId(purchasesData, purchase) {
+  const columns = getSheetLayout().purchases.columns;
+  const receiptNumber = normaliseReceiptNumber(purchase.receiptNumber);
+
+  // Skip header row (index 0)
+  for (let i = 1; i < purchasesData.length; i++) {
+    const row = purchasesData[i];
+    const existingReceiptNumber = normaliseReceiptNumber(row[columns.receiptNumber]);
+
+    const isMatchingStore = String(row[columns.storeId]) === String(purchase.storeId);
+    const isMatchingDate = isSameTimestamp(row[columns.date], purchase.purchaseDate) ||
+      (!existingReceiptNumber && isSameTimestamp(row[columns.date], purchase.emailDate));
+    if (!isMatchingStore || !isMatchingDate) {
+      continue;
+    }
+
+    if (existingReceiptNumber) {
+      if (receiptNumber === existingReceiptNumber) {
+        return row[columns.purchaseId];
+      }
+      continue;
+    }
+
+    if (isMatchingTotal(row[columns.totalPrice], purchase.totalPrice)) {
+      return row[columns.purchaseId];
+    }
+  }
+
+  return null; // No matching purchase found
+}
+
+function normaliseReceiptNumber(receiptNumber) {
+  if (receiptNumber === null || receiptNumber === undefined || receiptNumber === '') {
+    return null;
+  }
+  return String(receiptNumber).replace(/^0+(?=\d)/, '');
+}
+
+/**
+ * Compare two timestamps at second precision (Sheets drops milliseconds).
+ */
+function isSameTimestamp(existingDate, purchaseDate) {
+  if (!existingDate || !purchaseDate) {
+    return false;
+  }
+  const existingSeconds = Math.floor(new Date(existingDate).getTime() / 1000);
+  const purchaseSeconds = Math.floor(new Date(purchaseDate).getTime() / 1000);
+  return existingSeconds === purchaseSeconds;
+}
+
+/**
+ * Compare two totals; an unknown total on either side does not prevent a match.
+ */
+function isMatchingTotal(existingTotal, totalPrice) {
+  if (existingTotal === '' || existingTotal === null || existingTotal === undefined ||
+      totalPrice === null || totalPrice === undefined) {
+    return true;
+  }
+  return Math.abs(parseFloat(existingTotal) - totalPrice) < 0.001;
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = {
+    findMatchingPurchaseId,
+  };
+}
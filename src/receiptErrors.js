@@ -0,0 +1,52 @@
+/**
+ * Run one stage of receipt processing and tag any error it throws with the stage name,
+ * so failures can be reported as e.g. 'split', 'address', 'line items' or 'load'.
+ * An error already tagged by an inner stage keeps its stage.
+ *
+ * @param {string} stage - The name of the stage.
+ * @param {Function} callback - The stage to run.
+ * @returns {*} The return value of the callback.
+ */
+function runStage(stage, callback) {
+  try {
+    return callback();
+  } catch (error) {
+    const stagedError = error instanceof Error ? error : new Error(String(error));
+    if (!stagedError.stage) {
+      stagedError.stage = stage;
+    }
+    throw stagedError;
+  }
+}
+
+/**
+ * Build the 'errors' sheet row of a failed message.
+ *
+ * @param {object} message - The failed message.
+ * @param {string} message.id - The Gmail message ID.
+ * @param {string} message.sender - The sender of the message.
+ * @param {string} message.subject - The subject of the message.
+ * @param {Date} message.date - The date of the message.
+ * @param {Error} error - The error, tagged with its stage by `runStage`.
+ * @param {Date} recordedAt - The time of the failure.
+ * @returns {Array<*>} The row values in the order of the 'errors' header (see `getSheetLayout`).
+ */
+function buildErrorRow(message, error, recordedAt) {
+  return [
+    message.id,
+    message.sender,
+    message.subject,
+    message.date,
+    (error && error.stage) || 'unknown',
+    error ? error.toString() : '',
+    recordedAt,
+  ];
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = {
+    runStage,
+    buildErrorRow,
+  };
+}
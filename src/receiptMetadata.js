@@ -0,0 +1,47 @@
+/**
+ * Find the receipt/transaction number ('Bon-Nr.', 'Beleg-Nr.' or 'Transaktionsnummer').
+ *
+ * @param {Array<string>} lines - The text lines of the receipt.
+ * @returns {string|null} The receipt number, or null if not found.
+ */
+function extractReceiptNumber(lines) {
+  const receiptNumberRegex = /(?:Bon|Beleg|Transaktions?)[-\s]?(?:Nr\.?|nummer)\s*:?\s*(\d+)/i;
+  for (const line of lines) {
+    const match = line.match(receiptNumberRegex);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the purchase timestamp printed on the receipt.
+ * Date and time may be on the same line ('18.10.2026 12:34') or on
+ * separate lines ('Datum: 18.10.2026', 'Uhrzeit: 12:34:56 Uhr').
+ *
+ * @param {Array<string>} lines - The text lines of the receipt.
+ * @returns {Date|null} The purchase timestamp in the script's time zone, or null if no date was found.
+ */
+function extractReceiptDate(lines) {
+  const dateRegex = /\b(\d{2})\.(\d{2})\.(\d{2}|\d{4})\b/;
+  const timeRegex = /\b(\d{2}):(\d{2})(?::(\d{2}))?\b/;
+
+  const dateLineIndex = lines.findIndex(line => dateRegex.test(line));
+  if (dateLineIndex === -1) {
+    return null;
+  }
+
+  const [, day, month, year] = lines[dateLineIndex].match(dateRegex);
+  const timeLine = [lines[dateLineIndex], lines[dateLineIndex + 1], lines[dateLineIndex - 1]]
+    .find(line => line && timeRegex.test(line));
+  const [, hours = 0, minutes = 0, seconds = 0] = timeLine ? timeLine.match(timeRegex) : [];
+
+  const fullYear = year.length === 2 ? 2000 + Number(year) : Number(year);
+  return new Date(fullYear, Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds || 0));
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = { extractReceiptNumber, extractReceiptDate };
+}
@@ -0,0 +1,128 @@
+// Import functions (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { extractNettoReceiptData } = require('./extractNettoReceiptData');
+  var { extractDmReceiptData } = require('./extractDmReceiptData');
+  var { extractReweReceiptData } = require('./extractReweReceiptData');
+  var { parseLineItemDetails } = require('./parseLineItemDetails');
+  var { classifyLineItems } = require('./classifyLineItems');
+}
+
+/**
+ * Return the registered retailer receipt parsers.
+ * The list is built on demand because Apps Script loads files in order and the
+ * parser functions may not be defined yet when this file is evaluated.
+ *
+ * Each parser returns the common receipt shape `{storeAddress, lineItems[]}`.
+ *
+ * @returns {Array<object>} The registered parsers.
+ * @returns {string} return[].id - A short identifier of the retailer.
+ * @returns {string} return[].storeName - The store name written to the 'stores' sheet.
+ * @returns {Array<string>} return[].senders - The sender addresses of the receipt e-mails.
+ * @returns {RegExp|null} return[].subjectPattern - A pattern the subject must match, or null to accept any subject.
+ * @returns {string} return[].source - Where the receipt is read from: 'body' (HTML body) or 'pdfAttachment' (text of the PDF attachment).
+ * @returns {Function} return[].parse - The function extracting the receipt data from the e-mail content.
+ */
+function getReceiptParsers() {
+  return [
+    {
+      id: 'netto',
+      storeName: 'Netto Marken-Discount',
+      senders: ['nicht.antworten@reply.netto-online.de', 'noreply@netto-app.de'],
+      subjectPattern: null,
+      source: 'body',
+      parse: extractNettoReceiptData,
+    },
+    // The dm and REWE sender addresses have not been checked against real receipt e-mails yet;
+    // if receipts are not found, set the actual senders with the `senders.dm` / `senders.rewe` settings
+    {
+      id: 'dm',
+      storeName: 'dm-drogerie markt',
+      senders: ['noreply@dm.de', 'ebon@dm.de'],
+      subjectPattern: /eBon/i,
+      source: 'body',
+      parse: extractDmReceiptData,
+    },
+    {
+      id: 'rewe',
+      storeName: 'REWE',
+      senders: ['ebon@mailing.rewe.de'],
+      subjectPattern: /eBon/i,
+      source: 'pdfAttachment',
+      parse: extractReweReceiptData,
+    },
+  ];
+}
+
+/**
+ * Find the parser responsible for an e-mail based on its sender and subject.
+ *
+ * @param {string} from - The sender of the e-mail, e.g. 'Netto <noreply@netto-app.de>'.
+ * @param {string} subject - The subject of the e-mail.
+ * @param {Array<object>} [parsers] - The parsers to choose from (defaults to the registered parsers).
+ * @returns {object|null} The matching parser, or null if no parser is registered for the e-mail.
+ */
+function findReceiptParser(from, subject, parsers = getReceiptParsers()) {
+  const senderAddress = extractSenderAddress(from);
+  const parser = parsers.find(p =>
+    p.senders.includes(senderAddress) &&
+    (!p.subjectPattern || p.subjectPattern.test(subject || ''))
+  );
+  return parser || null;
+}
+
+/**
+ * Run a parser and return the common receipt shape.
+ * Adds the parser's store name, the structured quantity, unit and unit price
+ * parsed from each line item's detail row, and the line item types (see `classifyLineItems`).
+ *
+ * @param {object} parser - The parser selected by `findReceiptParser`.
+ * @param {string} content - The receipt content (HTML body or PDF text, see `parser.source`).
+ * @returns {object|null} The receipt data, or null if the parser returned nothing.
+ */
+function parseReceipt(parser, content) {
+  const data = parser.parse(content);
+  if (!data || Object.keys(data).length === 0) {
+    return null;
+  }
+
+  const lineItems = classifyLineItems((data.lineItems || []).map(item => ({
+    ...item,
+    ...parseLineItemDetails(item.details, item.totalPrice),
+  })));
+  return { storeName: parser.storeName, ...data, lineItems: lineItems };
+}
+
+/**
+ * Extract the bare e-mail address from a sender string.
+ *
+ * @param {string} from - The sender, either 'name@example.com' or 'Name <name@example.com>'.
+ * @returns {string} The lower-cased e-mail address.
+ */
+function extractSenderAddress(from) {
+  const match = (from || '').match(/<([^>]+)>/);
+  return (match ? match[1] : from || '').trim().toLowerCase();
+}
+
+/**
+ * Build the Gmail search query matching the receipt e-mails of all registered senders.
+ *
+ * @param {string} label - The Gmail label the receipts are filed under.
+ * @param {Array<object>} [parsers] - The parsers whose senders are searched (defaults to the registered parsers).
+ * @returns {string} The Gmail search query, e.g. '{from:a@x.de from:b@y.de} label:kassenbons'.
+ */
+function buildReceiptSearchQuery(label, parsers = getReceiptParsers()) {
+  const senders = parsers.flatMap(p => p.senders);
+  const fromQuery = senders.map(sender => `from:${sender}`).join(' ');
+  return `{${fromQuery}} label:${label}`;
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = {
+    getReceiptParsers,
+    findReceiptParser,
+    parseReceipt,
+    extractSenderAddress,
+    buildReceiptSearchQuery,
+  };
+}
@@ -0,0 +1,174 @@
+// Import functions (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { getSheetLayout } = require('./sheetLayout');
+  var { getLineItemTypes } = require('./classifyLineItems');
+  var { getCategoryMatchTypes, getDefaultCategoryRules } = require('./categoryRules');
+}
+
+/**
+ * Return the sheets of the spreadsheet with their header row and data validation.
+ * Validations name their column by header; 'list' accepts the given values, 'date' a date
+ * and 'checkbox' TRUE/FALSE. Sheets are addressed by their default names.
+ *
+ * @returns {Array<object>} The sheet schemas: `sheetName`, `header`, `frozenRows`, `validations` and
+ * optional `initialRows` written below the header when the sheet is created.
+ */
+function getSheetSchemas() {
+  const layout = getSheetLayout();
+  const schema = (sheet, validations = [], initialRows) => ({
+    sheetName: sheet.name,
+    header: sheet.header,
+    frozenRows: 1,
+    validations: validations,
+    ...(initialRows ? { initialRows: initialRows } : {}),
+  });
+  return [
+    schema(layout.stores),
+    schema(layout.purchases, [{ column: 'date', type: 'date' }]),
+    schema(layout.priceLog, [
+      { column: 'unit', type: 'list', values: ['kg', 'l', 'Stück'] },
+      { column: 'type', type: 'list', values: getLineItemTypes() },
+    ]),
+    schema(layout.products),
+    schema(layout.productAliases),
+    schema(layout.productReview, [{ column: 'sameProduct', type: 'checkbox' }]),
+    schema(layout.priceChanges),
+    schema(layout.categoryRules, [{ column: 'matchType', type: 'list', values: getCategoryMatchTypes() }],
+      getDefaultCategoryRules()),
+    schema(layout.uncategorisedItems),
+    schema(layout.errors),
+    schema(layout.runs),
+    schema(layout.config),
+  ];
+}
+
+/**
+ * Return the schema migrations in version order. Each migration adds columns after an
+ * existing column; columns already present are left alone, so a migration can safely run
+ * on a spreadsheet that was set up or fixed by hand.
+ *
+ * @returns {Array<object>} The migrations: `version`, `description`, `sheetName` and the
+ * `columns` to add after the column with the `after` header.
+ */
+function getSchemaMigrations() {
+  return [
+    {
+      version: 1,
+      description: 'Add quantity, unit and unit price columns to priceLog',
+      sheetName: 'priceLog',
+      after: 'details',
+      columns: ['quantity', 'unit', 'unitPrice'],
+    },
+    {
+      version: 2,
+      description: 'Add the receipt number column to purchases',
+      sheetName: 'purchases',
+      after: 'storeId',
+      columns: ['receiptNumber'],
+    },
+    {
+      version: 3,
+      description: 'Add line item type columns to priceLog',
+      sheetName: 'priceLog',
+      after: 'purchaseId',
+      columns: ['type', 'lineNumber', 'appliesToLine', 'effectivePrice'],
+    },
+    {
+      version: 4,
+      description: 'Add the product ID column to priceLog',
+      sheetName: 'priceLog',
+      after: 'effectivePrice',
+      columns: ['productId'],
+    },
+    {
+      version: 5,
+      description: 'Add the category column to products',
+      sheetName: 'products',
+      after: 'normalisedName',
+      columns: ['category'],
+    },
+    {
+      version: 6,
+      description: 'Add the parsed address, branch number and location columns to stores',
+      sheetName: 'stores',
+      after: 'storeAddress',
+      columns: ['street', 'houseNumber', 'postcode', 'city', 'branchNumber', 'latitude', 'longitude'],
+    },
+    {
+      version: 7,
+      description: 'Add the category column to priceLog',
+      sheetName: 'priceLog',
+      after: 'productId',
+      columns: ['category'],
+    },
+  ];
+}
+
+/**
+ * Plan the setup of a spreadsheet: the sheets to create and the columns to insert into
+ * existing sheets by the migrations newer than its schema version.
+ *
+ * @param {Object<string, Array<string>|null>} headers - The header row of each schema sheet by default name,
+ * or null if the sheet is missing.
+ * @param {number} schemaVersion - The schema version of the spreadsheet (0 if never set up).
+ * @param {Array<object>} [schemas] - The sheet schemas (defaults to `getSheetSchemas`).
+ * @param {Array<object>} [migrations] - The migrations (defaults to `getSchemaMigrations`).
+ * @returns {object} The plan.
+ * @returns {Array<object>} return.createSheets - The schemas of the sheets to create.
+ * @returns {Array<object>} return.insertColumns - The column insertions in order: `sheetName`, `version`,
+ * the 1-based `afterColumn` and the `headers` to insert.
+ * @returns {Array<string>} return.skipped - Migrations that could not be applied, with the reason.
+ * @returns {number} return.targetVersion - The schema version after the setup: the latest version, or the
+ * version before the first skipped migration.
+ */
+function planSpreadsheetSetup(headers, schemaVersion, schemas = getSheetSchemas(), migrations = getSchemaMigrations()) {
+  const createSheets = schemas.filter(schema => !headers[schema.sheetName]);
+  const insertColumns = [];
+  const skipped = [];
+  const currentHeaders = {};
+  Object.keys(headers).forEach(sheetName => {
+    currentHeaders[sheetName] = headers[sheetName] ? headers[sheetName].slice() : null;
+  });
+
+  migrations.filter(migration => migration.version > schemaVersion).forEach(migration => {
+    const header = currentHeaders[migration.sheetName];
+    if (!header) {
+      return; // Created with the latest header
+    }
+    const missingColumns = migration.columns.filter(column => !header.includes(column));
+    if (missingColumns.length === 0) {
+      return;
+    }
+
+    const afterIndex = header.indexOf(migration.after);
+    if (afterIndex === -1) {
+      skipped.push({ ...migration, reason: `column '${migration.after}' not found in ${migration.sheetName}` });
+      return;
+    }
+    insertColumns.push({
+      sheetName: migration.sheetName,
+      version: migration.version,
+      afterColumn: afterIndex + 1,
+      headers: missingColumns,
+    });
+    header.splice(afterIndex + 1, 0, ...missingColumns);
+  });
+
+  // A skipped migration is retried by the next setup, once its column has been fixed by hand
+  const latestVersion = Math.max(schemaVersion, ...migrations.map(migration => migration.version));
+  return {
+    createSheets: createSheets,
+    insertColumns: insertColumns,
+    skipped: skipped.map(migration => `${migration.version}: ${migration.description} (${migration.reason})`),
+    targetVersion: skipped.length > 0 ? Math.max(schemaVersion, skipped[0].version - 1) : latestVersion,
+  };
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = {
+    getSheetSchemas,
+    getSchemaMigrations,
+    planSpreadsheetSetup,
+  };
+}
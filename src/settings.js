@@ -0,0 +1,186 @@
+// Import functions (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { parseSchedule } = require('./triggers');
+}
+
+/**
+ * The settings with their defaults and types. Columns are given as letters ('A') or
+ * 1-based numbers; sender lists are comma-separated; booleans are TRUE or FALSE; schedules
+ * are 'off', 'hourly', 'every N hours' or 'daily at H' (see `parseSchedule`).
+ */
+const SETTING_DEFINITIONS = {
+  'receiptLabel': { type: 'string', default: 'kassenbons' },
+  'processingErrorLabel': { type: 'string', default: 'processing-error' },
+  'currency': { type: 'string', default: 'EUR' },
+  'priceChangeThreshold': { type: 'fraction', default: 0.05 },
+  'geocodeStores': { type: 'boolean', default: false },
+  'schedule.import': { type: 'schedule', default: 'hourly' },
+  'schedule.report': { type: 'schedule', default: 'daily at 3' },
+  'schedule.priceChangeDigest': { type: 'schedule', default: 'daily at 7' },
+  'sheet.stores': { type: 'string', default: 'stores' },
+  'sheet.purchases': { type: 'string', default: 'purchases' },
+  'sheet.priceLog': { type: 'string', default: 'priceLog' },
+  'purchases.purchaseIdColumn': { type: 'column', default: 'A' },
+  'purchases.dateColumn': { type: 'column', default: 'C' },
+  'purchases.totalPriceColumn': { type: 'column', default: 'D' },
+  'purchases.storeIdColumn': { type: 'column', default: 'E' },
+  'purchases.receiptNumberColumn': { type: 'column', default: 'F' },
+  'senders.netto': { type: 'list', default: null },
+  'senders.dm': { type: 'list', default: null },
+  'senders.rewe': { type: 'list', default: null },
+};
+
+/**
+ * Read and validate the settings. Values from the 'config' sheet override the defaults and
+ * script properties override the 'config' sheet; empty values keep the default.
+ * All problems are reported at once, so a broken configuration stops a run before it reads mail.
+ *
+ * @param {Array<Array<*>>} configRows - The values of the 'config' sheet including the header row, or [].
+ * @param {Object<string, string>} properties - The script properties.
+ * @returns {object} The settings by key; columns as 0-based indexes, sender lists as arrays
+ * (null keeps the parser's own senders), schedules as objects (null for 'off').
+ */
+function parseSettings(configRows, properties) {
+  const rawValues = {};
+  configRows.slice(1).forEach(([key, value]) => {
+    if (key !== '' && value !== '' && value != null) {
+      rawValues[String(key).trim()] = value;
+    }
+  });
+  // Script properties hold other state too (e.g. the backfill), so only known keys are read
+  Object.keys(SETTING_DEFINITIONS).forEach(key => {
+    if (properties[key] !== undefined && properties[key] !== '') {
+      rawValues[key] = properties[key];
+    }
+  });
+
+  const problems = Object.keys(rawValues)
+    .filter(key => !SETTING_DEFINITIONS[key])
+    .map(key => `Unknown setting '${key}'`);
+  const settings = {};
+  Object.keys(SETTING_DEFINITIONS).forEach(key => {
+    const definition = SETTING_DEFINITIONS[key];
+    const value = rawValues[key] === undefined ? definition.default : rawValues[key];
+    try {
+      settings[key] = parseSettingValue(definition.type, value);
+    } catch (error) {
+      problems.push(`Setting '${key}': ${error.message}`);
+    }
+  });
+
+  const columnKeys = Object.keys(SETTING_DEFINITIONS).filter(key => key.startsWith('purchases.'));
+  columnKeys.forEach((key, i) => {
+    const duplicate = columnKeys.slice(0, i).find(other => settings[other] === settings[key]);
+    if (duplicate && settings[key] !== undefined) {
+      problems.push(`Settings '${duplicate}' and '${key}' use the same column`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid settings: ${problems.join('; ')}`);
+  }
+  return settings;
+}
+
+function parseSettingValue(type, value) {
+  if (value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+
+  switch (type) {
+    case 'fraction': {
+      const number = typeof value === 'number' ? value : parseFloat(text.replace(',', '.'));
+      if (!(number > 0 && number < 1)) {
+        throw new Error(`expected a number between 0 and 1, got '${text}'`);
+      }
+      return number;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      if (!/^(true|false)$/i.test(text)) {
+        throw new Error(`expected TRUE or FALSE, got '${text}'`);
+      }
+      return text.toLowerCase() === 'true';
+    }
+    case 'schedule':
+      return parseSchedule(text);
+    case 'column': {
+      if (/^\d+$/.test(text) && Number(text) >= 1) {
+        return Number(text) - 1;
+      }
+      if (/^[A-Z]{1,2}$/i.test(text)) {
+        return text.toUpperCase().split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+      }
+      throw new Error(`expected a column letter or number, got '${text}'`);
+    }
+    case 'list': {
+      const items = text.split(',').map(item => item.trim().toLowerCase()).filter(item => item !== '');
+      const invalid = items.find(item => !/^[^\s@]+@[^\s@]+$/.test(item));
+      if (invalid) {
+        throw new Error(`expected e-mail addresses, got '${invalid}'`);
+      }
+      return items;
+    }
+    default:
+      if (text === '') {
+        throw new Error('must not be empty');
+      }
+      return text;
+  }
+}
+
+/**
+ * Build the sheet repository options for the configured spreadsheet layout (see `createSheetRepository`).
+ * The repository presents the 'purchases' sheet in the default column order, so the rest of the
+ * code keeps using the 'purchases' columns of `getSheetLayout`.
+ *
+ * @param {object} settings - The settings (see `parseSettings`).
+ * @returns {object} The `sheetNames` and `columnMaps` options.
+ */
+function buildRepositoryLayout(settings) {
+  return {
+    sheetNames: {
+      stores: settings['sheet.stores'],
+      purchases: settings['sheet.purchases'],
+      priceLog: settings['sheet.priceLog'],
+    },
+    columnMaps: {
+      // In the order of the default layout: purchaseId, comment (not written), date, totalPrice, storeId, receiptNumber
+      purchases: [
+        settings['purchases.purchaseIdColumn'],
+        null,
+        settings['purchases.dateColumn'],
+        settings['purchases.totalPriceColumn'],
+        settings['purchases.storeIdColumn'],
+        settings['purchases.receiptNumberColumn'],
+      ],
+    },
+  };
+}
+
+/**
+ * Apply the configured sender addresses to the receipt parsers.
+ *
+ * @param {Array<object>} parsers - The parsers (see `getReceiptParsers`).
+ * @param {object} settings - The settings (see `parseSettings`).
+ * @returns {Array<object>} The parsers, with configured senders replacing their own.
+ */
+function applySenderSettings(parsers, settings) {
+  return parsers.map(parser => {
+    const senders = settings[`senders.${parser.id}`];
+    return senders ? { ...parser, senders: senders } : parser;
+  });
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = {
+    SETTING_DEFINITIONS,
+    parseSettings,
+    buildRepositoryLayout,
+    applySenderSettings,
+  };
+}
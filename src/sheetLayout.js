@@ -0,0 +1,64 @@
+/**
+ * The default layout of the spreadsheet: the name and header row of each sheet, and its
+ * 0-based column indexes by header.
+ * Apps Script loads all files into one global scope, where a constant imported by a second
+ * file would be declared twice. The layout is therefore declared once, here, and other files
+ * read it through `getSheetLayout` instead of importing constants.
+ */
+const SHEET_LAYOUT = {
+  stores: defineSheetLayout('stores', [
+    'storeId', 'storeName', 'storeAddress', 'street', 'houseNumber', 'postcode', 'city', 'branchNumber',
+    'latitude', 'longitude',
+  ]),
+  purchases: defineSheetLayout('purchases', ['purchaseId', 'comment', 'date', 'totalPrice', 'storeId', 'receiptNumber']),
+  priceLog: defineSheetLayout('priceLog', [
+    'description', 'details', 'quantity', 'unit', 'unitPrice', 'currency', 'totalPrice', 'purchaseId',
+    'type', 'lineNumber', 'appliesToLine', 'effectivePrice', 'productId', 'category',
+  ]),
+  products: defineSheetLayout('products', ['productId', 'name', 'normalisedName', 'category']),
+  productAliases: defineSheetLayout('productAliases', ['alias', 'productId', 'confirmed']),
+  productReview: defineSheetLayout('productReview', [
+    'description', 'productId', 'candidateProductId', 'candidateName', 'score', 'sameProduct',
+  ]),
+  // Changes waiting for `sendPriceChangeDigest` have no 'notifiedAt'
+  priceChanges: defineSheetLayout('priceChanges', [
+    'detectedAt', 'productId', 'description', 'unit', 'previousUnitPrice', 'unitPrice', 'change',
+    'purchaseId', 'previousPurchaseId', 'notifiedAt',
+  ]),
+  categoryRules: defineSheetLayout('categoryRules', ['pattern', 'matchType', 'category', 'priority']),
+  uncategorisedItems: defineSheetLayout('uncategorisedItems', ['description', 'firstSeen', 'category']),
+  // Failed messages waiting for `reprocessFailedMessages`
+  errors: defineSheetLayout('errors', ['messageId', 'sender', 'subject', 'date', 'stage', 'error', 'recordedAt']),
+  runs: defineSheetLayout('runs', [
+    'startedAt', 'task', 'durationSeconds', 'threads', 'imported', 'failures', 'outcome', 'error', 'version',
+  ]),
+  // Settings as 'key' / 'value' rows
+  config: defineSheetLayout('config', ['key', 'value']),
+  // Rebuilt as a whole by `updateSpendingReport`, so it has no fixed header
+  report: defineSheetLayout('report', []),
+};
+
+function defineSheetLayout(name, header) {
+  const columns = {};
+  header.forEach((column, i) => {
+    columns[column] = i;
+  });
+  return { name: name, header: header, columns: columns };
+}
+
+/**
+ * Return the default layout of the spreadsheet.
+ *
+ * @returns {Object<string, object>} The layout of each sheet by default name: its `name`, its
+ * `header` row and its `columns`, the 0-based index of each column by header.
+ */
+function getSheetLayout() {
+  return SHEET_LAYOUT;
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = {
+    getSheetLayout,
+  };
+}
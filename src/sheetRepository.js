@@ -0,0 +1,226 @@
+// Import functions (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { findMatchingPurchaseId } = require('./purchaseMatching');
+  var { nextSequentialId } = require('./idAllocation');
+  var { buildStoreKey, buildStoreRow } = require('./storeAddress');
+  var { getSheetLayout } = require('./sheetLayout');
+}
+
+/**
+ * Create a cached access layer for the sheets of a spreadsheet.
+ * Each sheet is read once, on first access; lookups run against the in-memory values
+ * and new rows are kept in memory until `flush` writes them with a single `setValues` per sheet.
+ *
+ * IDs are allocated from the in-memory values, so a repository must only be used
+ * while holding the script lock, from loading until `flush`.
+ *
+ * In dry-run mode nothing is written: missing sheets are not created and `flush` only
+ * reports the rows it would write, so a run can be previewed with `getRowsAddedSince`.
+ *
+ * @param {SpreadsheetApp.Spreadsheet} spreadsheet - The spreadsheet holding the tables.
+ * @param {Object<string, Array<string>>} [sheetHeaders] - Header rows of sheets to create when missing.
+ * Sheets are addressed by their default names ('stores', 'purchases', ...); `sheetNames` maps
+ * them to the names in the spreadsheet. A column map presents a sheet in the default column
+ * order: entry i is the 0-based sheet column of default column i, or null for a column that
+ * is not stored.
+ *
+ * @param {object} [options] - Repository options.
+ * @param {boolean} [options.dryRun=false] - Whether to keep all changes in memory.
+ * @param {Object<string, string>} [options.sheetNames] - The spreadsheet's sheet names by default name.
+ * @param {Object<string, Array<number|null>>} [options.columnMaps] - The column maps by default sheet name.
+ * @returns {object} The repository.
+ */
+function createSheetRepository(spreadsheet, sheetHeaders = {}, options = {}) {
+  const dryRun = Boolean(options.dryRun);
+  const sheetNames = options.sheetNames || {};
+  const columnMaps = options.columnMaps || {};
+  const tables = {};
+
+  function getTable(sheetName) {
+    if (!tables[sheetName]) {
+      const actualSheetName = sheetNames[sheetName] || sheetName;
+      let sheet = spreadsheet.getSheetByName(actualSheetName);
+      if (!sheet && sheetHeaders[sheetName]) {
+        if (dryRun) {
+          tables[sheetName] = { sheet: null, values: [sheetHeaders[sheetName].slice()], pendingRows: [] };
+          return tables[sheetName];
+        }
+        sheet = spreadsheet.insertSheet(actualSheetName);
+        sheet.appendRow(sheetHeaders[sheetName]);
+      }
+      if (!sheet) {
+        throw new Error(`Sheet '${actualSheetName}' not found, run setupSpreadsheet to create it`);
+      }
+      const columnMap = columnMaps[sheetName];
+      const values = sheet.getDataRange().getValues(); // Assuming headers in first row
+      tables[sheetName] = {
+        sheet: sheet,
+        values: columnMap ? values.map(row => columnMap.map(column => column === null ? null : row[column])) : values,
+        pendingRows: [],
+      };
+    }
+    return tables[sheetName];
+  }
+
+  /**
+   * Return the values of a sheet including rows not flushed yet.
+   *
+   * @param {string} sheetName - The name of the sheet.
+   * @returns {Array<Array<*>>} The values including the header row.
+   */
+  function getValues(sheetName) {
+    return getTable(sheetName).values;
+  }
+
+  /**
+   * Add a row to a sheet; it is visible to lookups right away and written on `flush`.
+   *
+   * @param {string} sheetName - The name of the sheet.
+   * @param {Array<*>} row - The row values.
+   */
+  function appendRow(sheetName, row) {
+    const table = getTable(sheetName);
+    table.values.push(row);
+    table.pendingRows.push(row);
+  }
+
+  /**
+   * Take note of the rows added so far, to find the rows added after it with `getRowsAddedSince`.
+   *
+   * @returns {Object<string, number>} The number of rows not flushed yet per sheet name.
+   */
+  function snapshot() {
+    const pendingRowCounts = {};
+    Object.keys(tables).forEach(sheetName => {
+      pendingRowCounts[sheetName] = tables[sheetName].pendingRows.length;
+    });
+    return pendingRowCounts;
+  }
+
+  /**
+   * Return the rows added since a snapshot, e.g. those added while importing one message.
+   *
+   * @param {Object<string, number>} pendingRowCounts - The snapshot taken with `snapshot`.
+   * @returns {Object<string, Array<Array<*>>>} The added rows per sheet name, for sheets with added rows.
+   */
+  function getRowsAddedSince(pendingRowCounts) {
+    const addedRows = {};
+    Object.keys(tables).forEach(sheetName => {
+      const rows = tables[sheetName].pendingRows.slice(pendingRowCounts[sheetName] || 0);
+      if (rows.length > 0) {
+        addedRows[sheetName] = rows;
+      }
+    });
+    return addedRows;
+  }
+
+  /**
+   * Find the ID of a store by its name and normalised address (see `buildStoreKey`), or add the store
+   * with its parsed address.
+   *
+   * @param {string} storeName - The name of the store.
+   * @param {string} storeAddress - The address of the store.
+   * @param {Function} [geocode] - Returns the `latitude` and `longitude` of a new store's address, or null.
+   * @returns {number} The ID of the existing or newly added store.
+   */
+  function getOrAddStore(storeName, storeAddress, geocode) {
+    const storesData = getValues('stores');
+    const columns = getSheetLayout().stores.columns;
+    const storeKey = buildStoreKey(storeName, storeAddress);
+    // Skip header row (index 0)
+    const existingStore = storesData.slice(1)
+      .find(row => buildStoreKey(row[columns.storeName], row[columns.storeAddress]) === storeKey);
+    if (existingStore) {
+      return existingStore[0];
+    }
+
+    const storeId = nextSequentialId(storesData);
+    appendRow('stores', buildStoreRow(storeId, storeName, storeAddress, geocode ? geocode(storeAddress) : null));
+    return storeId;
+  }
+
+  /**
+   * Find the ID of a purchase (see `findMatchingPurchaseId`).
+   *
+   * @param {object} purchase - The purchase to look up.
+   * @returns {string|number|null} The ID of the matching purchase, or null if none matches.
+   */
+  function findPurchaseId(purchase) {
+    return findMatchingPurchaseId(getValues('purchases'), purchase);
+  }
+
+  /**
+   * Add a purchase with a newly allocated ID.
+   *
+   * @param {object} purchase - The purchase with storeId, purchaseDate, totalPrice and receiptNumber.
+   * @returns {number} The ID of the new purchase.
+   */
+  function addPurchase(purchase) {
+    const purchaseId = nextSequentialId(getValues('purchases'));
+    appendRow('purchases', [
+      purchaseId,
+      null,
+      purchase.purchaseDate,
+      purchase.totalPrice,
+      purchase.storeId,
+      purchase.receiptNumber,
+    ]);
+    return purchaseId;
+  }
+
+  /**
+   * Write all pending rows, with one `setValues` call per sheet.
+   * Rows are padded to the widest pending row of their sheet, or laid out by the sheet's column map.
+   * In dry-run mode nothing is written.
+   *
+   * @returns {object} The number of rows written per sheet name.
+   */
+  function flush() {
+    const writtenRows = {};
+    Object.keys(tables).forEach(sheetName => {
+      const table = tables[sheetName];
+      if (table.pendingRows.length === 0) {
+        return;
+      }
+
+      const columnMap = columnMaps[sheetName];
+      const width = columnMap
+        ? Math.max(table.sheet ? table.sheet.getLastColumn() : 0, ...columnMap.map(column => column === null ? 0 : column + 1))
+        : Math.max(...table.pendingRows.map(row => row.length));
+      const rows = table.pendingRows.map(row => {
+        if (!columnMap) {
+          return row.concat(Array(width - row.length).fill(''));
+        }
+        const sheetRow = Array(width).fill('');
+        columnMap.forEach((column, i) => {
+          if (column !== null && row[i] !== undefined) {
+            sheetRow[column] = row[i];
+          }
+        });
+        return sheetRow;
+      });
+      if (!dryRun) {
+        table.sheet.getRange(table.sheet.getLastRow() + 1, 1, rows.length, width).setValues(rows);
+      }
+      writtenRows[sheetName] = rows.length;
+      table.pendingRows = [];
+    });
+    return writtenRows;
+  }
+
+  return {
+    getValues,
+    appendRow,
+    snapshot,
+    getRowsAddedSince,
+    getOrAddStore,
+    findPurchaseId,
+    addPurchase,
+    flush,
+  };
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = { createSheetRepository };
+}
@@ -0,0 +1,235 @@
+// Import functions (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { getSheetLayout } = require('./sheetLayout');
+  var { roundTo } = require('./parseLineItemDetails');
+}
+
+const uncategorisedLabel = 'Uncategorised';
+
+/**
+ * Aggregate the purchases and line items for the spending report.
+ * Product spend is the price paid after discounts (`effectivePrice`); deposits are left out.
+ * A purchase without a total in the 'purchases' sheet counts with the sum of its line items.
+ * Spend is grouped by the category of the 'priceLog' row, or of its product for rows not categorised yet.
+ *
+ * @param {object} tables - The sheet values, each including the header row.
+ * @param {Array<Array<*>>} tables.purchases - The values of the 'purchases' sheet.
+ * @param {Array<Array<*>>} tables.priceLog - The values of the 'priceLog' sheet.
+ * @param {Array<Array<*>>} tables.stores - The values of the 'stores' sheet.
+ * @param {Array<Array<*>>} tables.products - The values of the 'products' sheet.
+ * @param {object} [options] - Report options.
+ * @param {number} [options.topProductCount=10] - The number of products in the top products list.
+ * @param {number} [options.trendMonths=12] - The number of most recent months in the price trends.
+ * @returns {object} The aggregates.
+ * @returns {Array<string>} return.months - The months with purchases, 'yyyy-MM', in ascending order.
+ * @returns {Array<object>} return.stores - The stores with purchases: `storeId` and `label`.
+ * @returns {Object<string, Object<string, number>>} return.monthlySpend - Spend by month and store ID.
+ * @returns {object} return.basket - The number of `purchases`, the `total` spend and the `average` basket.
+ * @returns {Array<object>} return.topProducts - The products with the highest spend: `productId`, `name`,
+ * `spend`, `quantity`, `purchases` and the monthly average unit price `trend` over `trendMonths`.
+ * @returns {Array<string>} return.trendMonths - The months of the price trends.
+ * @returns {Array<object>} return.categories - Spend and share by `category`, highest spend first.
+ */
+function aggregateSpending(tables, options = {}) {
+  const purchaseColumns = getSheetLayout().purchases.columns;
+  const priceLogColumns = getSheetLayout().priceLog.columns;
+  const topProductCount = options.topProductCount || 10;
+  const trendMonthCount = options.trendMonths || 12;
+
+  const storeLabels = {};
+  tables.stores.slice(1).forEach(row => {
+    storeLabels[row[0]] = row[2] ? `${row[1]}, ${row[2]}` : row[1];
+  });
+  const products = {};
+  tables.products.slice(1).forEach(row => {
+    products[row[0]] = { name: row[1], category: row[3] || uncategorisedLabel };
+  });
+
+  const lineItemTotals = {};
+  tables.priceLog.slice(1).forEach(row => {
+    const purchaseId = row[priceLogColumns.purchaseId];
+    lineItemTotals[purchaseId] = (lineItemTotals[purchaseId] || 0) + (Number(row[priceLogColumns.totalPrice]) || 0);
+  });
+
+  const purchaseMonths = {};
+  const monthlySpend = {};
+  const storeIds = [];
+  let total = 0;
+  tables.purchases.slice(1).forEach(row => {
+    const purchaseId = row[purchaseColumns.purchaseId];
+    const month = formatMonth(new Date(row[purchaseColumns.date]));
+    const storeId = row[purchaseColumns.storeId];
+    const spend = typeof row[purchaseColumns.totalPrice] === 'number'
+      ? row[purchaseColumns.totalPrice]
+      : (lineItemTotals[purchaseId] || 0);
+
+    purchaseMonths[purchaseId] = month;
+    monthlySpend[month] = monthlySpend[month] || {};
+    monthlySpend[month][storeId] = roundTo((monthlySpend[month][storeId] || 0) + spend, 2);
+    if (!storeIds.includes(storeId)) {
+      storeIds.push(storeId);
+    }
+    total += spend;
+  });
+  const purchaseCount = tables.purchases.length - 1;
+  const months = Object.keys(monthlySpend).sort();
+  const trendMonths = months.slice(-trendMonthCount);
+
+  const productTotals = {};
+  const categorySpend = {};
+  let productSpendTotal = 0;
+  tables.priceLog.slice(1).forEach(row => {
+    const productId = row[priceLogColumns.productId];
+    if (row[priceLogColumns.type] !== 'product' || productId === '' || productId == null) {
+      return;
+    }
+
+    const spend = typeof row[priceLogColumns.effectivePrice] === 'number'
+      ? row[priceLogColumns.effectivePrice]
+      : Number(row[priceLogColumns.totalPrice]) || 0;
+    const product = products[productId] || { name: String(productId), category: uncategorisedLabel };
+    const totals = productTotals[productId] = productTotals[productId] || {
+      productId: productId,
+      name: product.name,
+      unit: row[priceLogColumns.unit],
+      spend: 0,
+      quantity: 0,
+      purchaseIds: new Set(),
+      monthlyPrices: {},
+    };
+    totals.spend += spend;
+    totals.quantity += Number(row[priceLogColumns.quantity]) || 0;
+    totals.purchaseIds.add(row[priceLogColumns.purchaseId]);
+
+    const month = purchaseMonths[row[priceLogColumns.purchaseId]];
+    if (month && typeof row[priceLogColumns.unitPrice] === 'number') {
+      totals.monthlyPrices[month] = totals.monthlyPrices[month] || [];
+      totals.monthlyPrices[month].push(row[priceLogColumns.unitPrice]);
+    }
+
+    const category = row[priceLogColumns.category] || product.category;
+    categorySpend[category] = (categorySpend[category] || 0) + spend;
+    productSpendTotal += spend;
+  });
+
+  const topProducts = Object.values(productTotals)
+    .sort((a, b) => b.spend - a.spend)
+    .slice(0, topProductCount)
+    .map(totals => ({
+      productId: totals.productId,
+      name: totals.name,
+      unit: totals.unit,
+      spend: roundTo(totals.spend, 2),
+      quantity: roundTo(totals.quantity, 3),
+      purchases: totals.purchaseIds.size,
+      trend: trendMonths.map(month => {
+        const prices = totals.monthlyPrices[month];
+        return prices ? roundTo(prices.reduce((sum, price) => sum + price, 0) / prices.length, 2) : null;
+      }),
+    }));
+
+  const categories = Object.keys(categorySpend)
+    .map(category => ({
+      category: category,
+      spend: roundTo(categorySpend[category], 2),
+      share: productSpendTotal === 0 ? 0 : roundTo(categorySpend[category] / productSpendTotal, 3),
+    }))
+    .sort((a, b) => b.spend - a.spend);
+
+  return {
+    months: months,
+    stores: storeIds.map(storeId => ({ storeId: storeId, label: storeLabels[storeId] || String(storeId) })),
+    monthlySpend: monthlySpend,
+    basket: {
+      purchases: purchaseCount,
+      total: roundTo(total, 2),
+      average: purchaseCount === 0 ? 0 : roundTo(total / purchaseCount, 2),
+    },
+    topProducts: topProducts,
+    trendMonths: trendMonths,
+    categories: categories,
+  };
+}
+
+/**
+ * Lay out the aggregates as the rows of the 'report' sheet.
+ * All rows have the same width so they can be written with one `setValues` call;
+ * the price trends are drawn by `SPARKLINE` formulas over the monthly prices next to them.
+ *
+ * @param {object} aggregates - The aggregates (see `aggregateSpending`).
+ * @param {Date} updatedAt - When the report was built.
+ * @returns {Array<Array<*>>} The report rows.
+ */
+function buildReportRows(aggregates, updatedAt) {
+  const rows = [['Spending report', updatedAt], []];
+
+  rows.push(['Monthly spend per store']);
+  rows.push(['Month', ...aggregates.stores.map(store => store.label), 'Total']);
+  aggregates.months.forEach(month => {
+    const spendByStore = aggregates.stores.map(store => aggregates.monthlySpend[month][store.storeId] || 0);
+    rows.push([month, ...spendByStore, roundTo(spendByStore.reduce((sum, spend) => sum + spend, 0), 2)]);
+  });
+  rows.push([]);
+
+  rows.push(['Average basket']);
+  rows.push(['Purchases', 'Total spend', 'Average basket']);
+  rows.push([aggregates.basket.purchases, aggregates.basket.total, aggregates.basket.average]);
+  rows.push([]);
+
+  rows.push(['Top products']);
+  rows.push(['Product', 'Spend', 'Quantity', 'Unit', 'Purchases', 'Price trend', ...aggregates.trendMonths]);
+  const trendStartColumn = 7;
+  aggregates.topProducts.forEach(product => {
+    const rowNumber = rows.length + 1;
+    const trendRange = `${columnLetter(trendStartColumn)}${rowNumber}:` +
+      `${columnLetter(trendStartColumn + aggregates.trendMonths.length - 1)}${rowNumber}`;
+    rows.push([
+      product.name,
+      product.spend,
+      product.quantity,
+      product.unit,
+      product.purchases,
+      aggregates.trendMonths.length > 0 ? `=SPARKLINE(${trendRange})` : '',
+      ...product.trend.map(price => price === null ? '' : price),
+    ]);
+  });
+  rows.push([]);
+
+  rows.push(['Categories']);
+  rows.push(['Category', 'Spend', 'Share']);
+  aggregates.categories.forEach(category => {
+    rows.push([category.category, category.spend, category.share]);
+  });
+
+  const width = Math.max(...rows.map(row => row.length));
+  return rows.map(row => row.concat(Array(width - row.length).fill('')));
+}
+
+/**
+ * Format the month of a date as 'yyyy-MM'.
+ *
+ * @param {Date} date - The date.
+ * @returns {string} The month.
+ */
+function formatMonth(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Return the A1 notation letter of a 1-based column number.
+ *
+ * @param {number} column - The column number.
+ * @returns {string} The column letter, e.g. 'A' or 'AB'.
+ */
+function columnLetter(column) {
+  let letter = '';
+  for (let n = column; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = { aggregateSpending, buildReportRows, columnLetter };
+}
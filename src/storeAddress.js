@@ -0,0 +1,111 @@
+/**
+ * Parse a store address as printed on a receipt, e.g. 'Netto Filiale 4711, Musterstr. 12, 04109 Leipzig'.
+ * The address lines are separated by commas; the line starting with a five-digit postcode holds
+ * postcode and city, the line before it street and house number, and any lines before that
+ * name the branch. The street and house number are normalised (see `normaliseStreet`).
+ *
+ * @param {string|null} storeAddress - The store address.
+ * @returns {object|null} The parsed address, or null if the address has no postcode line.
+ * @returns {string|null} return.branchNumber - The branch number ('Filiale 4711'), or null if not printed.
+ * @returns {string|null} return.street - The normalised street, or null if not found.
+ * @returns {string|null} return.houseNumber - The house number, e.g. '3a' or '12-14', or null if not found.
+ * @returns {string} return.postcode - The five-digit postcode.
+ * @returns {string} return.city - The city.
+ */
+function parseStoreAddress(storeAddress) {
+  const lines = String(storeAddress || '').split(',').map(line => line.replace(/\s+/g, ' ').trim()).filter(line => line !== '');
+  const cityIndex = lines.findIndex(line => /^\d{5} \S/.test(line));
+  if (cityIndex === -1) {
+    return null;
+  }
+
+  const streetMatch = cityIndex > 0
+    ? lines[cityIndex - 1].match(/^(.*?\D)\s*(\d+ ?[a-z]?(?: ?[-/] ?\d+ ?[a-z]?)?)$/i)
+    : null;
+  const branchMatch = lines.slice(0, Math.max(cityIndex - 1, 0)).join(' ').match(/Filiale\s*(?:Nr\.?\s*)?(\d+)/i);
+  return {
+    branchNumber: branchMatch ? branchMatch[1] : null,
+    street: streetMatch ? normaliseStreet(streetMatch[1]) : null,
+    houseNumber: streetMatch ? streetMatch[2].replace(/ /g, '').toLowerCase() : null,
+    postcode: lines[cityIndex].slice(0, 5),
+    city: toTitleCaseIfUpperCase(lines[cityIndex].slice(6)),
+  };
+}
+
+/**
+ * Normalise a street name: collapse whitespace, spell out 'str.' / 'strasse' as 'straße'
+ * and title-case streets printed in capitals (e.g. 'HAUPTSTR.' becomes 'Hauptstraße').
+ *
+ * @param {string} street - The street without house number.
+ * @returns {string} The normalised street.
+ */
+function normaliseStreet(street) {
+  return toTitleCaseIfUpperCase(street.replace(/\s+/g, ' ').trim())
+    .replace(/(s)tr(?:\.|asse|aße)?(?=\s|-|$)/gi, '$1traße')
+    .replace(/\s*\.$/, '');
+}
+
+function toTitleCaseIfUpperCase(text) {
+  if (text !== text.toUpperCase()) {
+    return text;
+  }
+  return text.toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+/**
+ * Build the key stores are matched on: the store name and the street, house number and postcode of
+ * the normalised address, ignoring case, so a dm and a Netto at the same address stay separate stores.
+ * Addresses without a postcode line are compared as printed, ignoring case and whitespace.
+ *
+ * @param {string|null} storeName - The name of the store.
+ * @param {string|null} storeAddress - The store address.
+ * @returns {string} The matching key.
+ */
+function buildStoreKey(storeName, storeAddress) {
+  const name = normaliseWhitespace(storeName);
+  const address = parseStoreAddress(storeAddress);
+  if (!address || !address.street) {
+    return [name, normaliseWhitespace(storeAddress)].join('|').toLowerCase();
+  }
+  return [name, address.street, address.houseNumber, address.postcode].join('|').toLowerCase();
+}
+
+function normaliseWhitespace(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build a row of the 'stores' sheet.
+ *
+ * @param {number} storeId - The ID of the store.
+ * @param {string} storeName - The name of the store.
+ * @param {string} storeAddress - The address as printed on the receipt.
+ * @param {object|null} [location] - The geocoded `latitude` and `longitude`, or null if unknown.
+ * @returns {Array<*>} The row: storeId, storeName, storeAddress, street, houseNumber, postcode, city,
+ * branchNumber, latitude and longitude; parts that are unknown are empty.
+ */
+function buildStoreRow(storeId, storeName, storeAddress, location) {
+  const address = parseStoreAddress(storeAddress) || {};
+  return [
+    storeId,
+    storeName,
+    storeAddress,
+    address.street || '',
+    address.houseNumber || '',
+    address.postcode || '',
+    address.city || '',
+    address.branchNumber || '',
+    location ? location.latitude : '',
+    location ? location.longitude : '',
+  ];
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = {
+    parseStoreAddress,
+    normaliseStreet,
+    buildStoreKey,
+    buildStoreRow,
+  };
+}
@@ -0,0 +1,115 @@
+// Intervals accepted by Apps Script's `everyHours`
+const TRIGGER_HOUR_INTERVALS = [1, 2, 4, 6, 8, 12];
+
+/**
+ * The tasks `installTriggers` schedules: the function the trigger runs and the setting holding its schedule.
+ */
+const SCHEDULED_TASKS = [
+  { handler: 'processEmailsAndAddToSheet', setting: 'schedule.import' },
+  { handler: 'updateSpendingReport', setting: 'schedule.report' },
+  { handler: 'sendPriceChangeDigest', setting: 'schedule.priceChangeDigest' },
+];
+
+/**
+ * Return the functions `installTriggers` schedules, e.g. to find the triggers it installed.
+ *
+ * @returns {Array<string>} The names of the functions.
+ */
+function getScheduledTaskHandlers() {
+  return SCHEDULED_TASKS.map(task => task.handler);
+}
+
+/**
+ * Parse a task schedule: 'off', 'hourly', 'every N hours' (N is 1, 2, 4, 6, 8 or 12)
+ * or 'daily at H' (H is the hour, 0-23, in the script's time zone).
+ *
+ * @param {string} text - The schedule.
+ * @returns {object|null} `{everyHours}` or `{atHour}`, or null for 'off'.
+ * @throws {Error} If the schedule cannot be parsed.
+ */
+function parseSchedule(text) {
+  const schedule = String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+  if (schedule === 'off') {
+    return null;
+  }
+  if (schedule === 'hourly') {
+    return { everyHours: 1 };
+  }
+
+  const hoursMatch = schedule.match(/^every (\d+) hours?$/);
+  if (hoursMatch && TRIGGER_HOUR_INTERVALS.includes(Number(hoursMatch[1]))) {
+    return { everyHours: Number(hoursMatch[1]) };
+  }
+  const dailyMatch = schedule.match(/^daily at (\d{1,2})$/);
+  if (dailyMatch && Number(dailyMatch[1]) <= 23) {
+    return { atHour: Number(dailyMatch[1]) };
+  }
+  throw new Error(`expected 'off', 'hourly', 'every N hours' (N = ${TRIGGER_HOUR_INTERVALS.join(', ')}) ` +
+    `or 'daily at H' (H = 0-23), got '${text}'`);
+}
+
+/**
+ * Plan the time-driven triggers of the scheduled tasks.
+ *
+ * @param {object} settings - The settings (see `parseSettings`), with parsed schedules.
+ * @returns {Array<object>} The triggers to create: `handler` and `schedule`, for tasks not switched off.
+ */
+function planTriggers(settings) {
+  return SCHEDULED_TASKS
+    .filter(task => settings[task.setting])
+    .map(task => ({ handler: task.handler, schedule: settings[task.setting] }));
+}
+
+/**
+ * Describe a schedule for the log, e.g. 'every 2 hours' or 'daily at 3:00'.
+ *
+ * @param {object} schedule - The schedule (see `parseSchedule`).
+ * @returns {string} The description.
+ */
+function describeSchedule(schedule) {
+  if (schedule.everyHours) {
+    return schedule.everyHours === 1 ? 'hourly' : `every ${schedule.everyHours} hours`;
+  }
+  return `daily at ${schedule.atHour}:00`;
+}
+
+/**
+ * Build a row of the 'runs' sheet, which records each run of a scheduled task.
+ *
+ * @param {object} run - The run.
+ * @param {string} run.task - The function that ran, e.g. 'processEmailsAndAddToSheet'.
+ * @param {Date} run.startedAt - The start of the run.
+ * @param {Date} run.finishedAt - The end of the run.
+ * @param {string} run.outcome - 'completed', 'failed' or 'skipped' (another run held the lock).
+ * @param {Array<string>} [run.statuses] - The message statuses of an import (see `processMessage`).
+ * @param {number} [run.threads] - The number of threads found by an import.
+ * @param {Error} [run.error] - The error a failed run stopped with.
+ * @param {string} version - The version of the script.
+ * @returns {Array<*>} The row; counts are empty for tasks that do not import.
+ */
+function buildRunRow(run, version) {
+  const statuses = run.statuses || null;
+  const count = status => statuses ? statuses.filter(s => s === status).length : '';
+  return [
+    run.startedAt,
+    run.task,
+    Math.round((run.finishedAt - run.startedAt) / 100) / 10,
+    run.threads === undefined ? '' : run.threads,
+    count('processed'),
+    count('failed'),
+    run.outcome,
+    run.error ? run.error.toString() : '',
+    version,
+  ];
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = {
+    getScheduledTaskHandlers,
+    parseSchedule,
+    planTriggers,
+    describeSchedule,
+    buildRunRow,
+  };
+}
@@ -0,0 +1,777 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var fs = require('fs');
+  var path = require('path');
+  var vm = require('vm');
+  var { createFakeSpreadsheet, createFakeSpreadsheetApp } = require('./fakeSpreadsheet');
+  var { createFakeMessage, createFakeThread, createFakeGmailApp } = require('./fakeGmail');
+  var { createFakeMaps, installAppsScriptFakes } = require('./fakeServices');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllCodeTests()
+
+/**
+ * Testing suite for the orchestration in Code.js, run end to end against
+ * fake GmailApp, SpreadsheetApp, LockService, PropertiesService, ScriptApp and Logger services
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllCodeTests() {
+  return runTests([
+    testProjectLoadsInOneGlobalScope,
+    testProcessEmailsLoadsReceipts,
+    testProcessEmailsSkipsLoadedReceipts,
+    testFailedMessageIsRecorded,
+    testGetStoreIdAndPurchaseId,
+    testGeocodedStores,
+    testLoadLineItems,
+    testRecategorisePriceLog,
+    testRunsAreRecorded,
+    testInstallTriggers,
+    testUploadRejectsInvalidJson,
+    testUploadUsesConfiguredSenders,
+    testApiRequestsDoNotCreateSheets,
+    testBackfillStopsAfterRepeatedErrors,
+    testBackfillRetriesInvalidSettings,
+    testBackfillRecordsNoPriceChanges,
+    testReprocessKeepsSkippedMessages,
+  ]);
+}
+
+/**
+ * Build a Netto receipt email body
+ * @param {string} storeAddress - The store address line
+ * @param {Array<Array<string>>} items - The items as [description, price, details]
+ * @param {string} total - The total as printed
+ * @returns {string} The HTML email body
+ */
+function buildNettoEmailBody(storeAddress, items, total) {
+  const rows = items.map(([description, price, details]) => `
+            <tr><td style="font-size:12px;">${description}</td></tr>
+            <tr><td style="text-align:right;">${price}&nbsp;</td></tr>
+            ${details ? `<tr><td style="font-size:10px;">&nbsp;&nbsp;${details}</td></tr>` : ''}
+            <tr><td colspan="2"><hr /></td></tr>`).join('');
+  return `
+    <html>
+      <body>
+        Filiale:
+        <br>Netto City-Filiale
+        <br>${storeAddress}
+        <!-- WARENKORB -->
+        <table>${rows}
+        </table>
+        <!-- SUMME -->
+        <table><tr><td>Gesamtbetrag:</td><td>${total}&nbsp;€</td></tr></table>
+        <!-- ZAHLUNGEN -->
+      </body>
+    </html>
+  `;
+}
+
+/**
+ * Create a spreadsheet with the three receipt sheets and their headers
+ * @param {Array<Array<*>>} [configRows] - The rows of the 'config' sheet, if any
+ * @param {Object<string, Array<Array<*>>>} [otherSheets] - The values of further sheets by name
+ * @returns {Object} The fake spreadsheet
+ */
+function createReceiptSpreadsheet(configRows, otherSheets = {}) {
+  const sheetsData = {
+    stores: [['storeId', 'storeName', 'storeAddress', 'street', 'houseNumber', 'postcode', 'city', 'branchNumber',
+      'latitude', 'longitude']],
+    purchases: [['purchaseId', 'comment', 'date', 'totalPrice', 'storeId', 'receiptNumber']],
+    priceLog: [['description', 'details', 'quantity', 'unit', 'unitPrice', 'currency', 'totalPrice', 'purchaseId',
+      'type', 'lineNumber', 'appliesToLine', 'effectivePrice', 'productId', 'category']],
+    ...otherSheets,
+  };
+  if (configRows) {
+    sheetsData.config = configRows;
+  }
+  return createFakeSpreadsheet(sheetsData);
+}
+
+/**
+ * Create the mailbox of the tests: a Netto receipt, a dm eBon and a newsletter
+ * @returns {Object} The threads by name
+ */
+function createMailbox() {
+  const netto = createFakeThread([createFakeMessage({
+    id: 'netto-1',
+    from: 'Netto <noreply@netto-app.de>',
+    subject: 'Dein Kassenbon',
+    date: new Date('2026-03-02T10:15:00Z'),
+    body: buildNettoEmailBody('Hauptstr. 123, 12345 Berlin', [['Milch 3.5%', '1,29', '1 Liter'], ['Brot', '2,49', '500g']], '3,78'),
+  })], ['kassenbons']);
+  const dm = createFakeThread([createFakeMessage({
+    id: 'dm-1',
+    from: 'dm-drogerie markt <ebon@dm.de>',
+    subject: 'Dein eBon',
+    date: new Date('2026-03-03T16:40:00Z'),
+    body: '<table><tr><td>dm-drogerie markt</td></tr><tr><td>Hauptstraße 12</td></tr><tr><td>76133 Karlsruhe</td></tr>' +
+      '<tr><td>Balea Duschgel 300ml     0,65 1</td></tr><tr><td>SUMME EUR     0,65</td></tr></table>',
+  })], ['kassenbons']);
+  const newsletter = createFakeThread([createFakeMessage({
+    id: 'news-1',
+    from: 'news@example.com',
+    subject: 'Angebote der Woche',
+    date: new Date('2026-03-03T08:00:00Z'),
+    body: '<p>Angebote</p>',
+  })], ['kassenbons']);
+  return { netto, dm, newsletter };
+}
+
+/**
+ * Test that the project loads the way Apps Script loads it: every file in one global scope,
+ * where a name declared by two files (e.g. a constant imported with `var`) is a SyntaxError.
+ * The files are loaded in both orders, so no file depends on another file having run first.
+ * @param {Object} results - Test results object
+ */
+function testProjectLoadsInOneGlobalScope(results) {
+  const testName = 'Project Loads In One Global Scope Test';
+  const root = path.join(__dirname, '..');
+  const files = ['Code.js', ...fs.readdirSync(path.join(root, 'src')).filter(file => file.endsWith('.js')).map(file => `src/${file}`)];
+
+  try {
+    [files, files.slice().reverse()].forEach(order => {
+      const context = vm.createContext({});
+      order.forEach(file => {
+        try {
+          vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+        } catch (error) {
+          throw new Error(`${file}: ${error.message}`);
+        }
+      });
+      ['processEmailsAndAddToSheet', 'setupSpreadsheet', 'installTriggers', 'doGet', 'doPost'].forEach(name => {
+        assertEquals(vm.runInContext(`typeof ${name}`, context), 'function', `${name} should be defined`);
+      });
+    });
+
+    recordTestResult(results, testName, true, `Loaded ${files.length} files`);
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that unread receipts of all registered senders are loaded and marked read
+ * @param {Object} results - Test results object
+ */
+function testProcessEmailsLoadsReceipts(results) {
+  const testName = 'Process Emails Loads Receipts Test';
+  const mailbox = createMailbox();
+  const spreadsheet = createReceiptSpreadsheet();
+  const services = installAppsScriptFakes({
+    gmail: createFakeGmailApp(Object.values(mailbox)),
+    spreadsheetApp: createFakeSpreadsheetApp(spreadsheet),
+  });
+
+  try {
+    services.code.processEmailsAndAddToSheet();
+
+    assertEquals(spreadsheet.getSheetByName('stores').rows.slice(1), [
+      [1, 'Netto Marken-Discount', 'Netto City-Filiale, Hauptstr. 123, 12345 Berlin', 'Hauptstraße', '123', '12345', 'Berlin', '', '', ''],
+      [2, 'dm-drogerie markt', 'Hauptstraße 12, 76133 Karlsruhe', 'Hauptstraße', '12', '76133', 'Karlsruhe', '', '', ''],
+    ]);
+    assertEquals(spreadsheet.getSheetByName('purchases').rows.slice(1).map(row => [row[0], row[4]]), [[1, 1], [2, 2]]);
+    assertEquals(spreadsheet.getSheetByName('purchases').rows[1][3], 3.78);
+
+    const priceLog = spreadsheet.getSheetByName('priceLog').rows.slice(1);
+    assertEquals(priceLog.map(row => [row[0], row[2], row[3], row[6], row[7], row[12]]), [
+      ['Milch 3.5%', 1, 'l', 1.29, 1, 1],
+      ['Brot', 0.5, 'kg', 2.49, 1, 2],
+      ['Balea Duschgel 300ml', 1, 'Stück', 0.65, 2, 3],
+    ]);
+    assertEquals(spreadsheet.getSheetByName('priceLog').calls.setValues, 1, 'priceLog should be written in one batch');
+
+    assertEquals(mailbox.netto.getMessages()[0].isUnread(), false, 'Netto receipt should be marked read');
+    assertEquals(mailbox.dm.getMessages()[0].isUnread(), false, 'dm receipt should be marked read');
+    assertEquals(mailbox.newsletter.getMessages()[0].isUnread(), true, 'Newsletter should stay unread');
+    assertEquals(services.lock.acquired, 1, 'The run should take the script lock once');
+    assertEquals(services.lock.held, false, 'The script lock should be released');
+    assertEquals(services.logger.messages.some(message => message.startsWith('Critical error')), false);
+
+    recordTestResult(results, testName, true, 'Successfully loaded receipts');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  } finally {
+    services.restore();
+  }
+}
+
+/**
+ * Test that receipts loaded before are not loaded again when their message is unread again
+ * @param {Object} results - Test results object
+ */
+function testProcessEmailsSkipsLoadedReceipts(results) {
+  const testName = 'Process Emails Skips Loaded Receipts Test';
+  const mailbox = createMailbox();
+  const spreadsheet = createReceiptSpreadsheet();
+  const gmail = createFakeGmailApp(Object.values(mailbox));
+  const services = installAppsScriptFakes({ gmail: gmail, spreadsheetApp: createFakeSpreadsheetApp(spreadsheet) });
+
+  try {
+    services.code.processEmailsAndAddToSheet();
+    mailbox.netto.getMessages()[0].unread = true;
+    services.code.processEmailsAndAddToSheet();
+
+    assertEquals(spreadsheet.getSheetByName('purchases').getLastRow(), 3, 'No purchase should be added twice');
+    assertEquals(spreadsheet.getSheetByName('priceLog').getLastRow(), 4, 'No line item should be added twice');
+    assertEquals(mailbox.netto.getMessages()[0].isUnread(), false, 'Duplicate receipt should be marked read');
+    assertEquals(gmail.calls.search, 2);
+
+    recordTestResult(results, testName, true, 'Skipped loaded receipts');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  } finally {
+    services.restore();
+  }
+}
+
+/**
+ * Test that a receipt that cannot be parsed is recorded in the 'errors' sheet and stays unread
+ * @param {Object} results - Test results object
+ */
+function testFailedMessageIsRecorded(results) {
+  const testName = 'Failed Message Is Recorded Test';
+  const message = createFakeMessage({
+    id: 'netto-broken',
+    from: 'noreply@netto-app.de',
+    subject: 'Dein Kassenbon',
+    date: new Date('2026-03-04T09:00:00Z'),
+    body: '<html><body><p>Dein Kassenbon ist im Anhang.</p></body></html>',
+  });
+  const spreadsheet = createReceiptSpreadsheet();
+  const services = installAppsScriptFakes({
+    gmail: createFakeGmailApp([createFakeThread([message], ['kassenbons'])]),
+    spreadsheetApp: createFakeSpreadsheetApp(spreadsheet),
+  });
+
+  try {
+    services.code.processEmailsAndAddToSheet();
+
+    const errorRows = spreadsheet.getSheetByName('errors').rows;
+    assertEquals(errorRows.length, 2, 'The errors sheet should be created with one failed message');
+    assertEquals(errorRows[1].slice(0, 5), ['netto-broken', 'noreply@netto-app.de', 'Dein Kassenbon', message.getDate(), 'split']);
+    assertEquals(message.isUnread(), true, 'Failed message should stay unread');
+    assertEquals(spreadsheet.getSheetByName('purchases').getLastRow(), 1, 'No purchase should be added');
+
+    recordTestResult(results, testName, true, 'Recorded failed message');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  } finally {
+    services.restore();
+  }
+}
+
+/**
+ * Test store and purchase lookup and creation through the sheet repository
+ * @param {Object} results - Test results object
+ */
+function testGetStoreIdAndPurchaseId(results) {
+  const testName = 'Get Store ID And Purchase ID Test';
+  const spreadsheet = createReceiptSpreadsheet();
+  const services = installAppsScriptFakes({ gmail: createFakeGmailApp([]), spreadsheetApp: createFakeSpreadsheetApp(spreadsheet) });
+
+  try {
+    const { openSheetRepository, getStoreId, getPurchaseId } = services.code;
+    const repository = openSheetRepository();
+    const purchase = { storeId: 1, purchaseDate: new Date('2026-03-02T10:15:00Z'), totalPrice: 3.78, receiptNumber: '0815' };
+
+    assertEquals(getStoreId(repository, 'Netto Marken-Discount', { storeAddress: 'Hauptstr. 123, 12345 Berlin' }), 1);
+    assertEquals(getStoreId(repository, 'Netto Marken-Discount', { storeAddress: 'Hauptstr. 123, 12345 Berlin' }), 1, 'Known address should be reused');
+    assertEquals(getStoreId(repository, 'Netto Marken-Discount', { storeAddress: 'Musterweg 1, 12345 Berlin' }), 2);
+    assertEquals(getPurchaseId(repository, purchase), 1);
+    assertEquals(getPurchaseId(repository, purchase), 1, 'Known purchase should be reused');
+    assertEquals(getPurchaseId(repository, { ...purchase, receiptNumber: '0816' }), 2);
+
+    assertEquals(spreadsheet.getSheetByName('stores').getLastRow(), 1, 'Nothing should be written before flush');
+    repository.flush();
+    assertEquals(spreadsheet.getSheetByName('stores').getLastRow(), 3);
+    assertEquals(spreadsheet.getSheetByName('purchases').rows[1], [1, '', purchase.purchaseDate, 3.78, 1, '0815']);
+
+    recordTestResult(results, testName, true, 'Successfully resolved stores and purchases');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  } finally {
+    services.restore();
+  }
+}
+
+/**
+ * Test that new stores are geocoded once when the `geocodeStores` setting is on
+ * @param {Object} results - Test results object
+ */
+function testGeocodedStores(results) {
+  const testName = 'Geocoded Stores Test';
+  const spreadsheet = createReceiptSpreadsheet([['key', 'value'], ['geocodeStores', true]]);
+  const maps = createFakeMaps({ 'Netto Filiale 0815, Bahnhofstr. 3a, 90402 Nürnberg': [49.4465, 11.0826] });
+  const services = installAppsScriptFakes({
+    gmail: createFakeGmailApp([]),
+    spreadsheetApp: createFakeSpreadsheetApp(spreadsheet),
+    maps: maps,
+  });
+
+  try {
+    const { openSheetRepository, getStoreId } = services.code;
+    const repository = openSheetRepository();
+
+    assertEquals(getStoreId(repository, 'Netto Marken-Discount', { storeAddress: 'Netto Filiale 0815, Bahnhofstr. 3a, 90402 Nürnberg' }), 1);
+    assertEquals(getStoreId(repository, 'Netto Marken-Discount', { storeAddress: 'Bahnhofstraße 3 a, 90402 Nürnberg' }), 1);
+    assertEquals(getStoreId(repository, 'Netto Marken-Discount', { storeAddress: 'Unbekannter Weg 1, 90402 Nürnberg' }), 2);
+    repository.flush();
+
+    assertEquals(maps.geocodedAddresses.length, 2, 'Known stores should not be geocoded again');
+    assertEquals(spreadsheet.getSheetByName('stores').rows.slice(1).map(row => row.slice(3)), [
+      ['Bahnhofstraße', '3a', '90402', 'Nürnberg', '0815', 49.4465, 11.0826],
+      ['Unbekannter Weg', '1', '90402', 'Nürnberg', '', '', ''],
+    ]);
+    assertEquals(services.logger.messages.some(message => message.startsWith('Could not geocode store address')), true,
+      'A failed lookup should be logged');
+
+    recordTestResult(results, testName, true, 'Successfully geocoded new stores');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  } finally {
+    services.restore();
+  }
+}
+
+/**
+ * Test the priceLog rows of a receipt, with the currency from the 'config' sheet and an invalid category rule
+ * @param {Object} results - Test results object
+ */
+function testLoadLineItems(results) {
+  const testName = 'Load Line Items Test';
+  const spreadsheet = createReceiptSpreadsheet([['key', 'value'], ['currency', 'CHF']], {
+    categoryRules: [
+      ['pattern', 'matchType', 'category', 'priority'],
+      ['gouda', 'keyword', 'dairy', 10],
+      ['(hafer', 'regex', 'cereals', 10],
+    ],
+  });
+  const services = installAppsScriptFakes({ gmail: createFakeGmailApp([]), spreadsheetApp: createFakeSpreadsheetApp(spreadsheet) });
+
+  try {
+    const { openSheetRepository, loadLineItems } = services.code;
+    const repository = openSheetRepository();
+
+    loadLineItems(repository, 7, {
+      lineItems: [
+        { description: 'Gouda jung 400g', details: null, quantity: 1, unit: 'Stück', unitPrice: 2.79, totalPrice: 2.79,
+          type: 'product', lineNumber: 1, appliesToLine: null, effectivePrice: 2.23 },
+        { description: 'Rabatt 20%', details: null, quantity: 1, unit: 'Stück', unitPrice: -0.56, totalPrice: -0.56,
+          type: 'discount', lineNumber: 2, appliesToLine: 1, effectivePrice: null },
+        { description: 'Haferflocken', details: null, quantity: 1, unit: 'Stück', unitPrice: 0.89, totalPrice: 0.89,
+          type: 'product', lineNumber: 3, appliesToLine: null, effectivePrice: 0.89 },
+      ],
+    });
+    repository.flush();
+
+    assertEquals(spreadsheet.getSheetByName('priceLog').rows.slice(1), [
+      ['Gouda jung 400g', null, 1, 'Stück', 2.79, 'CHF', 2.79, 7, 'product', 1, null, 2.23, 1, 'dairy'],
+      ['Rabatt 20%', null, 1, 'Stück', -0.56, 'CHF', -0.56, 7, 'discount', 2, 1, null, null, 'dairy'],
+      ['Haferflocken', null, 1, 'Stück', 0.89, 'CHF', 0.89, 7, 'product', 3, null, 0.89, 2, null],
+    ]);
+    assertEquals(spreadsheet.getSheetByName('products').rows[1].slice(0, 2), [1, 'Gouda jung 400g'], 'The product should be added to the catalogue');
+    assertEquals(spreadsheet.getSheetByName('uncategorisedItems').rows.slice(1).map(row => row[0]), ['Haferflocken'],
+      'Products without a category should be collected');
+
+    loadLineItems(repository, 8, { lineItems: [] });
+    assertEquals(services.logger.messages.filter(message => message.startsWith('Warning: skipping invalid category rule')),
+      ["Warning: skipping invalid category rule. Row 3: invalid regular expression '(hafer'"],
+      'Invalid rules should be skipped and reported once per run');
+
+    recordTestResult(results, testName, true, 'Successfully loaded line items');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  } finally {
+    services.restore();
+  }
+}
+
+/**
+ * Test re-categorising the priceLog after the rules changed and a category was entered for review
+ * @param {Object} results - Test results object
+ */
+function testRecategorisePriceLog(results) {
+  const testName = 'Recategorise Price Log Test';
+  const firstSeen = new Date('2026-03-01T08:00:00Z');
+  const spreadsheet = createReceiptSpreadsheet(null, {
+    categoryRules: [['pattern', 'matchType', 'category', 'priority'], ['milch', 'keyword', 'dairy', 10]],
+    uncategorisedItems: [
+      ['description', 'firstSeen', 'category'],
+      ['Haferflocken', firstSeen, 'cereals'],
+      ['Zahnseide', firstSeen, ''],
+    ],
+  });
+  spreadsheet.getSheetByName('priceLog').rows.push(
+    ['Vollmilch', null, 1, 'l', 1.19, 'EUR', 1.19, 1, 'product', 1, null, 0.99, 1, ''],
+    ['Rabatt', null, 1, 'Stück', -0.2, 'EUR', -0.2, 1, 'discount', 2, 1, null, null, ''],
+    ['Haferflocken', null, 1, 'Stück', 0.89, 'EUR', 0.89, 1, 'product', 3, null, 0.89, 2, ''],
+    ['Zahnseide', null, 1, 'Stück', 1.45, 'EUR', 1.45, 2, 'product', 1, null, 1.45, 3, ''],
+    ['Pfand', null, 1, 'Stück', 0.25, 'EUR', 0.25, 2, 'deposit', 2, null, null, null, ''],
+  );
+  const services = installAppsScriptFakes({ gmail: createFakeGmailApp([]), spreadsheetApp: createFakeSpreadsheetApp(spreadsheet) });
+
+  try {
+    services.code.recategorisePriceLog();
+
+    assertEquals(spreadsheet.getSheetByName('priceLog').rows.slice(1).map(row => row[13]),
+      ['dairy', 'dairy', 'cereals', '', ''], 'Discounts should follow their product');
+    assertEquals(spreadsheet.getSheetByName('categoryRules').rows.slice(1), [
+      ['milch', 'keyword', 'dairy', 10],
+      ['Haferflocken', 'keyword', 'cereals', 50],
+    ], 'The reviewed category should become a rule');
+    assertEquals(spreadsheet.getSheetByName('uncategorisedItems').rows.slice(1), [['Zahnseide', firstSeen, '']]);
+    assertEquals(services.lock.held, false, 'The script lock should be released');
+
+    recordTestResult(results, testName, true, 'Successfully re-categorised priceLog');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  } finally {
+    services.restore();
+  }
+}
+
+/**
+ * Test that imports are recorded in the 'runs' sheet and that a run overlapping another one is skipped
+ * @param {Object} results - Test results object
+ */
+function testRunsAreRecorded(results) {
+  const testName = 'Runs Are Recorded Test';
+  const mailbox = createMailbox();
+  const spreadsheet = createReceiptSpreadsheet();
+  const gmail = createFakeGmailApp(Object.values(mailbox));
+  const services = installAppsScriptFakes({ gmail: gmail, spreadsheetApp: createFakeSpreadsheetApp(spreadsheet) });
+
+  try {
+    services.code.processEmailsAndAddToSheet();
+    mailbox.netto.getMessages()[0].unread = true;
+    services.lock.held = true;
+    services.code.processEmailsAndAddToSheet();
+
+    const runs = spreadsheet.getSheetByName('runs').rows;
+    assertEquals(runs[0], ['startedAt', 'task', 'durationSeconds', 'threads', 'imported', 'failures', 'outcome',
+      'error', 'version']);
+    assertEquals(runs.slice(1).map(row => row.slice(1, 8).filter((value, i) => i !== 1)), [
+      ['processEmailsAndAddToSheet', 2, 2, 0, 'completed', ''],
+      ['processEmailsAndAddToSheet', '', '', '', 'skipped', ''],
+    ]);
+    assertEquals(gmail.calls.search, 1, 'A skipped run should not search the mailbox');
+    assertEquals(mailbox.netto.getMessages()[0].isUnread(), true, 'A skipped run should not mark messages read');
+    assertEquals(spreadsheet.getSheetByName('purchases').getLastRow(), 3);
+
+    recordTestResult(results, testName, true, 'Recorded completed and skipped runs');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  } finally {
+    services.restore();
+  }
+}
+
+/**
+ * Test installing the scheduled triggers from the settings and removing them again
+ * @param {Object} results - Test results object
+ */
+function testInstallTriggers(results) {
+  const testName = 'Install Triggers Test';
+  const spreadsheet = createReceiptSpreadsheet([
+    ['key', 'value'],
+    ['schedule.import', 'every 2 hours'],
+    ['schedule.priceChangeDigest', 'off'],
+  ]);
+  const services = installAppsScriptFakes({ gmail: createFakeGmailApp([]), spreadsheetApp: createFakeSpreadsheetApp(spreadsheet) });
+  const backfillTrigger = services.scriptApp.newTrigger('continueBackfill').timeBased().after(60 * 1000).create();
+  const describe = trigger => [trigger.handler, trigger.everyHours, trigger.everyDays, trigger.atHour];
+
+  try {
+    services.code.installTriggers();
+    services.code.installTriggers();
+
+    assertEquals(services.scriptApp.triggers.map(describe), [
+      ['continueBackfill', undefined, undefined, undefined],
+      ['processEmailsAndAddToSheet', 2, undefined, undefined],
+      ['updateSpendingReport', undefined, 1, 3],
+    ], 'Installing again should replace the triggers');
+
+    services.code.uninstallTriggers();
+    assertEquals(services.scriptApp.triggers, [backfillTrigger], 'The backfill trigger should be kept');
+
+    const invalidServices = installAppsScriptFakes({
+      gmail: createFakeGmailApp([]),
+      spreadsheetApp: createFakeSpreadsheetApp(createReceiptSpreadsheet([['key', 'value'], ['schedule.report', 'weekly']])),
+    });
+    try {
+      const importTrigger = invalidServices.scriptApp.newTrigger('processEmailsAndAddToSheet').timeBased().everyHours(1).create();
+      let error = null;
+      try {
+        invalidServices.code.installTriggers();
+      } catch (e) {
+        error = e;
+      }
+      assertEquals(error !== null, true, 'Invalid settings should be rejected');
+      assertEquals(invalidServices.scriptApp.triggers, [importTrigger], 'Invalid settings should keep the installed triggers');
+    } finally {
+      invalidServices.restore();
+    }
+
+    recordTestResult(results, testName, true, 'Installed and removed triggers');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  } finally {
+    services.restore();
+  }
+}
+
+/**
+ * Test that an upload whose body is not a JSON object is answered with status 400
+ * @param {Object} results - Test results object
+ */
+function testUploadRejectsInvalidJson(results) {
+  const testName = 'Upload Rejects Invalid Json Test';
+  const services = installAppsScriptFakes({
+    gmail: createFakeGmailApp([]),
+    spreadsheetApp: createFakeSpreadsheetApp(createReceiptSpreadsheet()),
+  });
+  const post = contents => services.code.doPost({ parameter: {}, postData: { type: 'application/json', contents: contents } });
+
+  try {
+    ['{"content": "<p>Bon', 'null', '"<p>Bon</p>"'].forEach(contents => {
+      const response = post(contents);
+      assertEquals(response.mimeType, 'JSON');
+      assertEquals(JSON.parse(response.getContent()), { status: 400, error: 'The request body must be a JSON object' },
+        `'${contents}' should be rejected`);
+    });
+    assertEquals(JSON.parse(post('{"content": "<p>Bon</p>"}').getContent()),
+      { status: 400, error: "Missing parameter 'parser' for an HTML upload" }, 'A JSON object should be handled');
+
+    recordTestResult(results, testName, true, 'Rejected invalid JSON bodies');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  } finally {
+    services.restore();
+  }
+}
+
+/**
+ * Test that uploaded e-mails are matched against the senders configured in the settings
+ * @param {Object} results - Test results object
+ */
+function testUploadUsesConfiguredSenders(results) {
+  const testName = 'Upload Uses Configured Senders Test';
+  const spreadsheet = createReceiptSpreadsheet([
+    ['key', 'value'],
+    ['senders.dm', 'kassenbon@example.com'],
+  ]);
+  const services = installAppsScriptFakes({ gmail: createFakeGmailApp([]), spreadsheetApp: createFakeSpreadsheetApp(spreadsheet) });
+  const eml = fs.readFileSync(path.join(__dirname, 'fixtures', 'eml', 'dm-ebon.eml'), 'utf8')
+    .replace(/ebon@dm\.de/g, 'kassenbon@example.com');
+
+  try {
+    const response = services.code.handleReceiptUpload({ content: eml, dryRun: 'true' });
+
+    assertEquals(response.error, undefined, 'The configured sender should find the dm parser');
+    assertEquals(response.status, 200);
+    assertEquals(response.receipt.storeName, 'dm-drogerie markt');
+
+    recordTestResult(results, testName, true, 'Matched the upload against the configured senders');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  } finally {
+    services.restore();
+  }
+}
+
+/**
+ * Test that read-only API requests never create sheets and answer a missing sheet as JSON
+ * @param {Object} results - Test results object
+ */
+function testApiRequestsDoNotCreateSheets(results) {
+  const testName = 'Api Requests Do Not Create Sheets Test';
+  const spreadsheet = createReceiptSpreadsheet();
+  const services = installAppsScriptFakes({ gmail: createFakeGmailApp([]), spreadsheetApp: createFakeSpreadsheetApp(spreadsheet) });
+  const sheetNames = () => spreadsheet.getSheets().map(sheet => sheet.getName());
+
+  try {
+    const before = sheetNames();
+    const response = services.code.doGet({ pathInfo: 'priceHistory', parameter: { productId: '1' } });
+
+    assertEquals(JSON.parse(response.getContent()), { status: 404, error: 'Product 1 not found' });
+    assertEquals(sheetNames(), before, 'No sheet should be created');
+
+    spreadsheet.deleteSheet(spreadsheet.getSheetByName('stores'));
+    assertEquals(JSON.parse(services.code.doGet({ pathInfo: 'stores', parameter: {} }).getContent()),
+      { status: 500, error: "Sheet 'stores' not found, run setupSpreadsheet to create it" },
+      'A missing sheet should be answered as JSON');
+
+    recordTestResult(results, testName, true, 'Answered without creating sheets');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  } finally {
+    services.restore();
+  }
+}
+
+/**
+ * Test that a backfill failing in every execution stops instead of rescheduling itself forever
+ * @param {Object} results - Test results object
+ */
+function testBackfillStopsAfterRepeatedErrors(results) {
+  const testName = 'Backfill Stops After Repeated Errors Test';
+  const gmail = createFakeGmailApp([]);
+  gmail.search = () => {
+    throw new Error('Service invoked too many times for one day: gmail');
+  };
+  const spreadsheet = createReceiptSpreadsheet();
+  const services = installAppsScriptFakes({ gmail: gmail, spreadsheetApp: createFakeSpreadsheetApp(spreadsheet) });
+  const backfillTriggers = () => services.scriptApp.triggers.filter(trigger => trigger.handler === 'continueBackfill');
+
+  try {
+    services.code.startBackfill('2024-01-01', '2024-02-01');
+    assertEquals(backfillTriggers().length, 1, 'The first error should be retried');
+    services.code.continueBackfill();
+    assertEquals(backfillTriggers().length, 1, 'The second error should be retried');
+
+    let error = null;
+    try {
+      services.code.continueBackfill();
+    } catch (e) {
+      error = e;
+    }
+
+    assertEquals(error && error.message, 'Service invoked too many times for one day: gmail', 'The execution should fail');
+    assertEquals(backfillTriggers().length, 0, 'The backfill should not be rescheduled');
+    const state = JSON.parse(services.scriptProperties.getProperty('backfillState'));
+    assertEquals([state.consecutiveErrors, state.lastError],
+      [3, 'Error: Service invoked too many times for one day: gmail'], 'The failure should be kept in the backfill state');
+    assertEquals(spreadsheet.getSheetByName('runs').rows.slice(1).map(row => [row[1], row[6]]), [
+      ['continueBackfill', 'failed'],
+      ['continueBackfill', 'failed'],
+      ['continueBackfill', 'failed'],
+    ], 'Every backfill execution should be recorded');
+
+    recordTestResult(results, testName, true, 'Stopped the failing backfill');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  } finally {
+    services.restore();
+  }
+}
+
+/**
+ * Test that invalid settings count as a failed backfill execution, which is retried
+ * @param {Object} results - Test results object
+ */
+function testBackfillRetriesInvalidSettings(results) {
+  const testName = 'Backfill Retries Invalid Settings Test';
+  const spreadsheet = createReceiptSpreadsheet([['key', 'value'], ['schedule.report', 'weekly']]);
+  const services = installAppsScriptFakes({
+    gmail: createFakeGmailApp([]),
+    spreadsheetApp: createFakeSpreadsheetApp(spreadsheet),
+  });
+
+  try {
+    services.code.startBackfill('2024-01-01', '2024-02-01');
+
+    assertEquals(services.scriptApp.triggers.filter(trigger => trigger.handler === 'continueBackfill').length, 1,
+      'The backfill should be rescheduled');
+    const state = JSON.parse(services.scriptProperties.getProperty('backfillState'));
+    assertEquals(state.consecutiveErrors, 1, 'The error should count as a failed execution');
+    assertEquals(state.lastError.startsWith("Error: Invalid settings: Setting 'schedule.report'"), true,
+      'The error should be kept in the backfill state');
+
+    recordTestResult(results, testName, true, 'Retried the backfill');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  } finally {
+    services.restore();
+  }
+}
+
+/**
+ * Test that receipts loaded by a backfill record no price changes, while new receipts do
+ * @param {Object} results - Test results object
+ */
+function testBackfillRecordsNoPriceChanges(results) {
+  const testName = 'Backfill Records No Price Changes Test';
+  const nettoThread = (id, date, price) => createFakeThread([createFakeMessage({
+    id: id,
+    from: 'Netto <noreply@netto-app.de>',
+    subject: 'Dein Kassenbon',
+    date: new Date(date),
+    body: buildNettoEmailBody('Hauptstr. 123, 12345 Berlin', [['Milch 3.5%', price, '1 Liter']], price),
+  })], ['kassenbons']);
+  const threads = [nettoThread('netto-1', '2024-01-05T10:00:00Z', '0,99'), nettoThread('netto-2', '2024-01-12T10:00:00Z', '1,29')];
+  const spreadsheet = createReceiptSpreadsheet();
+  const services = installAppsScriptFakes({
+    gmail: createFakeGmailApp(threads),
+    spreadsheetApp: createFakeSpreadsheetApp(spreadsheet),
+  });
+  const priceChangeRows = () => {
+    const sheet = spreadsheet.getSheetByName('priceChanges');
+    return sheet ? sheet.rows.slice(1) : [];
+  };
+
+  try {
+    services.code.startBackfill('2024-01-01', '2024-02-01');
+    assertEquals(spreadsheet.getSheetByName('purchases').getLastRow(), 3, 'The backfill should load both receipts');
+    assertEquals(priceChangeRows(), [], 'The backfill should record no price changes');
+
+    threads.push(nettoThread('netto-3', '2026-03-02T10:00:00Z', '1,49'));
+    services.code.processEmailsAndAddToSheet();
+    assertEquals(priceChangeRows().map(row => [row[2], row[4], row[5]]), [['Milch 3.5%', 1.29, 1.49]],
+      'A new receipt should record its price change');
+
+    recordTestResult(results, testName, true, 'Recorded price changes of new receipts only');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  } finally {
+    services.restore();
+  }
+}
+
+/**
+ * Test that reprocessing removes the rows of imported messages and keeps those no parser accepts
+ * @param {Object} results - Test results object
+ */
+function testReprocessKeepsSkippedMessages(results) {
+  const testName = 'Reprocess Keeps Skipped Messages Test';
+  const { netto, newsletter } = createMailbox();
+  const recordedAt = new Date('2026-03-04T09:00:00Z');
+  const spreadsheet = createReceiptSpreadsheet(null, {
+    errors: [
+      ['messageId', 'sender', 'subject', 'date', 'stage', 'error', 'recordedAt'],
+      ['netto-1', 'Netto <noreply@netto-app.de>', 'Dein Kassenbon', recordedAt, 'split', 'Error: old parser', recordedAt],
+      ['news-1', 'news@example.com', 'Angebote der Woche', recordedAt, 'split', 'Error: old parser', recordedAt],
+      ['gone-1', 'Netto <noreply@netto-app.de>', 'Dein Kassenbon', recordedAt, 'split', 'Error: old parser', recordedAt],
+    ],
+  });
+  const services = installAppsScriptFakes({
+    gmail: createFakeGmailApp([netto, newsletter]),
+    spreadsheetApp: createFakeSpreadsheetApp(spreadsheet),
+  });
+
+  try {
+    services.code.reprocessFailedMessages();
+
+    const errorRows = spreadsheet.getSheetByName('errors').rows.slice(1).filter(row => row[0] !== '');
+    assertEquals(errorRows.map(row => row.slice(0, 6)), [
+      ['news-1', 'news@example.com', 'Angebote der Woche', newsletter.getMessages()[0].getDate(), 'skipped',
+        'Error: No receipt parser registered for news@example.com'],
+      ['gone-1', 'Netto <noreply@netto-app.de>', 'Dein Kassenbon', recordedAt, 'content', 'Error: Message not found'],
+    ], 'The skipped and the deleted message should be kept with their new status');
+    assertEquals(spreadsheet.getSheetByName('purchases').getLastRow(), 2, 'The fixed message should be imported');
+    assertEquals(newsletter.getMessages()[0].isUnread(), true, 'The skipped message should stay unread');
+    assertEquals(services.logger.messages.includes('Reprocessed 3 failed messages: 1 fixed, 1 skipped, 1 still failing'), true);
+    assertEquals(spreadsheet.getSheetByName('runs').rows[1].slice(1, 8).filter((value, i) => i !== 1),
+      ['reprocessFailedMessages', '', 1, 1, 'completed', ''], 'The run should be recorded');
+
+    recordTestResult(results, testName, true, 'Kept the skipped message');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  } finally {
+    services.restore();
+  }
+}
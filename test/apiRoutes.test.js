@@ -0,0 +1,205 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { handleApiRequest } = require('../src/apiRoutes');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllApiRoutesTests()
+
+/**
+ * Testing suite for handleApiRequest function
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllApiRoutesTests() {
+  return runTests([
+    testStoresAndPurchasesByDateRange,
+    testPurchaseWithLineItems,
+    testPriceHistory,
+    testInvalidPurchaseDates,
+    testRoutingErrors,
+  ]);
+}
+
+/**
+ * Create a sheet values lookup over fixture rows
+ * @returns {Function} Returns the values of a sheet by name
+ */
+function createApiTables() {
+  const tables = {
+    stores: [
+      ['storeId', 'storeName', 'storeAddress'],
+      [1, 'Netto Marken-Discount', 'Hauptstr. 123, 12345 Berlin'],
+      [2, 'REWE', 'Marktplatz 1, 12345 Berlin'],
+    ],
+    purchases: [
+      ['purchaseId', 'comment', 'date', 'totalPrice', 'storeId', 'receiptNumber'],
+      [1, null, new Date('2026-01-15T10:00:00Z'), 3.2, 1, '0815'],
+      [2, null, new Date('2026-01-31T19:00:00Z'), 1.19, 2, ''],
+      [3, null, new Date('2026-02-02T09:00:00Z'), '', 1, '0816'],
+    ],
+    products: [
+      ['productId', 'name', 'normalisedName', 'category'],
+      [10, 'Milch 3,5% 1L', 'milch 3.5% 1l', 'Dairy'],
+    ],
+    priceLog: [
+      ['description', 'details', 'quantity', 'unit', 'unitPrice', 'currency', 'totalPrice', 'purchaseId',
+        'type', 'lineNumber', 'appliesToLine', 'effectivePrice', 'productId'],
+      ['Milch', null, 2, 'l', 1.09, 'EUR', 2.18, 1, 'product', 1, '', 2.18, 10],
+      ['Brot', null, 1, 'Stück', 1.02, 'EUR', 1.02, 1, 'product', 2, '', 1.02, 11],
+      ['Milch', null, 1, 'l', 1.19, 'EUR', 1.19, 2, 'product', 1, '', 1.19, 10],
+      ['Milch', null, 1, 'l', 0.99, 'EUR', 0.99, 3, 'product', 1, '', 0.99, 10],
+    ],
+  };
+  return sheetName => tables[sheetName];
+}
+
+/**
+ * Test listing stores and purchases filtered by date range and store
+ * @param {Object} results - Test results object
+ */
+function testStoresAndPurchasesByDateRange(results) {
+  const testName = 'Stores And Purchases By Date Range Test';
+
+  try {
+    const getValues = createApiTables();
+
+    const stores = handleApiRequest('stores', {}, getValues);
+    assertEquals(stores.status, 200);
+    assertEquals(stores.stores[1], { storeId: 2, name: 'REWE', address: 'Marktplatz 1, 12345 Berlin' });
+
+    const january = handleApiRequest(null, { action: 'purchases', from: '2026-01-01', to: '2026-01-31' }, getValues);
+    assertEquals(january.purchases.map(p => p.purchaseId), [1, 2], 'The end date should be inclusive');
+    assertEquals(january.purchases[1], {
+      purchaseId: 2,
+      date: '2026-01-31T19:00:00.000Z',
+      totalPrice: 1.19,
+      storeId: 2,
+      receiptNumber: null,
+    });
+
+    const netto = handleApiRequest('/purchases/', { storeId: '1' }, getValues);
+    assertEquals(netto.purchases.map(p => p.purchaseId), [1, 3]);
+    assertEquals(netto.purchases[1].totalPrice, null);
+
+    recordTestResult(results, testName, true, 'Successfully listed stores and purchases');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test fetching a purchase with its line items
+ * @param {Object} results - Test results object
+ */
+function testPurchaseWithLineItems(results) {
+  const testName = 'Purchase With Line Items Test';
+
+  try {
+    const response = handleApiRequest(null, { path: 'purchase', id: '1' }, createApiTables());
+
+    assertEquals(response.status, 200);
+    assertEquals(response.purchase.receiptNumber, '0815');
+    assertEquals(response.purchase.lineItems.map(item => item.description), ['Milch', 'Brot']);
+    assertEquals(response.purchase.lineItems[0], {
+      description: 'Milch',
+      details: null,
+      quantity: 2,
+      unit: 'l',
+      unitPrice: 1.09,
+      currency: 'EUR',
+      totalPrice: 2.18,
+      purchaseId: 1,
+      type: 'product',
+      lineNumber: 1,
+      appliesToLine: null,
+      effectivePrice: 2.18,
+      productId: 10,
+      category: null,
+    });
+
+    recordTestResult(results, testName, true, 'Successfully fetched purchase');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test the price history of a product in date order
+ * @param {Object} results - Test results object
+ */
+function testPriceHistory(results) {
+  const testName = 'Price History Test';
+
+  try {
+    const response = handleApiRequest('priceHistory', { productId: '10' }, createApiTables());
+
+    assertEquals(response.product, { productId: 10, name: 'Milch 3,5% 1L', category: 'Dairy' });
+    assertEquals(response.prices.map(price => [price.purchaseId, price.storeId, price.unitPrice]),
+      [[1, 1, 1.09], [2, 2, 1.19], [3, 1, 0.99]]);
+    assertEquals(response.prices[0].date, '2026-01-15T10:00:00.000Z');
+
+    recordTestResult(results, testName, true, 'Successfully built price history');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that purchases with a blank or invalid date do not fail the request
+ * @param {Object} results - Test results object
+ */
+function testInvalidPurchaseDates(results) {
+  const testName = 'Invalid Purchase Dates Test';
+
+  try {
+    const tables = createApiTables();
+    const purchases = tables('purchases').concat([
+      [4, null, '', 2.5, 2, ''],
+      [5, null, 'unbekannt', 0.89, 2, ''],
+    ]);
+    const priceLog = tables('priceLog').concat([
+      ['Milch', null, 1, 'l', 1.29, 'EUR', 1.29, 4, 'product', 1, '', 1.29, 10],
+      ['Milch', null, 1, 'l', 0.89, 'EUR', 0.89, 5, 'product', 1, '', 0.89, 10],
+    ]);
+    const getValues = sheetName => ({ purchases: purchases, priceLog: priceLog }[sheetName] || tables(sheetName));
+
+    const all = handleApiRequest('purchases', {}, getValues);
+    assertEquals(all.purchases.map(p => [p.purchaseId, p.date]).slice(3), [[4, null], [5, null]],
+      'Invalid dates should be returned as null');
+    assertEquals(handleApiRequest('purchases', { from: '2026-01-01' }, getValues).purchases.map(p => p.purchaseId), [1, 2, 3],
+      'Purchases without a date should not match a date range');
+    assertEquals(handleApiRequest('purchase', { id: '5' }, getValues).purchase.date, null);
+    assertEquals(handleApiRequest('priceHistory', { productId: '10' }, getValues).prices.map(price => price.purchaseId), [1, 2, 3],
+      'Prices without a purchase date should be left out of the history');
+
+    recordTestResult(results, testName, true, 'Successfully handled invalid dates');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test unknown routes, missing parameters and unknown IDs
+ * @param {Object} results - Test results object
+ */
+function testRoutingErrors(results) {
+  const testName = 'Routing Errors Test';
+
+  try {
+    const getValues = createApiTables();
+
+    assertEquals(handleApiRequest('orders', {}, getValues).status, 404);
+    assertEquals(handleApiRequest(null, {}, getValues).status, 404);
+    assertEquals(handleApiRequest('purchase', {}, getValues), { status: 400, error: "Missing parameter 'id'" });
+    assertEquals(handleApiRequest('purchase', { id: '99' }, getValues), { status: 404, error: 'Purchase 99 not found' });
+    assertEquals(handleApiRequest('purchases', { from: '01.01.2026' }, getValues).status, 400);
+    assertEquals(handleApiRequest('priceHistory', { productId: '99' }, getValues).status, 404);
+
+    recordTestResult(results, testName, true, 'Successfully reported routing errors');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
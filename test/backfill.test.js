@@ -0,0 +1,104 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var {
+    createBackfillState,
+    buildBackfillQuery,
+    advanceBackfillState,
+    recordBackfillError,
+    hasTimeForPage,
+    summariseBackfill,
+  } = require('../src/backfill');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllBackfillTests()
+
+/**
+ * Testing suite for the backfill state helpers
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllBackfillTests() {
+  return runTests([
+    testBackfillQuery,
+    testAdvanceBackfillState,
+    testTimeBudget,
+  ]);
+}
+
+/**
+ * Test that the backfill query covers read and unread receipts in the date range
+ * @param {Object} results - Test results object
+ */
+function testBackfillQuery(results) {
+  const testName = 'Backfill Query Test';
+
+  try {
+    const state = createBackfillState(new Date(2024, 0, 1), '2026-10-18T00:00:00');
+
+    assertEquals(state.after, '2024/01/01', 'Start date should be formatted for Gmail');
+    assertEquals(state.before, '2026/10/18', 'End date should be formatted for Gmail');
+    assertEquals(
+      buildBackfillQuery('{from:a@b.de} label:kassenbons', state),
+      '{from:a@b.de} label:kassenbons after:2024/01/01 before:2026/10/18',
+      'Query should not be restricted to unread mail'
+    );
+
+    let error = null;
+    try {
+      createBackfillState('not a date', new Date());
+    } catch (e) {
+      error = e;
+    }
+    assertEquals(error !== null, true, 'Invalid dates should be rejected');
+
+    recordTestResult(results, testName, true, 'Successfully built backfill query');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that pages advance the cursor and add up the counts
+ * @param {Object} results - Test results object
+ */
+function testAdvanceBackfillState(results) {
+  const testName = 'Advance Backfill State Test';
+
+  try {
+    let state = createBackfillState(new Date(2024, 0, 1), new Date(2025, 0, 1));
+    state = advanceBackfillState(state, 20, ['processed', 'processed', 'skipped', 'duplicate', 'failed']);
+    state = advanceBackfillState(state, 5, ['processed']);
+
+    assertEquals(state.cursor, 25, 'Cursor should advance by the thread count');
+    assertEquals([state.processed, state.skipped, state.failed], [3, 2, 1], 'Counts should add up');
+    assertEquals(summariseBackfill(state), 'Backfill 2024/01/01 - 2025/01/01: 25 threads, 3 processed, 2 skipped, 1 failed', 'Summary should list the counts');
+
+    state = recordBackfillError(recordBackfillError(state, new Error('Service invoked too many times')), new Error('Timeout'));
+    assertEquals([state.consecutiveErrors, state.lastError], [2, 'Error: Timeout'], 'Errors should be counted');
+    assertEquals(advanceBackfillState(state, 1, []).consecutiveErrors, 0, 'A processed page should reset the error count');
+
+    recordTestResult(results, testName, true, 'Successfully advanced backfill state');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test the time budget check
+ * @param {Object} results - Test results object
+ */
+function testTimeBudget(results) {
+  const testName = 'Time Budget Test';
+
+  try {
+    assertEquals(hasTimeForPage(0, 60000, 270000, 60000), true, 'Page should fit early in the run');
+    assertEquals(hasTimeForPage(0, 240000, 270000, 60000), false, 'Page should not start close to the budget');
+
+    recordTestResult(results, testName, true, 'Successfully checked time budget');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,137 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var {
+    getDefaultCategoryRules,
+    parseCategoryRules,
+    readCategoryRules,
+    categoriseDescription,
+    categoriseLineItems,
+    buildUncategorisedItemRows,
+  } = require('../src/categoryRules');
+  var { getSheetLayout } = require('../src/sheetLayout');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllCategoryRulesTests()
+
+/**
+ * Testing suite for the category rules engine
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllCategoryRulesTests() {
+  return runTests([
+    testRuleMatchingAndPriority,
+    testInvalidRules,
+    testCategoriseLineItems,
+  ]);
+}
+
+/**
+ * Test keyword and regex rules and that the highest priority wins
+ * @param {Object} results - Test results object
+ */
+function testRuleMatchingAndPriority(results) {
+  const testName = 'Rule Matching And Priority Test';
+
+  try {
+    const rules = parseCategoryRules([
+      getSheetLayout().categoryRules.header,
+      ['apfel', 'keyword', 'produce', 10],
+      ['käse', '', 'dairy', ''],
+      ['saft', 'keyword', 'drinks', 20],
+      ['^bio\\b', 'regex', 'organic', ''],
+      ['', '', '', ''],
+    ]);
+
+    assertEquals(categoriseDescription('Apfelsaft klar', rules), 'drinks', 'Higher priority should win');
+    assertEquals(categoriseDescription('Äpfel Elstar', rules), null, 'Keywords are compared as written, not stemmed');
+    assertEquals(categoriseDescription('Bio Äpfel', rules), 'organic');
+    assertEquals(categoriseDescription('KAESEAUFSCHNITT', rules), 'dairy', 'Keywords should ignore case and umlaut spelling');
+    assertEquals(categoriseDescription('Biobananen', rules), null, 'Regex should be tested as written');
+
+    const defaults = parseCategoryRules([getSheetLayout().categoryRules.header, ...getDefaultCategoryRules()]);
+    assertEquals(['Bio Vollmilch 3,8%', 'Apfelsaft klar', 'Leergut', 'Teewurst', 'Schweinebauch', 'Spülmittel Zitrone']
+      .map(description => categoriseDescription(description, defaults)),
+      ['dairy', 'drinks', 'deposit', null, null, 'household']);
+
+    recordTestResult(results, testName, true, 'Successfully matched rules');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that all invalid rule rows are reported together, or skipped when reading leniently
+ * @param {Object} results - Test results object
+ */
+function testInvalidRules(results) {
+  const testName = 'Invalid Rules Test';
+
+  try {
+    const ruleRows = [
+      getSheetLayout().categoryRules.header,
+      ['milch', 'keyword', 'dairy', 10],
+      ['brot', 'wildcard', 'bakery', 10],
+      ['(saft', 'regex', 'drinks', 10],
+      ['wasser', 'keyword', '', 10],
+      ['tee', 'keyword', 'drinks', 'hoch'],
+    ];
+    let message = null;
+    try {
+      parseCategoryRules(ruleRows);
+    } catch (error) {
+      message = error.message;
+    }
+
+    assertEquals(message, 'Invalid category rules: ' + [
+      "Row 3: unknown match type 'wildcard'",
+      "Row 4: invalid regular expression '(saft'",
+      'Row 5: pattern and category are required',
+      "Row 6: priority must be a number, got 'hoch'",
+    ].join('; '));
+
+    const { rules, problems } = readCategoryRules(ruleRows);
+    assertEquals(rules.map(rule => rule.category), ['dairy'], 'Only the valid rule should be kept');
+    assertEquals(problems.length, 4);
+
+    recordTestResult(results, testName, true, 'Successfully reported invalid rules');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test categorising the line items of receipts and collecting unmatched products
+ * @param {Object} results - Test results object
+ */
+function testCategoriseLineItems(results) {
+  const testName = 'Categorise Line Items Test';
+
+  try {
+    const rules = parseCategoryRules([getSheetLayout().categoryRules.header, ['milch', 'keyword', 'dairy', 10], ['^pfand', 'regex', 'deposit', 10]]);
+    const { categories, unmatched } = categoriseLineItems([
+      { purchaseId: 1, description: 'Vollmilch', type: 'product', lineNumber: 1, appliesToLine: null },
+      { purchaseId: 1, description: 'Haferflocken', type: 'product', lineNumber: 2, appliesToLine: null },
+      { purchaseId: 2, description: 'Rabatt', type: 'discount', lineNumber: 2, appliesToLine: 1 },
+      { purchaseId: 2, description: 'Vollmilch', type: 'product', lineNumber: 1, appliesToLine: null },
+      { purchaseId: 2, description: 'Pfand', type: 'deposit', lineNumber: 3, appliesToLine: null },
+      { purchaseId: 2, description: 'Coupon', type: 'discount', lineNumber: 4, appliesToLine: null },
+      { purchaseId: 3, description: 'Haferflocken', type: 'product', lineNumber: 1, appliesToLine: null },
+    ], rules);
+
+    assertEquals(categories, ['dairy', null, 'dairy', 'dairy', 'deposit', null, null], 'Discounts should follow their product');
+    assertEquals(unmatched, ['Haferflocken'], 'Only products should be collected, once');
+
+    const seenAt = new Date('2026-03-01T08:00:00Z');
+    const uncategorisedRows = [['description', 'firstSeen', 'category'], ['Zahnseide', seenAt, '']];
+    assertEquals(buildUncategorisedItemRows(uncategorisedRows, ['Zahnseide', 'Haferflocken'], seenAt),
+      [['Haferflocken', seenAt, '']], 'Listed items should not be added again');
+
+    recordTestResult(results, testName, true, 'Successfully categorised line items');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
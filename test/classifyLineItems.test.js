@@ -0,0 +1,96 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { getLineItemType, classifyLineItems } = require('../src/classifyLineItems');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllClassifyLineItemsTests()
+
+/**
+ * Testing suite for classifyLineItems function
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllClassifyLineItemsTests() {
+  return runTests([
+    testLineItemTypes,
+    testDiscountsLinkedToProducts,
+    testDiscountWithoutProduct,
+  ]);
+}
+
+/**
+ * Test the type of products, discounts, deposits and deposit returns
+ * @param {Object} results - Test results object
+ */
+function testLineItemTypes(results) {
+  const testName = 'Line Item Types Test';
+
+  try {
+    assertEquals(getLineItemType({ description: 'Milch 3.5%', totalPrice: 1.29 }), 'product');
+    assertEquals(getLineItemType({ description: 'Rabatt 20%', totalPrice: -0.26 }), 'discount');
+    assertEquals(getLineItemType({ description: 'Coupon', totalPrice: -1 }), 'discount');
+    assertEquals(getLineItemType({ description: 'PFAND 0,25 EURO', totalPrice: 0.25 }), 'deposit');
+    assertEquals(getLineItemType({ description: 'Pfand-Rückgabe', totalPrice: -0.75 }), 'deposit_return');
+    assertEquals(getLineItemType({ description: 'LEERGUT', totalPrice: -0.75 }), 'deposit_return');
+    assertEquals(getLineItemType({ description: 'Pfandbon', totalPrice: -3.1 }), 'deposit_return');
+
+    recordTestResult(results, testName, true, 'Successfully typed line items');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that discounts are linked to the product above them and reduce its effective price
+ * @param {Object} results - Test results object
+ */
+function testDiscountsLinkedToProducts(results) {
+  const testName = 'Discounts Linked To Products Test';
+
+  try {
+    const result = classifyLineItems([
+      { description: 'Gouda jung 400g', totalPrice: 2.79 },
+      { description: 'Rabatt 20%', totalPrice: -0.56 },
+      { description: 'Mineralwasser', totalPrice: 0.59 },
+      { description: 'Pfand 0,25', totalPrice: 0.25 },
+      { description: 'Coupon Wasser', totalPrice: -0.1 },
+    ]);
+
+    assertEquals(result.map(item => item.type), ['product', 'discount', 'product', 'deposit', 'discount'], 'Types should be set');
+    assertEquals(result.map(item => item.lineNumber), [1, 2, 3, 4, 5], 'Line numbers should be 1-based');
+    assertEquals(result[1].appliesToLine, 1, 'Rabatt should apply to Gouda');
+    assertEquals(result[4].appliesToLine, 3, 'Coupon should skip the deposit and apply to the water');
+    assertEquals(result[0].effectivePrice, 2.23, 'Gouda effective price should include the discount');
+    assertEquals(result[2].effectivePrice, 0.49, 'Water effective price should include the coupon');
+    assertEquals(result[3].effectivePrice, null, 'Deposits have no effective price');
+
+    recordTestResult(results, testName, true, 'Successfully linked discounts');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test a discount at the top of the receipt, which has no product to apply to
+ * @param {Object} results - Test results object
+ */
+function testDiscountWithoutProduct(results) {
+  const testName = 'Discount Without Product Test';
+
+  try {
+    const result = classifyLineItems([
+      { description: 'Mitarbeiterrabatt', totalPrice: -1 },
+      { description: 'Brot', totalPrice: 2.49 },
+    ]);
+
+    assertEquals(result[0].appliesToLine, null, 'Discount should not be linked');
+    assertEquals(result[1].effectivePrice, 2.49, 'Product should keep its price');
+
+    recordTestResult(results, testName, true, 'Handled unlinked discount');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
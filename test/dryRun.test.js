@@ -0,0 +1,104 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { describeAddedRows, formatDryRunReport } = require('../src/dryRun');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllDryRunTests()
+
+/**
+ * Testing suite for describeAddedRows and formatDryRunReport functions
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllDryRunTests() {
+  return runTests([
+    testDescribeAddedRows,
+    testDryRunReport,
+  ]);
+}
+
+/**
+ * Create the rows an import of a receipt from a new store adds
+ * @returns {Object} The added rows per sheet name
+ */
+function createAddedRows() {
+  return {
+    stores: [[3, 'dm-drogerie markt', 'Hauptstraße 12, 76133 Karlsruhe']],
+    purchases: [[17, null, new Date('2026-03-12T17:04:00Z'), 3.6, 3, '0815']],
+    priceLog: [
+      ['Duschgel', null, 1, 'Stück', 0.65, 'EUR', 0.65, 17, 'product', 1, null, 0.65, 4],
+      ['Shampoo', null, 1, 'Stück', 2.95, 'EUR', 2.95, 17, 'product', 2, null, 2.95, 5],
+    ],
+    products: [[4, 'Duschgel', 'duschgel', ''], [5, 'Shampoo', 'shampoo', '']],
+    priceChanges: [],
+  };
+}
+
+/**
+ * Test the description of a message's added rows
+ * @param {Object} results - Test results object
+ */
+function testDescribeAddedRows(results) {
+  const testName = 'Describe Added Rows Test';
+
+  try {
+    assertEquals(describeAddedRows(createAddedRows()), {
+      newStore: { storeId: 3, storeName: 'dm-drogerie markt', storeAddress: 'Hauptstraße 12, 76133 Karlsruhe' },
+      newPurchase: { purchaseId: 17, date: new Date('2026-03-12T17:04:00Z'), totalPrice: 3.6, storeId: 3, receiptNumber: '0815' },
+      lineItems: 2,
+      lineItemsTotal: 3.6,
+      newProducts: 2,
+      productReviews: 0,
+      priceChanges: 0,
+      error: null,
+    });
+
+    const failed = describeAddedRows({ errors: [['msg-1', 'ebon@dm.de', 'eBon', new Date(), 'line items', 'No items', new Date()]] });
+    assertEquals(failed.error, { stage: 'line items', message: 'No items' });
+    assertEquals(failed.newPurchase, null);
+    assertEquals(failed.lineItems, 0);
+
+    recordTestResult(results, testName, true, 'Successfully described added rows');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test the report lines per message status and the summary
+ * @param {Object} results - Test results object
+ */
+function testDryRunReport(results) {
+  const testName = 'Dry Run Report Test';
+
+  try {
+    const date = new Date('2026-03-12T17:04:00Z');
+    const report = formatDryRunReport([
+      { subject: 'Dein eBon', date: date, status: 'processed', changes: describeAddedRows(createAddedRows()) },
+      { subject: 'Kassenbon', date: date, status: 'duplicate', changes: describeAddedRows({}) },
+      { subject: 'Newsletter', date: date, status: 'skipped', changes: describeAddedRows({}) },
+      {
+        subject: 'Kassenbon 2',
+        date: date,
+        status: 'failed',
+        changes: describeAddedRows({ errors: [['msg-2', '', '', date, 'split', 'Missing anchors', date]] }),
+      },
+    ]);
+
+    assertEquals(report.split('\n'), [
+      '2026-03-12 Dein eBon: new store 3 (dm-drogerie markt, Hauptstraße 12, 76133 Karlsruhe), ' +
+        'new purchase 17 (total 3,60, receipt 0815), 2 line items (3,60), 2 new products',
+      '2026-03-12 Kassenbon: already imported',
+      '2026-03-12 Newsletter: skipped, no receipt parser',
+      "2026-03-12 Kassenbon 2: failed in stage 'split': Missing anchors",
+      'Dry run: 4 messages, 1 would be imported, 1 already imported, 1 skipped, 1 failed. Nothing was written.',
+    ]);
+
+    recordTestResult(results, testName, true, 'Successfully formatted report');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,169 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { extractDmReceiptData } = require('../src/extractDmReceiptData');
+  var { recordTestResult, runTests, assertEquals, assertNotNull } = require('./testHelpers');
+}
+
+runAllDmReceiptTests()
+
+/**
+ * Testing suite for extractDmReceiptData function
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllDmReceiptTests() {
+  return runTests([
+    testDmBasicReceipt,
+    testDmQuantityLines,
+    testDmPaybackAndCoupons,
+    testDmMissingHeader,
+  ]);
+}
+
+/**
+ * Build a dm eBon email body from receipt lines, the way dm renders them
+ * (one table row per receipt line inside a monospaced block).
+ * @param {Array<string>} receiptLines - The printed receipt lines
+ * @returns {string} The HTML email body
+ */
+function buildDmEmailBody(receiptLines) {
+  const rows = receiptLines
+    .map(line => `<tr><td style="font-family:monospace;white-space:pre;">${line.replace(/ /g, '&nbsp;')}</td></tr>`)
+    .join('\n');
+  return `
+    <html>
+      <body>
+        <p>Hallo,<br>hier ist dein eBon von deinem Einkauf bei dm.</p>
+        <table>
+${rows}
+        </table>
+        <p>Vielen Dank f&#252;r deinen Einkauf!</p>
+      </body>
+    </html>
+  `;
+}
+
+/**
+ * Test with a basic, well-formed eBon
+ * @param {Object} results - Test results object
+ */
+function testDmBasicReceipt(results) {
+  const testName = 'dm Basic Receipt Test';
+
+  try {
+    const mockEmailBody = buildDmEmailBody([
+      'dm-drogerie markt',
+      'Hauptstraße 12',
+      '76133 Karlsruhe',
+      'Tel. 0721 1234567',
+      'Balea Duschgel Ocean 300ml     0,65 1',
+      'alverde Shampoo Repair          2,95 1',
+      'SUMME EUR                       3,60',
+      'EC-Karte                        3,60',
+    ]);
+
+    const result = extractDmReceiptData(mockEmailBody);
+
+    assertEquals(result.storeAddress, 'Hauptstraße 12, 76133 Karlsruhe', 'Store address should contain street and city');
+    assertEquals(result.lineItems.length, 2, 'Should extract 2 line items');
+    assertEquals(result.lineItems[0].description, 'Balea Duschgel Ocean 300ml', 'First item should be Balea Duschgel');
+    assertEquals(result.lineItems[0].totalPrice, 0.65, 'First item price should be 0.65');
+    assertEquals(result.lineItems[1].totalPrice, 2.95, 'Second item price should be 2.95');
+    assertEquals(result.lineItems[1].details, null, 'Second item should have no details');
+
+    recordTestResult(results, testName, true, 'Successfully parsed basic eBon');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that quantity lines are attached to the preceding item
+ * @param {Object} results - Test results object
+ */
+function testDmQuantityLines(results) {
+  const testName = 'dm Quantity Lines Test';
+
+  try {
+    const mockEmailBody = buildDmEmailBody([
+      'dm-drogerie markt',
+      'Bahnhofstr. 7',
+      '80335 München',
+      'Mivolis Magnesium Brausetabl.   1,90 1',
+      '2 x 0,95',
+      'Babylove Feuchttücher           1,15 1',
+      'SUMME EUR                       3,05',
+    ]);
+
+    const result = extractDmReceiptData(mockEmailBody);
+
+    assertEquals(result.lineItems.length, 2, 'Quantity line should not be a separate item');
+    assertEquals(result.lineItems[0].totalPrice, 1.9, 'First item price should be the line total');
+    assertEquals(result.lineItems[0].details, '2 x 0,95', 'Quantity line should be stored as details');
+    assertEquals(result.lineItems[1].description, 'Babylove Feuchttücher', 'Second item should contain umlauts');
+
+    recordTestResult(results, testName, true, 'Successfully parsed quantity lines');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that Payback and coupon deductions are extracted with negative prices
+ * @param {Object} results - Test results object
+ */
+function testDmPaybackAndCoupons(results) {
+  const testName = 'dm Payback And Coupons Test';
+
+  try {
+    const mockEmailBody = buildDmEmailBody([
+      'dm-drogerie markt',
+      'Berliner Str. 45',
+      '10115 Berlin',
+      'Nivea Creme 150ml               2,45 1',
+      'PAYBACK Coupon 10% Nivea       -0,25',
+      'dm Coupon                      -1,00',
+      'Zwischensumme                   1,20',
+      'SUMME EUR                       1,20',
+      'PAYBACK Punkte                     1',
+    ]);
+
+    const result = extractDmReceiptData(mockEmailBody);
+
+    assertEquals(result.lineItems.length, 3, 'Should extract item and both deductions');
+    assertEquals(result.lineItems[1].description, 'PAYBACK Coupon 10% Nivea', 'Payback coupon should be extracted');
+    assertEquals(result.lineItems[1].totalPrice, -0.25, 'Payback coupon should be negative');
+    assertEquals(result.lineItems[2].totalPrice, -1, 'dm coupon should be negative');
+
+    recordTestResult(results, testName, true, 'Successfully parsed deductions');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test with an eBon without the store header
+ * @param {Object} results - Test results object
+ */
+function testDmMissingHeader(results) {
+  const testName = 'dm Missing Header Test';
+
+  try {
+    const mockEmailBody = buildDmEmailBody([
+      'Balea Zahnpasta                 0,55 1',
+      'SUMME EUR                       0,55',
+    ]);
+
+    const result = extractDmReceiptData(mockEmailBody);
+
+    assertNotNull(result, 'Should return a result object even without header');
+    assertEquals(result.storeAddress, null, 'Store address should be null');
+    assertEquals(result.lineItems.length, 1, 'Should still extract line items');
+
+    recordTestResult(results, testName, true, 'Handled eBon without header');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
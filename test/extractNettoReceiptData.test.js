@@ -34,16 +34,25 @@ function runAllNettoReceiptTests() {
   
   // Run all test functions
   testBasicReceipt(results);
+  testChainNameAddress(results);
   testEmptyReceipt(results);
   testMalformedReceipt(results);
   testMultipleItems(results);
   testSpecialCharacters(results);
+  testTotalPaymentAndVat(results);
+  testChangedLayout(results);
+  testMissingAnchorsReport(results);
   
   // Log summary
   Logger.log(`Tests completed: ${results.passed} passed, ${results.failed} failed`);
   results.tests.forEach(test => {
     Logger.log(`${test.passed ? '✓' : '✗'} ${test.name}: ${test.message}`);
   });
+
+  // Let Node exit with a failure code, e.g. in CI
+  if (results.failed > 0 && typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
   
   return results;
 }
@@ -161,6 +170,52 @@ function testBasicReceipt(results) {
   }
 }
 
+/**
+ * Test that the chain name printed above the address by older templates is skipped
+ * @param {Object} results - Test results object
+ */
+function testChainNameAddress(results) {
+  const testName = 'Chain Name Address Test';
+  
+  try {
+    const mockEmailBody = `
+      <html>
+        <body>
+          Filiale:
+          <br>Netto Marken-Discount
+          <br>Hauptstr. 123
+          <br>12345 Berlin
+          <!-- WARENKORB -->
+          <table>
+            <tr>
+              <td style="font-size:12px;">Milch 3.5%</td>
+            </tr>
+            <tr>
+              <td style="text-align:right;">1,29&nbsp;</td>
+            </tr>
+          </table>
+          <!-- SUMME -->
+          <table>
+            <tr>
+              <td>Gesamtbetrag:</td>
+              <td>1,29&nbsp;€</td>
+            </tr>
+          </table>
+          <!-- ZAHLUNGEN -->
+        </body>
+      </html>
+    `;
+    
+    const result = extractNettoReceiptData(mockEmailBody);
+    
+    assertEquals(result.storeAddress, 'Hauptstr. 123, 12345 Berlin', 'Store address should keep both address lines');
+    
+    recordTestResult(results, testName, true, 'Successfully skipped chain name');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
 /**
  * Test with an empty receipt (no items)
  * @param {Object} results - Test results object
@@ -388,6 +443,144 @@ function testSpecialCharacters(results) {
   }
 }
 
+/**
+ * Test extraction of total, payment method, VAT breakdown and receipt number
+ * @param {Object} results - Test results object
+ */
+function testTotalPaymentAndVat(results) {
+  const testName = 'Total Payment And VAT Test';
+
+  try {
+    const buildEmailBody = (total) => `
+      <html>
+        <body>
+          Filiale:
+          <br>Netto City-Filiale
+          <br>Hauptstr. 123, 12345 Berlin
+          <!-- WARENKORB -->
+          <table>
+            <tr><td colspan="2"><hr /></td></tr>
+            <tr>
+              <td style="font-size:12px;">Milch 3.5%</td>
+            </tr>
+            <tr>
+              <td style="text-align:right;">1,29&nbsp;</td>
+            </tr>
+            <tr><td colspan="2"><hr /></td></tr>
+            <tr>
+              <td style="font-size:12px;">Bier</td>
+            </tr>
+            <tr>
+              <td style="text-align:right;">2,49&nbsp;</td>
+            </tr>
+          </table>
+          <!-- SUMME -->
+          <table>
+            <tr>
+              <td>Gesamtbetrag:</td>
+              <td>${total}&nbsp;€</td>
+            </tr>
+          </table>
+          <!-- ZAHLUNGEN -->
+          <table>
+            <tr>
+              <td>EC-Karte</td>
+              <td>${total}&nbsp;€</td>
+            </tr>
+          </table>
+          <!-- MWST -->
+          <table>
+            <tr><td>MwSt</td><td>%</td><td>Netto</td><td>MwSt</td><td>Brutto</td></tr>
+            <tr><td>A</td><td>19,00 %</td><td>2,09</td><td>0,40</td><td>2,49</td></tr>
+            <tr><td>B</td><td>7,00 %</td><td>1,21</td><td>0,08</td><td>1,29</td></tr>
+          </table>
+          <p>Bon-Nr.: 4711 &nbsp; Kasse: 2</p>
+        </body>
+      </html>
+    `;
+
+    const result = extractNettoReceiptData(buildEmailBody('3,78'));
+
+    assertEquals(result.total, 3.78, 'Total should be 3.78');
+    assertEquals(result.paymentMethod, 'EC-Karte', 'Payment method should be EC-Karte');
+    assertEquals(result.vatBreakdown.length, 2, 'Should extract 2 VAT rows');
+    assertEquals(result.vatBreakdown[0], { code: 'A', rate: 19, net: 2.09, tax: 0.4, gross: 2.49 }, 'First VAT row should be A 19%');
+    assertEquals(result.receiptNumber, '4711', 'Receipt number should be 4711');
+    assertEquals(result.totalMismatch, false, 'Line items should add up to the total');
+
+    const mismatchResult = extractNettoReceiptData(buildEmailBody('4,78'));
+    assertEquals(mismatchResult.totalMismatch, true, 'Receipt should be flagged when line items do not add up');
+
+    recordTestResult(results, testName, true, 'Successfully parsed total, payment and VAT');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that a changed template (attribute order, whitespace, entities, one row per item) still parses
+ * @param {Object} results - Test results object
+ */
+function testChangedLayout(results) {
+  const testName = 'Changed Layout Test';
+
+  try {
+    const mockEmailBody = `<html><body><table><tr><td class="label">Filiale:</td><td>Netto City-Filiale<br/>Hauptstr.&nbsp;123, 12345 Berlin</td></tr></table>
+      <!--WARENKORB--><table>
+      <tr class="item"><td class="desc" style="font-weight:bold">K&auml;se &amp; Br&#246;tchen</td><td align="right" style="text-align: right">1,99 &euro;</td></tr>
+      <tr><td style="padding-left:12px">2 x 0,99</td><td></td></tr>
+      <TR><TD><HR></TD></TR>
+      <tr><td>Rabatt   Milch</td>
+          <td>-0,20</td></tr>
+      <tr><td>Eier</td><td>2,79 A</td></tr>
+      </table><!--  SUMME  --><table><tr><td>Summe</td><td>4,58</td></tr></table></body></html>`;
+
+    const result = extractNettoReceiptData(mockEmailBody);
+
+    assertEquals(result.storeAddress, 'Netto City-Filiale, Hauptstr. 123, 12345 Berlin', 'Store address should be read from the cell');
+    assertEquals(result.lineItems.length, 3, 'Should extract 3 line items');
+    assertEquals(result.lineItems[0], { description: 'Käse & Brötchen', totalPrice: 1.99, details: '2 x 0,99' }, 'First item should be decoded with details');
+    assertEquals(result.lineItems[1].totalPrice, -0.2, 'Negative amounts should be extracted');
+    assertEquals(result.lineItems[2], { description: 'Eier', totalPrice: 2.79, details: null }, 'Item without divider should start a new line item');
+    assertEquals(result.missingAnchors, [], 'No anchors should be missing');
+    assertEquals(result.totalMismatch, false, 'Line items should add up to the total');
+
+    recordTestResult(results, testName, true, 'Successfully parsed changed layout');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that missing anchors are reported
+ * @param {Object} results - Test results object
+ */
+function testMissingAnchorsReport(results) {
+  const testName = 'Missing Anchors Report Test';
+
+  try {
+    const mockEmailBody = `
+      <html>
+        <body>
+          Filiale:
+          <br>Netto City-Filiale
+          <br>Hauptstr. 123, 12345 Berlin
+          <table><tr><td>Milch</td><td>1,29</td></tr></table>
+        </body>
+      </html>
+    `;
+
+    const result = extractNettoReceiptData(mockEmailBody);
+
+    assertEquals(result.missingAnchors, ['<!-- WARENKORB -->', '<!-- SUMME -->'], 'Should report the missing anchors');
+    assertEquals(result.storeAddress, 'Netto City-Filiale, Hauptstr. 123, 12345 Berlin', 'Store address should still be extracted');
+
+    recordTestResult(results, testName, true, 'Reported missing anchors');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
 /**
  * Mock the Logger object for testing
  * (Uncomment if not running in Google Apps Script environment)
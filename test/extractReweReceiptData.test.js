@@ -0,0 +1,123 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var fs = require('fs');
+  var path = require('path');
+  var { extractReweReceiptData } = require('../src/extractReweReceiptData');
+  var { recordTestResult, runTests, assertEquals, assertNotNull } = require('./testHelpers');
+}
+
+runAllReweReceiptTests()
+
+/**
+ * Testing suite for extractReweReceiptData function
+ * Runs against text fixtures extracted from REWE eBon PDFs (test/fixtures/rewe)
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllReweReceiptTests() {
+  return runTests([
+    testReweBasicReceipt,
+    testReweWeighedAndQuantityItems,
+    testReweDepositLines,
+    testReweEmptyText,
+  ]);
+}
+
+/**
+ * Read a stored REWE text fixture
+ * @param {string} name - File name of the fixture
+ * @returns {string} The fixture content
+ */
+function readReweFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'rewe', name), 'utf8');
+}
+
+/**
+ * Test with a basic, well-formed eBon
+ * @param {Object} results - Test results object
+ */
+function testReweBasicReceipt(results) {
+  const testName = 'REWE Basic Receipt Test';
+
+  try {
+    const result = extractReweReceiptData(readReweFixture('ebon-basic.txt'));
+
+    assertEquals(result.storeAddress, 'Hauptstraße 123, 12345 Berlin', 'Store address should contain street and city');
+    assertEquals(result.lineItems.length, 3, 'Should extract 3 line items and stop at the sum');
+    assertEquals(result.lineItems[2].description, 'GOUDA JUNG 400G', 'Third item should be Gouda');
+    assertEquals(result.lineItems[2].totalPrice, 2.79, 'Third item price should be 2.79');
+    assertEquals(result.receiptNumber, '4711', 'Receipt number should be 4711');
+    assertEquals(result.purchaseDate.getTime(), new Date(2026, 9, 18, 12, 34, 56).getTime(), 'Purchase date should combine date and time lines');
+
+    recordTestResult(results, testName, true, 'Successfully parsed basic eBon');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that weight and quantity lines are attached to the preceding item
+ * @param {Object} results - Test results object
+ */
+function testReweWeighedAndQuantityItems(results) {
+  const testName = 'REWE Weighed And Quantity Items Test';
+
+  try {
+    const result = extractReweReceiptData(readReweFixture('ebon-basic.txt'));
+
+    assertEquals(result.lineItems[0].description, 'BIO BANANE', 'First item should be the weighed banana');
+    assertEquals(result.lineItems[0].totalPrice, 1.23, 'Weighed item price should be the line total');
+    assertEquals(result.lineItems[0].details, '0,615 kg x 1,99 EUR/kg', 'Weight line should be stored as details');
+    assertEquals(result.lineItems[1].description, 'MILCH 3,5%', 'Second item should be Milch');
+    assertEquals(result.lineItems[1].details, '2 Stk x 0,99', 'Quantity line should be stored as details');
+
+    recordTestResult(results, testName, true, 'Successfully parsed weight and quantity lines');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that deposit and deposit return lines are extracted
+ * @param {Object} results - Test results object
+ */
+function testReweDepositLines(results) {
+  const testName = 'REWE Deposit Lines Test';
+
+  try {
+    const result = extractReweReceiptData(readReweFixture('ebon-pfand.txt'));
+
+    assertEquals(result.storeAddress, 'Musterstr. 42, 54321 München', 'Store address should contain umlauts');
+    assertEquals(result.lineItems.length, 4, 'Should extract items, deposit and deposit return');
+    assertEquals(result.lineItems[1].description, 'PFAND 0,25 EURO', 'Deposit line should be extracted');
+    assertEquals(result.lineItems[1].totalPrice, 0.25, 'Deposit price should be 0.25');
+    assertEquals(result.lineItems[2].description, 'LEERGUT', 'Deposit return line should be extracted');
+    assertEquals(result.lineItems[2].totalPrice, -0.75, 'Deposit return should be negative');
+
+    recordTestResult(results, testName, true, 'Successfully parsed deposit lines');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test with empty text, e.g. when the PDF could not be converted
+ * @param {Object} results - Test results object
+ */
+function testReweEmptyText(results) {
+  const testName = 'REWE Empty Text Test';
+
+  try {
+    const result = extractReweReceiptData('');
+
+    assertNotNull(result, 'Should return a result object for empty text');
+    assertEquals(result.storeAddress, null, 'Store address should be null');
+    assertEquals(result.lineItems.length, 0, 'Should extract 0 line items');
+
+    recordTestResult(results, testName, true, 'Handled empty text without crashing');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * In-memory stand-in for the GmailApp service, for local tests.
+ * Supports the subset of the Gmail API used by the script and records read marks, labels and sent e-mails.
+ */
+
+/**
+ * Create a fake message
+ * @param {Object} properties - The message properties
+ * @param {string} properties.id - The message ID
+ * @param {string} properties.from - The sender
+ * @param {string} properties.subject - The subject
+ * @param {Date} properties.date - The date
+ * @param {string} properties.body - The HTML body
+ * @param {boolean} [properties.unread=true] - Whether the message is unread
+ * @returns {Object} The fake message
+ */
+function createFakeMessage({ id, from, subject, date, body, unread = true }) {
+  const message = {
+    unread: unread,
+    getId: () => id,
+    getFrom: () => from,
+    getSubject: () => subject,
+    getDate: () => date,
+    getBody: () => body,
+    getAttachments: () => [],
+    isUnread: () => message.unread,
+    markRead: () => { message.unread = false; return message; },
+  };
+  return message;
+}
+
+/**
+ * Create a fake thread
+ * @param {Array<Object>} messages - The fake messages of the thread
+ * @param {Array<string>} [labelNames] - The names of the thread's labels
+ * @returns {Object} The fake thread
+ */
+function createFakeThread(messages, labelNames = []) {
+  const labels = labelNames.slice();
+  return {
+    labels: labels,
+    getMessages: () => messages,
+    getLabels: () => labels.map(name => ({ getName: () => name })),
+    addLabel: (label) => { labels.push(label.getName()); },
+  };
+}
+
+/**
+ * Create a fake GmailApp service
+ * Searches understand 'label:', 'is:unread' and '{from:a from:b}' terms and ignore the rest.
+ * @param {Array<Object>} threads - The fake threads of the mailbox
+ * @returns {Object} The fake GmailApp
+ */
+function createFakeGmailApp(threads) {
+  const labelNames = new Set(threads.flatMap(thread => thread.labels));
+  const gmail = {
+    sentEmails: [],
+    calls: { search: 0, markMessagesRead: 0 },
+    search: (query, start = 0, max = 500) => {
+      gmail.calls.search++;
+      const label = (query.match(/label:(\S+)/) || [])[1];
+      const senders = (query.match(/\{([^}]*)\}/) || ['', ''])[1].split(' ')
+        .filter(term => term.startsWith('from:'))
+        .map(term => term.slice('from:'.length));
+      return threads
+        .filter(thread => !label || thread.labels.includes(label))
+        .filter(thread => !/is:unread/.test(query) || thread.getMessages().some(message => message.isUnread()))
+        .filter(thread => senders.length === 0 || thread.getMessages().some(message =>
+          senders.some(sender => message.getFrom().toLowerCase().includes(sender))))
+        .slice(start, start + max);
+    },
+    getMessageById: (id) => threads.flatMap(thread => thread.getMessages()).find(message => message.getId() === id) || null,
+    markMessagesRead: (messages) => {
+      gmail.calls.markMessagesRead++;
+      if (messages.length > 100) {
+        throw new Error('Too many messages');
+      }
+      messages.forEach(message => message.markRead());
+    },
+    getUserLabelByName: (name) => labelNames.has(name) ? { getName: () => name } : null,
+    createLabel: (name) => {
+      labelNames.add(name);
+      return { getName: () => name };
+    },
+    sendEmail: (recipient, subject, body) => {
+      gmail.sentEmails.push({ recipient, subject, body });
+    },
+  };
+  return gmail;
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = { createFakeMessage, createFakeThread, createFakeGmailApp };
+}
@@ -0,0 +1,202 @@
+/**
+ * In-memory stand-ins for the smaller Apps Script services (Logger, LockService,
+ * PropertiesService, Session, Maps, ScriptApp, ContentService), and a helper installing all fakes as globals for Code.js.
+ */
+
+/**
+ * Create a fake Logger that keeps the logged messages
+ * @returns {Object} The fake Logger with the `messages` logged
+ */
+function createFakeLogger() {
+  const logger = {
+    messages: [],
+    log: (message) => {
+      logger.messages.push(typeof message === 'string' ? message : JSON.stringify(message));
+    },
+  };
+  return logger;
+}
+
+/**
+ * Create a fake LockService whose script lock counts acquisitions and fails when taken twice
+ * @returns {Object} The fake LockService
+ */
+function createFakeLockService() {
+  const lock = {
+    held: false,
+    acquired: 0,
+    waitLock: () => {
+      if (lock.held) {
+        throw new Error('Lock timeout: another process was holding the lock for too long.');
+      }
+      lock.held = true;
+      lock.acquired++;
+    },
+    tryLock: () => {
+      if (lock.held) {
+        return false;
+      }
+      lock.waitLock();
+      return true;
+    },
+    releaseLock: () => { lock.held = false; },
+    hasLock: () => lock.held,
+  };
+  return { lock: lock, getScriptLock: () => lock };
+}
+
+/**
+ * Create a fake properties store
+ * @param {Object<string, string>} [values] - The initial properties
+ * @returns {Object} The fake properties store
+ */
+function createFakeProperties(values = {}) {
+  const properties = { ...values };
+  return {
+    values: properties,
+    getProperty: (key) => properties[key] === undefined ? null : properties[key],
+    getProperties: () => ({ ...properties }),
+    setProperty: (key, value) => { properties[key] = String(value); },
+    deleteProperty: (key) => { delete properties[key]; },
+  };
+}
+
+/**
+ * Create a fake Maps service whose geocoder knows a fixed set of addresses
+ * @param {Object<string, Array<number>>} [locations] - [latitude, longitude] by address
+ * @returns {Object} The fake Maps service with the `geocodedAddresses` looked up
+ */
+function createFakeMaps(locations = {}) {
+  const maps = {
+    geocodedAddresses: [],
+    newGeocoder: () => {
+      const geocoder = {
+        setRegion: () => geocoder,
+        setLanguage: () => geocoder,
+        geocode: (address) => {
+          maps.geocodedAddresses.push(address);
+          if (!locations[address]) {
+            return { status: 'ZERO_RESULTS', results: [] };
+          }
+          const [lat, lng] = locations[address];
+          return { status: 'OK', results: [{ geometry: { location: { lat: lat, lng: lng } } }] };
+        },
+      };
+      return geocoder;
+    },
+  };
+  return maps;
+}
+
+/**
+ * Create a fake ScriptApp keeping the project triggers in memory
+ * @returns {Object} The fake ScriptApp with the `triggers` created, e.g. `{handler: 'x', everyHours: 1}`
+ */
+function createFakeScriptApp() {
+  const scriptApp = {
+    triggers: [],
+    newTrigger: (handler) => {
+      const trigger = { handler: handler };
+      const builder = {
+        timeBased: () => builder,
+        everyHours: (hours) => { trigger.everyHours = hours; return builder; },
+        everyDays: (days) => { trigger.everyDays = days; return builder; },
+        atHour: (hour) => { trigger.atHour = hour; return builder; },
+        after: (ms) => { trigger.after = ms; return builder; },
+        create: () => {
+          const created = { ...trigger, getHandlerFunction: () => trigger.handler };
+          scriptApp.triggers.push(created);
+          return created;
+        },
+      };
+      return builder;
+    },
+    getProjectTriggers: () => scriptApp.triggers.slice(),
+    deleteTrigger: (trigger) => {
+      scriptApp.triggers = scriptApp.triggers.filter(t => t !== trigger);
+    },
+  };
+  return scriptApp;
+}
+
+/**
+ * Create a fake ContentService whose text outputs keep their content and MIME type
+ * @returns {Object} The fake ContentService
+ */
+function createFakeContentService() {
+  return {
+    MimeType: { JSON: 'JSON' },
+    createTextOutput: (content) => {
+      const output = {
+        content: content,
+        mimeType: null,
+        getContent: () => output.content,
+        setMimeType: (mimeType) => { output.mimeType = mimeType; return output; },
+      };
+      return output;
+    },
+  };
+}
+
+/**
+ * Install fake Apps Script services as globals and load a fresh copy of Code.js,
+ * so state cached by a previous test (e.g. the settings) does not leak into the next.
+ * @param {Object} services - The fakes to install
+ * @param {Object} services.gmail - The fake GmailApp (see `createFakeGmailApp`)
+ * @param {Object} services.spreadsheetApp - The fake SpreadsheetApp (see `createFakeSpreadsheetApp`)
+ * @param {Object<string, string>} [services.scriptProperties] - The initial script properties
+ * @param {Object} [services.maps] - The fake Maps service (see `createFakeMaps`)
+ * @returns {Object} The Code.js exports, the installed fakes (including the fake ScriptApp) and `restore` to put back the previous globals
+ */
+function installAppsScriptFakes({ gmail, spreadsheetApp, scriptProperties = {}, maps = createFakeMaps() }) {
+  const logger = createFakeLogger();
+  const lockService = createFakeLockService();
+  const properties = createFakeProperties(scriptProperties);
+  const documentProperties = createFakeProperties();
+  const scriptApp = createFakeScriptApp();
+  const serviceNames = [
+    'GmailApp', 'SpreadsheetApp', 'Logger', 'LockService', 'PropertiesService', 'Session', 'Maps', 'ScriptApp',
+    'ContentService',
+  ];
+  const previousServices = serviceNames.map(name => global[name]);
+
+  global.GmailApp = gmail;
+  global.SpreadsheetApp = spreadsheetApp;
+  global.Logger = logger;
+  global.LockService = lockService;
+  global.PropertiesService = {
+    getScriptProperties: () => properties,
+    getDocumentProperties: () => documentProperties,
+  };
+  global.Session = { getEffectiveUser: () => ({ getEmail: () => 'owner@example.com' }) };
+  global.Maps = maps;
+  global.ScriptApp = scriptApp;
+  global.ContentService = createFakeContentService();
+
+  const codePath = require.resolve('../Code.js');
+  delete require.cache[codePath];
+  return {
+    code: require(codePath),
+    logger: logger,
+    lock: lockService.lock,
+    scriptApp: scriptApp,
+    scriptProperties: properties,
+    documentProperties: documentProperties,
+    restore: () => {
+      serviceNames.forEach((name, i) => { global[name] = previousServices[i]; });
+    },
+  };
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = {
+    createFakeLogger,
+    createFakeLockService,
+    createFakeProperties,
+    createFakeMaps,
+    createFakeScriptApp,
+    createFakeContentService,
+    installAppsScriptFakes,
+  };
+}
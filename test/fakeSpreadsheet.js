@@ -0,0 +1,142 @@
+/**
+ * In-memory stand-in for a SpreadsheetApp Spreadsheet, for local tests.
+ * Supports the subset of the Sheet API used by the script and counts write calls.
+ */
+
+/**
+ * Create a fake spreadsheet
+ * @param {Object<string, Array<Array<*>>>} sheetsData - The values per sheet name, including header rows
+ * @returns {Object} The fake spreadsheet
+ */
+function createFakeSpreadsheet(sheetsData = {}) {
+  const sheets = {};
+  Object.keys(sheetsData).forEach(name => {
+    sheets[name] = createFakeSheet(name, sheetsData[name]);
+  });
+
+  return {
+    getSheetByName: (name) => sheets[name] || null,
+    getSheets: () => Object.values(sheets),
+    insertSheet: (name) => {
+      sheets[name] = createFakeSheet(name, []);
+      return sheets[name];
+    },
+    deleteSheet: (sheet) => {
+      delete sheets[sheet.getName()];
+    },
+  };
+}
+
+/**
+ * Create a fake SpreadsheetApp service around a fake spreadsheet
+ * @param {Object} spreadsheet - The fake spreadsheet returned as the active spreadsheet
+ * @returns {Object} The fake SpreadsheetApp
+ */
+function createFakeSpreadsheetApp(spreadsheet) {
+  return {
+    getActiveSpreadsheet: () => spreadsheet,
+    newDataValidation: () => {
+      const rule = { criteria: null, values: [], allowInvalid: true };
+      const builder = {
+        setAllowInvalid: (allowInvalid) => { rule.allowInvalid = allowInvalid; return builder; },
+        requireValueInList: (values) => { rule.criteria = 'list'; rule.values = values; return builder; },
+        requireDate: () => { rule.criteria = 'date'; return builder; },
+        requireCheckbox: () => { rule.criteria = 'checkbox'; return builder; },
+        build: () => rule,
+      };
+      return builder;
+    },
+  };
+}
+
+/**
+ * Create a fake sheet
+ * @param {string} name - The sheet name
+ * @param {Array<Array<*>>} values - The initial values
+ * @returns {Object} The fake sheet
+ */
+function createFakeSheet(name, values) {
+  const rows = values.map(row => row.slice());
+  const sheet = {
+    rows: rows,
+    calls: { getValues: 0, appendRow: 0, setValues: 0 },
+    frozenRows: 0,
+    validations: {},
+    getName: () => name,
+    getLastRow: () => rows.length,
+    getLastColumn: () => Math.max(0, ...rows.map(row => row.length)),
+    getMaxRows: () => Math.max(1000, rows.length),
+    setFrozenRows: (frozenRows) => { sheet.frozenRows = frozenRows; },
+    clear: () => { rows.length = 0; },
+    insertColumnsAfter: (column, howMany) => {
+      rows.forEach(row => {
+        if (row.length > column) {
+          row.splice(column, 0, ...Array(howMany).fill(''));
+        }
+      });
+    },
+    getDataRange: () => {
+      return {
+        getValues: () => {
+          sheet.calls.getValues++;
+          const width = sheet.getLastColumn();
+          return rows.map(row => row.concat(Array(width - row.length).fill('')));
+        },
+      };
+    },
+    getRange: (row, column, numRows = 1, numColumns = 1) => {
+      return {
+        getValues: () => {
+          sheet.calls.getValues++;
+          return Array.from({ length: numRows }, (_, i) =>
+            Array.from({ length: numColumns }, (_, j) => {
+              const value = (rows[row - 1 + i] || [])[column - 1 + j];
+              return value === undefined ? '' : value;
+            }));
+        },
+        setValues: (newValues) => {
+          sheet.calls.setValues++;
+          if (newValues.length !== numRows || newValues.some(r => r.length !== numColumns)) {
+            throw new Error('The number of rows or columns in the data does not match the range');
+          }
+          newValues.forEach((newRow, i) => {
+            const target = rows[row - 1 + i] || (rows[row - 1 + i] = []);
+            newRow.forEach((value, j) => { target[column - 1 + j] = value; });
+          });
+        },
+        setValue: (value) => {
+          const target = rows[row - 1] || (rows[row - 1] = []);
+          target[column - 1] = value;
+        },
+        clearContent: () => {
+          for (let i = 0; i < numRows; i++) {
+            const target = rows[row - 1 + i];
+            for (let j = 0; target && j < numColumns; j++) {
+              if (column - 1 + j < target.length) {
+                target[column - 1 + j] = '';
+              }
+            }
+          }
+          // Like Sheets, rows left without content no longer count towards the last row
+          while (rows.length > 0 && rows[rows.length - 1].every(value => value === '' || value === null)) {
+            rows.pop();
+          }
+        },
+        setDataValidation: (rule) => {
+          sheet.validations[column] = rule;
+        },
+      };
+    },
+    appendRow: (row) => {
+      sheet.calls.appendRow++;
+      rows.push(row.slice());
+      return sheet;
+    },
+  };
+  return sheet;
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = { createFakeSpreadsheet, createFakeSpreadsheetApp, createFakeSheet };
+}
@@ -0,0 +1,74 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { nextSequentialId } = require('../src/idAllocation');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllIdAllocationTests()
+
+/**
+ * Testing suite for nextSequentialId function
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllIdAllocationTests() {
+  return runTests([
+    testFirstId,
+    testNextIdAfterGaps,
+    testIgnoresInvalidIds,
+  ]);
+}
+
+/**
+ * Test the first ID of an empty sheet
+ * @param {Object} results - Test results object
+ */
+function testFirstId(results) {
+  const testName = 'First ID Test';
+
+  try {
+    assertEquals(nextSequentialId([['storeId', 'name', 'address']]), 1, 'Empty sheet should start at 1');
+    assertEquals(nextSequentialId([]), 1, 'Sheet without header should start at 1');
+
+    recordTestResult(results, testName, true, 'Successfully allocated first ID');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that IDs continue above the highest ID, even with gaps and unsorted rows
+ * @param {Object} results - Test results object
+ */
+function testNextIdAfterGaps(results) {
+  const testName = 'Next ID After Gaps Test';
+
+  try {
+    const sheetData = [['storeId', 'name', 'address'], [1, 'Netto', 'a'], [5, 'dm', 'b'], [3, 'REWE', 'c']];
+    assertEquals(nextSequentialId(sheetData), 6, 'Should continue after the highest ID');
+    assertEquals(nextSequentialId([['x', 'id'], ['a', 2], ['b', 9]], 1), 10, 'Should use the given ID column');
+
+    recordTestResult(results, testName, true, 'Successfully allocated next ID');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that empty and non-numeric IDs written by older versions are ignored
+ * @param {Object} results - Test results object
+ */
+function testIgnoresInvalidIds(results) {
+  const testName = 'Ignores Invalid IDs Test';
+
+  try {
+    const sheetData = [['storeId', 'name', 'address'], ['', 'Netto', 'a'], [2, 'dm', 'b'], ['abc', 'REWE', 'c'], [2.5, 'x', 'd']];
+    assertEquals(nextSequentialId(sheetData), 3, 'Should ignore empty, text and fractional IDs');
+
+    recordTestResult(results, testName, true, 'Ignored invalid IDs');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
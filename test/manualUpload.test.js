@@ -0,0 +1,185 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var fs = require('fs');
+  var path = require('path');
+  var { resolveReceiptUpload, parseEml } = require('../src/manualUpload');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllManualUploadTests()
+
+/**
+ * Testing suite for resolveReceiptUpload function
+ * Runs against saved e-mails in test/fixtures/eml
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllManualUploadTests() {
+  return runTests([
+    testParseMultipartEml,
+    testParseBase64Latin1Eml,
+    testParseRawAndLargeBodies,
+    testResolveUpload,
+    testRejectedUploads,
+  ]);
+}
+
+/**
+ * Read a stored .eml fixture
+ * @param {string} name - File name of the fixture
+ * @returns {string} The fixture content
+ */
+function readEmlFixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'eml', name), 'utf8');
+}
+
+/**
+ * Test a multipart e-mail with quoted-printable parts and encoded header words
+ * @param {Object} results - Test results object
+ */
+function testParseMultipartEml(results) {
+  const testName = 'Parse Multipart Eml Test';
+
+  try {
+    const email = parseEml(readEmlFixture('dm-ebon.eml'));
+
+    assertEquals(email.from, 'dm-drogerie markt <ebon@dm.de>');
+    assertEquals(email.subject, 'Dein eBon vom 12.03.2026 – Danke für deinen Einkauf');
+    assertEquals(email.date.toISOString(), '2026-03-12T17:04:11.000Z');
+    assertEquals(email.html.includes('<tr><td>Hauptstraße 12</td></tr>'), true, 'Umlauts should be decoded');
+    assertEquals(email.html.includes('<td style="font-family:monospace">Balea Duschgel Ocean 300ml     0,65 1</td>'), true,
+      'Soft line breaks should be joined');
+    assertEquals(email.html.includes('Hallo, hier ist dein eBon.'), false, 'The plain text part should be skipped');
+
+    recordTestResult(results, testName, true, 'Successfully parsed multipart e-mail');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test a single part e-mail with a base64 encoded ISO-8859-1 body
+ * @param {Object} results - Test results object
+ */
+function testParseBase64Latin1Eml(results) {
+  const testName = 'Parse Base64 Latin1 Eml Test';
+
+  try {
+    const html = '<p>Filiale: Große Straße 1</p>';
+    const base64Body = Buffer.from(html, 'latin1').toString('base64');
+    const email = parseEml([
+      'From: noreply@netto-app.de',
+      'Subject: =?ISO-8859-1?B?' + Buffer.from('Dein Kassenbon über 3,49 EUR', 'latin1').toString('base64') + '?=',
+      'Content-Type: text/html; charset="ISO-8859-1"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Body,
+    ].join('\n'));
+
+    assertEquals(email.subject, 'Dein Kassenbon über 3,49 EUR');
+    assertEquals(email.html, html);
+    assertEquals(email.date, null, 'Missing Date header should give null');
+
+    recordTestResult(results, testName, true, 'Successfully parsed base64 e-mail');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test quoted-printable bodies with unescaped characters and bodies too large to convert in one call
+ * @param {Object} results - Test results object
+ */
+function testParseRawAndLargeBodies(results) {
+  const testName = 'Parse Raw And Large Bodies Test';
+
+  try {
+    const email = parseEml([
+      'From: noreply@netto-app.de',
+      'Subject: =?ISO-8859-1?Q?Dein_Kassenbon_=FCber_3,49_EUR?=',
+      'Content-Type: text/html; charset="ISO-8859-1"',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      '<p>Filiale: Große Stra=DFe 1, Münch=',
+      'en</p>',
+    ].join('\n'));
+    assertEquals(email.subject, 'Dein Kassenbon über 3,49 EUR');
+    assertEquals(email.html, '<p>Filiale: Große Straße 1, München</p>', 'Unescaped characters should be kept as they are');
+
+    const html = `<p>${'Große Straße 1 '.repeat(20000)}</p>`;
+    const large = parseEml([
+      'From: noreply@netto-app.de',
+      'Content-Type: text/html; charset="ISO-8859-1"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from(html, 'latin1').toString('base64'),
+    ].join('\n'));
+    assertEquals(large.html === html, true, 'A body of 300 kB should be decoded');
+
+    recordTestResult(results, testName, true, 'Successfully parsed raw and large bodies');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test choosing the parser for .eml and HTML uploads
+ * @param {Object} results - Test results object
+ */
+function testResolveUpload(results) {
+  const testName = 'Resolve Upload Test';
+
+  try {
+    const eml = resolveReceiptUpload({ content: readEmlFixture('dm-ebon.eml'), dryRun: 'true' });
+    assertEquals(eml.parser.id, 'dm', 'Parser should be chosen by sender and subject');
+    assertEquals(eml.date.toISOString(), '2026-03-12T17:04:11.000Z');
+    assertEquals(eml.dryRun, true);
+    assertEquals(eml.content.startsWith('<html>'), true, 'Content should be the HTML part');
+
+    const html = resolveReceiptUpload({ content: '<p>Filiale: ...</p>', parser: 'netto' });
+    assertEquals(html.parser.id, 'netto');
+    assertEquals(html.content, '<p>Filiale: ...</p>');
+    assertEquals(html.date, null);
+    assertEquals(html.dryRun, false);
+
+    const forced = resolveReceiptUpload({ content: readEmlFixture('dm-ebon.eml'), parser: 'netto', format: 'eml' });
+    assertEquals(forced.parser.id, 'netto', 'An explicit parser should win over the sender');
+
+    recordTestResult(results, testName, true, 'Successfully resolved uploads');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that invalid uploads are answered with status 400
+ * @param {Object} results - Test results object
+ */
+function testRejectedUploads(results) {
+  const testName = 'Rejected Uploads Test';
+
+  try {
+    const rejection = fields => {
+      try {
+        resolveReceiptUpload(fields);
+        return null;
+      } catch (error) {
+        return { status: error.status, message: error.message };
+      }
+    };
+
+    assertEquals(rejection({ content: ' ' }), { status: 400, message: "Missing parameter 'content'" });
+    assertEquals(rejection({ content: '<p>Bon</p>' }), { status: 400, message: "Missing parameter 'parser' for an HTML upload" });
+    assertEquals(rejection({ content: '<p>Bon</p>', parser: 'aldi' }).status, 400);
+    assertEquals(rejection({ content: '<p>Bon</p>', parser: 'rewe' }),
+      { status: 400, message: 'Uploads are not supported for REWE receipts' });
+    assertEquals(rejection({ content: readEmlFixture('dm-ebon.eml').replace(/ebon@dm\.de/g, 'shop@example.com') }),
+      { status: 400, message: 'No receipt parser registered for dm-drogerie markt <shop@example.com>' });
+
+    recordTestResult(results, testName, true, 'Successfully rejected invalid uploads');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,101 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { parseLineItemDetails } = require('../src/parseLineItemDetails');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllLineItemDetailsTests()
+
+/**
+ * Testing suite for parseLineItemDetails function
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllLineItemDetailsTests() {
+  return runTests([
+    testMultiBuyDetails,
+    testWeighedDetails,
+    testPackageSizeDetails,
+    testMissingDetails,
+  ]);
+}
+
+/**
+ * Test multi-buy detail rows such as '2 x 1,29'
+ * @param {Object} results - Test results object
+ */
+function testMultiBuyDetails(results) {
+  const testName = 'Multi-Buy Details Test';
+
+  try {
+    assertEquals(parseLineItemDetails('2 x 1,29', 2.58), { quantity: 2, unit: 'Stück', unitPrice: 1.29 });
+    assertEquals(parseLineItemDetails('2 Stk x 0,99', 1.98), { quantity: 2, unit: 'Stück', unitPrice: 0.99 });
+    assertEquals(parseLineItemDetails('3&nbsp;x&nbsp;0,45', 1.35), { quantity: 3, unit: 'Stück', unitPrice: 0.45 });
+    // dm writes multi-buys with or without the 'x'
+    assertEquals(parseLineItemDetails('2 St 0,95', 1.9), { quantity: 2, unit: 'Stück', unitPrice: 0.95 });
+    assertEquals(parseLineItemDetails('2 St. 0,95', 1.9), { quantity: 2, unit: 'Stück', unitPrice: 0.95 });
+    assertEquals(parseLineItemDetails('2 Stk x 0,95', 1.9), { quantity: 2, unit: 'Stück', unitPrice: 0.95 });
+
+    recordTestResult(results, testName, true, 'Successfully parsed multi-buy details');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test weighed items such as '0,532 kg x 2,99 EUR/kg'
+ * @param {Object} results - Test results object
+ */
+function testWeighedDetails(results) {
+  const testName = 'Weighed Details Test';
+
+  try {
+    assertEquals(parseLineItemDetails('0,532 kg x 2,99 EUR/kg', 1.59), { quantity: 0.532, unit: 'kg', unitPrice: 2.99 });
+    assertEquals(parseLineItemDetails('0,615 kg x 1,99 EUR/kg', 1.23), { quantity: 0.615, unit: 'kg', unitPrice: 1.99 });
+
+    recordTestResult(results, testName, true, 'Successfully parsed weighed items');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test package sizes are normalised to kg, l and Stück
+ * @param {Object} results - Test results object
+ */
+function testPackageSizeDetails(results) {
+  const testName = 'Package Size Details Test';
+
+  try {
+    assertEquals(parseLineItemDetails('500g', 2.49), { quantity: 0.5, unit: 'kg', unitPrice: 4.98 });
+    assertEquals(parseLineItemDetails('1,5 Liter', 0.99), { quantity: 1.5, unit: 'l', unitPrice: 0.66 });
+    assertEquals(parseLineItemDetails('750ml', 6.49), { quantity: 0.75, unit: 'l', unitPrice: 8.65 });
+    assertEquals(parseLineItemDetails('10 Stk.', 1.99), { quantity: 10, unit: 'Stück', unitPrice: 0.2 });
+    assertEquals(parseLineItemDetails('1.000 g', 3.49), { quantity: 1, unit: 'kg', unitPrice: 3.49 });
+    assertEquals(parseLineItemDetails('1.500ml', 1.2), { quantity: 1.5, unit: 'l', unitPrice: 0.8 });
+
+    recordTestResult(results, testName, true, 'Successfully normalised package sizes');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test line items without or with unknown details count as one piece
+ * @param {Object} results - Test results object
+ */
+function testMissingDetails(results) {
+  const testName = 'Missing Details Test';
+
+  try {
+    assertEquals(parseLineItemDetails(null, 1.29), { quantity: 1, unit: 'Stück', unitPrice: 1.29 });
+    assertEquals(parseLineItemDetails('Aktion', 0.79), { quantity: 1, unit: 'Stück', unitPrice: 0.79 });
+    assertEquals(parseLineItemDetails(null, null), { quantity: 1, unit: 'Stück', unitPrice: null });
+
+    recordTestResult(results, testName, true, 'Successfully handled missing details');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,151 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { findPriceChanges, buildPriceChangeRow, buildPriceChangeDigest } = require('../src/priceChanges');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllPriceChangesTests()
+
+/**
+ * Testing suite for findPriceChanges function
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllPriceChangesTests() {
+  return runTests([
+    testDetectsChangesBeyondThreshold,
+    testComparesWithEarlierPurchasesOnly,
+    testDigest,
+  ]);
+}
+
+/**
+ * Create the 'purchases' values of three purchases on consecutive days
+ * @returns {Array<Array<*>>} The values including the header row
+ */
+function createPurchasesData() {
+  return [
+    ['purchaseId', 'comment', 'date', 'totalPrice', 'storeId', 'receiptNumber'],
+    [1, null, new Date('2026-03-01T10:00:00'), 10, 1, 'A'],
+    [2, null, new Date('2026-03-02T10:00:00'), 10, 1, 'B'],
+    [3, null, new Date('2026-03-03T10:00:00'), 10, 1, 'C'],
+  ];
+}
+
+/**
+ * Create a 'priceLog' row
+ * @param {string} description - The description
+ * @param {string} unit - The normalised unit
+ * @param {number} unitPrice - The unit price
+ * @param {number} purchaseId - The purchase ID
+ * @param {number|null} productId - The product ID
+ * @param {string} [type] - The line item type
+ * @returns {Array<*>} The row values
+ */
+function priceLogRow(description, unit, unitPrice, purchaseId, productId, type = 'product') {
+  return [description, null, 1, unit, unitPrice, 'EUR', unitPrice, purchaseId, type, 1, null, unitPrice, productId];
+}
+
+/**
+ * Test that only changes at or above the threshold are reported
+ * @param {Object} results - Test results object
+ */
+function testDetectsChangesBeyondThreshold(results) {
+  const testName = 'Detects Changes Beyond Threshold Test';
+
+  try {
+    const priceLogData = [
+      ['description'],
+      priceLogRow('Milch', 'l', 1.00, 1, 10),
+      priceLogRow('Brot', 'Stück', 2.00, 1, 11),
+      priceLogRow('Butter', 'Stück', 2.00, 1, 12),
+      priceLogRow('Rabatt', 'Stück', -0.2, 1, null, 'discount'),
+      priceLogRow('Milch', 'l', 1.10, 2, 10),
+      priceLogRow('Brot', 'Stück', 2.02, 2, 11),
+      priceLogRow('Butter', 'Stück', 1.80, 2, 12),
+      priceLogRow('Rabatt', 'Stück', -0.5, 2, null, 'discount'),
+      priceLogRow('Käse', 'kg', 12.00, 2, 13),
+    ];
+
+    const changes = findPriceChanges(priceLogData, createPurchasesData(), 2, 0.05);
+
+    assertEquals(changes.map(change => change.description), ['Milch', 'Butter'], 'Small changes, discounts and new products are not reported');
+    assertEquals(changes[0], {
+      productId: 10,
+      description: 'Milch',
+      unit: 'l',
+      previousUnitPrice: 1,
+      unitPrice: 1.1,
+      change: 0.1,
+      previousPurchaseId: 1,
+    });
+    assertEquals(changes[1].change, -0.1);
+
+    recordTestResult(results, testName, true, 'Successfully detected price changes');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that a purchase is compared with the latest earlier purchase in the same unit
+ * @param {Object} results - Test results object
+ */
+function testComparesWithEarlierPurchasesOnly(results) {
+  const testName = 'Compares With Earlier Purchases Only Test';
+
+  try {
+    // Imported out of order: purchase 3 first, then the older purchases 1 and 2
+    const priceLogData = [
+      ['description'],
+      priceLogRow('Äpfel', 'kg', 3.00, 3, 20),
+      priceLogRow('Äpfel', 'kg', 2.00, 1, 20),
+      priceLogRow('Äpfel', 'Stück', 0.50, 1, 20),
+      priceLogRow('Äpfel', 'kg', 2.50, 2, 20),
+    ];
+
+    const changes = findPriceChanges(priceLogData, createPurchasesData(), 2, 0.05);
+    assertEquals(changes.length, 1);
+    assertEquals(changes[0].previousUnitPrice, 2, 'Purchase 2 should be compared with purchase 1 in kg');
+    assertEquals(changes[0].change, 0.25);
+    assertEquals(findPriceChanges(priceLogData, createPurchasesData(), 1, 0.05), [], 'The oldest purchase has no history');
+
+    recordTestResult(results, testName, true, 'Successfully compared with earlier purchases');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test the digest lists increases before decreases with German number formatting
+ * @param {Object} results - Test results object
+ */
+function testDigest(results) {
+  const testName = 'Digest Test';
+
+  try {
+    const detectedAt = new Date('2026-03-02T12:00:00');
+    const rows = [
+      { productId: 12, description: 'Butter', unit: 'Stück', previousUnitPrice: 2, unitPrice: 1.8, change: -0.1, previousPurchaseId: 1 },
+      { productId: 10, description: 'Milch', unit: 'l', previousUnitPrice: 1, unitPrice: 1.1, change: 0.1, previousPurchaseId: 1 },
+    ].map(change => buildPriceChangeRow(change, 2, detectedAt));
+
+    assertEquals(rows[1], [detectedAt, 10, 'Milch', 'l', 1, 1.1, 0.1, 2, 1, '']);
+
+    const digest = buildPriceChangeDigest(rows, 'EUR');
+    assertEquals(digest.subject, 'Price changes: 1 up, 1 down');
+    assertEquals(digest.body, [
+      'Price increases:',
+      'Milch: 1,00 EUR → 1,10 EUR per l (+10,0 %)',
+      '',
+      'Price decreases:',
+      'Butter: 2,00 EUR → 1,80 EUR per Stück (-10,0 %)',
+    ].join('\n'));
+
+    recordTestResult(results, testName, true, 'Successfully built digest');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,145 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var {
+    createProductCatalogue,
+    resolveProductReviews,
+    applyReviewsToAliases,
+    retireMergedProducts,
+  } = require('../src/productCatalogue');
+  var { getSheetLayout } = require('../src/sheetLayout');
+  var { createSheetRepository } = require('../src/sheetRepository');
+  var { createFakeSpreadsheet } = require('./fakeSpreadsheet');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllProductCatalogueTests()
+
+/**
+ * Testing suite for createProductCatalogue function
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllProductCatalogueTests() {
+  return runTests([
+    testResolveAddsAndReusesProducts,
+    testUncertainMatchIsQueued,
+    testApplyReviewDecisions,
+  ]);
+}
+
+/**
+ * Create a repository over a fake spreadsheet with one product
+ * @returns {Object} The repository
+ */
+function createCatalogueRepository() {
+  return createSheetRepository(createFakeSpreadsheet({
+    products: [getSheetLayout().products.header, [1, 'Milch 3,5% 1L', 'milch 3.5% 1l']],
+    productAliases: [getSheetLayout().productAliases.header],
+    productReview: [getSheetLayout().productReview.header],
+  }));
+}
+
+/**
+ * Test that new descriptions become products and known ones reuse them
+ * @param {Object} results - Test results object
+ */
+function testResolveAddsAndReusesProducts(results) {
+  const testName = 'Resolve Adds And Reuses Products Test';
+
+  try {
+    const repository = createCatalogueRepository();
+    const catalogue = createProductCatalogue(repository);
+
+    assertEquals(catalogue.resolve('MILCH 3,5% 1 L'), { productId: 1, status: 'exact' });
+    assertEquals(catalogue.resolve('Roggenbrot 500g'), { productId: 2, status: 'new' });
+    assertEquals(catalogue.resolve('ROGGENBROT 500 G'), { productId: 2, status: 'exact' }, 'New product should be matched in the same run');
+    assertEquals(catalogue.resolve('Roggenbrot 500'), { productId: 2, status: 'fuzzy' });
+    assertEquals(repository.getValues('productAliases').slice(1), [['roggenbrot 500', 2, false]], 'Fuzzy match should be remembered');
+    assertEquals(createProductCatalogue(repository).resolve('Roggenbrot 500'), { productId: 2, status: 'alias' });
+
+    recordTestResult(results, testName, true, 'Successfully resolved products');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that an uncertain match becomes a new product queued for review
+ * @param {Object} results - Test results object
+ */
+function testUncertainMatchIsQueued(results) {
+  const testName = 'Uncertain Match Is Queued Test';
+
+  try {
+    const repository = createCatalogueRepository();
+    const catalogue = createProductCatalogue(repository);
+
+    assertEquals(catalogue.resolve('Milch 1,5% 1L'), { productId: 2, status: 'uncertain' });
+    assertEquals(repository.getValues('productReview').slice(1), [['Milch 1,5% 1L', 2, 1, 'Milch 3,5% 1L', 0.83, '']]);
+    assertEquals(catalogue.resolve('Milch 1,5% 1L'), { productId: 2, status: 'alias' }, 'Queued description should not be queued again');
+    assertEquals(repository.getValues('productReview').length, 2);
+
+    recordTestResult(results, testName, true, 'Successfully queued uncertain match');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that review answers merge or confirm products and keep undecided rows
+ * @param {Object} results - Test results object
+ */
+function testApplyReviewDecisions(results) {
+  const testName = 'Apply Review Decisions Test';
+
+  try {
+    const undecided = ['Vollmilch 1L', 5, 1, 'Milch 3,5% 1L', 0.7, ''];
+    const { mergedProductIds, remainingRows } = resolveProductReviews([
+      ['Milch 3,5 1L', 3, 1, 'Milch 3,5% 1L', 0.88, true],
+      ['Milch 1,5% 1L', 4, 1, 'Milch 3,5% 1L', 0.83, 'FALSE'],
+      undecided,
+    ]);
+
+    assertEquals(mergedProductIds, { 3: 1 });
+    assertEquals(remainingRows, [undecided]);
+
+    const aliasRows = applyReviewsToAliases([
+      ['milch 3.5 1l', 3, false],
+      ['milch 1.5% 1l', 4, false],
+      ['vollmilch 1l', 5, false],
+    ], [3, 4], mergedProductIds);
+    assertEquals(aliasRows, [
+      ['milch 3.5 1l', 1, true],
+      ['milch 1.5% 1l', 4, true],
+      ['vollmilch 1l', 5, false],
+    ]);
+
+    const productRows = retireMergedProducts([
+      [1, 'Milch 3,5% 1L', 'milch 3.5% 1l', 'dairy'],
+      [3, 'Milch 3,5 1L', 'milch 3.5 1l', ''],
+      [4, 'Milch 1,5% 1L', 'milch 1.5% 1l', ''],
+    ], mergedProductIds);
+    assertEquals(productRows, [
+      [1, 'Milch 3,5% 1L', 'milch 3.5% 1l', 'dairy'],
+      [3, 'Milch 3,5 1L (merged into 1)', '', ''],
+      [4, 'Milch 1,5% 1L', 'milch 1.5% 1l', ''],
+    ]);
+    assertEquals(retireMergedProducts(productRows, mergedProductIds), productRows, 'Retired products should be left alone');
+
+    const repository = createSheetRepository(createFakeSpreadsheet({
+      products: [getSheetLayout().products.header, ...productRows],
+      productAliases: [getSheetLayout().productAliases.header, ...aliasRows],
+      productReview: [getSheetLayout().productReview.header],
+    }));
+    const catalogue = createProductCatalogue(repository);
+    assertEquals(catalogue.resolve('Milch 3,5 1L'), { productId: 1, status: 'alias' });
+    catalogue.resolve('Milch 3,5 1L Packung');
+    assertEquals(repository.getValues('productReview')[1][2], 1, 'Descriptions should no longer match the merged product');
+
+    recordTestResult(results, testName, true, 'Successfully applied review decisions');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,106 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var {
+    AUTO_MATCH_SCORE,
+    REVIEW_MATCH_SCORE,
+    normaliseDescription,
+    descriptionSimilarity,
+    matchProduct,
+  } = require('../src/productMatcher');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllProductMatcherTests()
+
+/**
+ * Testing suite for matchProduct function
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllProductMatcherTests() {
+  return runTests([
+    testNormaliseDescription,
+    testDescriptionSimilarity,
+    testMatchStatuses,
+  ]);
+}
+
+/**
+ * Test that spelling variants of a description normalise to the same text
+ * @param {Object} results - Test results object
+ */
+function testNormaliseDescription(results) {
+  const testName = 'Normalise Description Test';
+
+  try {
+    assertEquals(normaliseDescription('GOUDA JUNG 400 G'), 'gouda jung 400g');
+    assertEquals(normaliseDescription('Gouda jung, 400g'), 'gouda jung 400g');
+    assertEquals(normaliseDescription('Milch 3,5% 1 L'), 'milch 3.5% 1l');
+    assertEquals(normaliseDescription('Käse-Aufschnitt GROßPACK'), 'kaese aufschnitt grosspack');
+    assertEquals(normaliseDescription(null), '');
+
+    recordTestResult(results, testName, true, 'Successfully normalised descriptions');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test the similarity of close, truncated and unrelated descriptions
+ * @param {Object} results - Test results object
+ */
+function testDescriptionSimilarity(results) {
+  const testName = 'Description Similarity Test';
+
+  try {
+    assertEquals(descriptionSimilarity('gouda jung 400g', 'gouda jung 400g'), 1, 'Equal descriptions');
+    const truncatedScore = descriptionSimilarity('gouda jung holl', 'gouda jung holland 400g');
+    assertEquals(truncatedScore >= REVIEW_MATCH_SCORE && truncatedScore < AUTO_MATCH_SCORE, true,
+      'Truncated description should be reviewed');
+    [['coca cola', 'coca cola zero'], ['haferdrink', 'haferdrink barista']].forEach(([a, b]) => {
+      assertEquals(descriptionSimilarity(a, b) < AUTO_MATCH_SCORE, true, `'${a}' should not match '${b}' automatically`);
+    });
+    assertEquals(descriptionSimilarity('bio bananen', 'bio banane') >= 0.9, true, 'Plural');
+    assertEquals(descriptionSimilarity('brot', 'kaese'), 0, 'Unrelated descriptions');
+    assertEquals(descriptionSimilarity('', 'kaese'), 0, 'Empty description');
+
+    recordTestResult(results, testName, true, 'Successfully scored descriptions');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test the match status for aliases, exact, fuzzy, uncertain and new descriptions
+ * @param {Object} results - Test results object
+ */
+function testMatchStatuses(results) {
+  const testName = 'Match Statuses Test';
+
+  try {
+    const catalogue = {
+      products: [
+        { productId: 1, normalisedName: 'gouda jung 400g' },
+        { productId: 2, normalisedName: 'milch 3.5% 1l' },
+      ],
+      aliases: { 'h milch 3.5%': 2 },
+    };
+
+    assertEquals(matchProduct('H-Milch 3,5%', catalogue).status, 'alias');
+    assertEquals(matchProduct('H-Milch 3,5%', catalogue).productId, 2);
+    assertEquals(matchProduct('GOUDA JUNG 400 G', catalogue).status, 'exact');
+    assertEquals(matchProduct('Gouda jung 400', catalogue).status, 'fuzzy');
+    assertEquals(matchProduct('Gouda jung 400', catalogue).productId, 1);
+    assertEquals(matchProduct('Milch 1,5% 1L', catalogue).status, 'uncertain');
+    assertEquals(matchProduct('Milch 1,5% 1L', catalogue).productId, 2, 'Uncertain matches name their candidate');
+    assertEquals(matchProduct('Gouda jung 400g Scheiben', catalogue).status, 'uncertain', 'A prefix should be reviewed');
+    assertEquals(matchProduct('Roggenbrot', catalogue).status, 'new');
+    assertEquals(matchProduct('Roggenbrot', catalogue).productId, null);
+
+    recordTestResult(results, testName, true, 'Successfully matched descriptions');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
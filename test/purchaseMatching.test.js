@@ -0,0 +1,184 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { findMatchingPurchaseId } = require('../src/purchaseMatching');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllPurchaseMatchingTests()
+
+/**
+ * Testing suite for findMatchingPurchaseId function
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllPurchaseMatchingTests() {
+  return runTests([
+    testMatchByReceiptNumber,
+    testSameTimestampDifferentReceipts,
+    testFallbackToTotal,
+    testReprocessingIsIdempotent,
+    testLegacyRowWithoutReceiptNumber,
+  ]);
+}
+
+/**
+ * Create an in-memory stand-in for the 'purchases' sheet
+ * @param {Array<Array<*>>} rows - Data rows without the header
+ * @returns {Object} An object with the getDataRange/appendRow subset of a Sheet
+ */
+function createFakePurchasesSheet(rows = []) {
+  const values = [['purchaseId', 'comment', 'date', 'totalPrice', 'storeId', 'receiptNumber'], ...rows];
+  return {
+    getDataRange: () => ({ getValues: () => values.map(row => row.slice()) }),
+    appendRow: (row) => { values.push(row); },
+    getLastRow: () => values.length,
+  };
+}
+
+/**
+ * Look up a purchase in the fake sheet and append it if it is new, like getPurchaseId
+ * @param {Object} sheet - The fake purchases sheet
+ * @param {Object} purchase - The purchase to store
+ * @returns {*} The ID of the existing or appended purchase
+ */
+function findOrAppendPurchase(sheet, purchase) {
+  const purchaseId = findMatchingPurchaseId(sheet.getDataRange().getValues(), purchase);
+  if (purchaseId) {
+    return purchaseId;
+  }
+  const newPurchaseId = sheet.getLastRow();
+  sheet.appendRow([newPurchaseId, null, purchase.purchaseDate, purchase.totalPrice, purchase.storeId, purchase.receiptNumber]);
+  return newPurchaseId;
+}
+
+/**
+ * Test that a purchase is found by store, receipt number and timestamp
+ * @param {Object} results - Test results object
+ */
+function testMatchByReceiptNumber(results) {
+  const testName = 'Match By Receipt Number Test';
+
+  try {
+    const date = new Date(2026, 9, 18, 12, 34, 56);
+    const sheet = createFakePurchasesSheet([
+      [1, null, new Date(2026, 9, 17, 9, 0), 12.5, 7, '4710'],
+      [2, null, date, 3.78, 7, '4711'],
+    ]);
+    const data = sheet.getDataRange().getValues();
+
+    assertEquals(findMatchingPurchaseId(data, { storeId: 7, purchaseDate: date, totalPrice: 3.78, receiptNumber: '4711' }), 2, 'Should match receipt 4711');
+    assertEquals(findMatchingPurchaseId(data, { storeId: 7, purchaseDate: date, totalPrice: 3.78, receiptNumber: '04711' }), 2, 'Leading zeros should be ignored');
+    assertEquals(findMatchingPurchaseId(data, { storeId: 8, purchaseDate: date, totalPrice: 3.78, receiptNumber: '4711' }), null, 'Other store should not match');
+    assertEquals(findMatchingPurchaseId(data, { storeId: 7, purchaseDate: new Date(2026, 9, 19, 12, 34, 56), totalPrice: 3.78, receiptNumber: '4711' }), null, 'Other day should not match');
+
+    recordTestResult(results, testName, true, 'Successfully matched by receipt number');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that two receipts with the same timestamp are kept apart by their receipt numbers
+ * @param {Object} results - Test results object
+ */
+function testSameTimestampDifferentReceipts(results) {
+  const testName = 'Same Timestamp Different Receipts Test';
+
+  try {
+    const date = new Date(2026, 9, 18, 12, 0, 0);
+    const data = createFakePurchasesSheet([
+      [1, null, date, 3.78, 7, '4711'],
+    ]).getDataRange().getValues();
+
+    assertEquals(findMatchingPurchaseId(data, { storeId: 7, purchaseDate: date, totalPrice: 3.78, receiptNumber: '4712' }), null, 'Different receipt number should not match');
+    assertEquals(findMatchingPurchaseId(data, { storeId: 7, purchaseDate: date, totalPrice: 3.78, receiptNumber: null }), null, 'Missing receipt number should not match a numbered purchase');
+
+    recordTestResult(results, testName, true, 'Kept receipts with the same timestamp apart');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test the total as fallback check for purchases without receipt number
+ * @param {Object} results - Test results object
+ */
+function testFallbackToTotal(results) {
+  const testName = 'Fallback To Total Test';
+
+  try {
+    const date = new Date(2026, 9, 18, 12, 0, 0);
+    const data = createFakePurchasesSheet([
+      [1, null, date, 3.78, 7, ''],
+      [2, null, new Date(2026, 9, 18, 13, 0, 0), '', 7, ''],
+    ]).getDataRange().getValues();
+
+    assertEquals(findMatchingPurchaseId(data, { storeId: 7, purchaseDate: new Date(date.getTime() + 400), totalPrice: 3.78 }), 1, 'Same second and total should match');
+    assertEquals(findMatchingPurchaseId(data, { storeId: 7, purchaseDate: date, totalPrice: 4.78 }), null, 'Different total should not match');
+    assertEquals(findMatchingPurchaseId(data, { storeId: 7, purchaseDate: new Date(2026, 9, 18, 13, 0, 0), totalPrice: 9.99 }), 2, 'Unknown stored total should not prevent a match');
+
+    recordTestResult(results, testName, true, 'Successfully used total as fallback');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that processing the same receipts twice does not create duplicates
+ * @param {Object} results - Test results object
+ */
+function testReprocessingIsIdempotent(results) {
+  const testName = 'Reprocessing Is Idempotent Test';
+
+  try {
+    const sheet = createFakePurchasesSheet();
+    const purchases = [
+      { storeId: 1, purchaseDate: new Date(2026, 9, 18, 12, 0), totalPrice: 3.78, receiptNumber: '4711' },
+      { storeId: 1, purchaseDate: new Date(2026, 9, 18, 12, 0), totalPrice: 5.1, receiptNumber: '4712' },
+      { storeId: 2, purchaseDate: new Date(2026, 9, 19, 8, 30), totalPrice: 1.2, receiptNumber: null },
+    ];
+
+    const firstRunIds = purchases.map(purchase => findOrAppendPurchase(sheet, purchase));
+    const secondRunIds = purchases.map(purchase => findOrAppendPurchase(sheet, purchase));
+
+    assertEquals(sheet.getDataRange().getValues().length, 4, 'Should store 3 purchases plus header');
+    assertEquals(secondRunIds, firstRunIds, 'Second run should return the same IDs');
+
+    recordTestResult(results, testName, true, 'Reprocessing created no duplicates');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that a row loaded before receipt numbers were read is found when reprocessing its e-mail
+ * @param {Object} results - Test results object
+ */
+function testLegacyRowWithoutReceiptNumber(results) {
+  const testName = 'Legacy Row Without Receipt Number Test';
+
+  try {
+    const emailDate = new Date(2026, 9, 18, 12, 3, 41);
+    const printedDate = new Date(2026, 9, 18, 11, 58, 0);
+    const sheet = createFakePurchasesSheet([
+      [1, null, emailDate, 3.78, 7],
+      [2, null, printedDate, 5.1, 7, '4712'],
+    ]);
+    const data = sheet.getDataRange().getValues();
+
+    const reprocessed = { storeId: 7, purchaseDate: printedDate, emailDate: emailDate, totalPrice: 3.78, receiptNumber: '4711' };
+    assertEquals(findMatchingPurchaseId(data, reprocessed), 1, 'Legacy row should match by e-mail date and total');
+    assertEquals(findMatchingPurchaseId(data, { ...reprocessed, totalPrice: 4.78 }), null, 'Different total should not match a legacy row');
+    assertEquals(findMatchingPurchaseId(data, { ...reprocessed, storeId: 8 }), null, 'Different store should not match a legacy row');
+    assertEquals(findMatchingPurchaseId(data, { ...reprocessed, emailDate: printedDate, totalPrice: 5.1 }), null, 'Row with another receipt number should not match');
+
+    assertEquals(findOrAppendPurchase(sheet, reprocessed), 1, 'Reprocessing should not duplicate the legacy row');
+    assertEquals(sheet.getDataRange().getValues().length, 3, 'Should still store 2 purchases plus header');
+
+    recordTestResult(results, testName, true, 'Successfully matched legacy row');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
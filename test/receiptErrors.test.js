@@ -0,0 +1,112 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { runStage, buildErrorRow } = require('../src/receiptErrors');
+  var { getSheetLayout } = require('../src/sheetLayout');
+  var { extractNettoReceiptData } = require('../src/extractNettoReceiptData');
+  var { createSheetRepository } = require('../src/sheetRepository');
+  var { createFakeSpreadsheet } = require('./fakeSpreadsheet');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllReceiptErrorsTests()
+
+/**
+ * Testing suite for the error quarantine helpers
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllReceiptErrorsTests() {
+  return runTests([
+    testRunStageTagsErrors,
+    testParserReportsFailingStage,
+    testErrorRowAndSheetCreation,
+  ]);
+}
+
+/**
+ * Capture the error thrown by a function
+ * @param {Function} callback - The function expected to throw
+ * @returns {Error|null} The thrown error, or null
+ */
+function catchError(callback) {
+  try {
+    callback();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+/**
+ * Test that errors are tagged with the innermost stage
+ * @param {Object} results - Test results object
+ */
+function testRunStageTagsErrors(results) {
+  const testName = 'Run Stage Tags Errors Test';
+
+  try {
+    assertEquals(runStage('load', () => 42), 42, 'Should return the stage result');
+
+    const error = catchError(() => runStage('load', () => runStage('address', () => { throw new Error('boom'); })));
+    assertEquals(error.stage, 'address', 'Inner stage should be kept');
+    assertEquals(error.message, 'boom', 'Error message should be kept');
+
+    const stringError = catchError(() => runStage('split', () => { throw 'not an Error'; }));
+    assertEquals(stringError.stage, 'split', 'Non-Error values should be wrapped and tagged');
+
+    recordTestResult(results, testName, true, 'Successfully tagged errors with stages');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that a Netto email without the 'Filiale:' anchor fails in the split stage
+ * @param {Object} results - Test results object
+ */
+function testParserReportsFailingStage(results) {
+  const testName = 'Parser Reports Failing Stage Test';
+
+  try {
+    const error = catchError(() => extractNettoReceiptData('<html><body>Kein Kassenbon</body></html>'));
+
+    assertEquals(error !== null, true, 'Parser should throw');
+    assertEquals(error.stage, 'split', 'Failing stage should be split');
+
+    recordTestResult(results, testName, true, 'Parser reported the failing stage');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test the errors sheet row and that the repository creates the missing errors sheet
+ * @param {Object} results - Test results object
+ */
+function testErrorRowAndSheetCreation(results) {
+  const testName = 'Error Row And Sheet Creation Test';
+
+  try {
+    const date = new Date(2026, 9, 18, 12, 0);
+    const recordedAt = new Date(2026, 9, 18, 13, 0);
+    const error = Object.assign(new Error('No line items'), { stage: 'line items' });
+    const row = buildErrorRow({ id: 'msg-1', sender: 'noreply@netto-app.de', subject: 'Ihr Kassenbon', date: date }, error, recordedAt);
+
+    assertEquals(row, ['msg-1', 'noreply@netto-app.de', 'Ihr Kassenbon', date, 'line items', 'Error: No line items', recordedAt], 'Row should follow the header');
+    const errors = getSheetLayout().errors;
+    assertEquals(row.length, errors.header.length, 'Row should be as wide as the header');
+
+    const spreadsheet = createFakeSpreadsheet({});
+    const repository = createSheetRepository(spreadsheet, { [errors.name]: errors.header });
+    repository.appendRow(errors.name, row);
+    repository.flush();
+
+    assertEquals(spreadsheet.getSheetByName(errors.name).rows.length, 2, 'Errors sheet should have header and one row');
+
+    recordTestResult(results, testName, true, 'Successfully recorded error row');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
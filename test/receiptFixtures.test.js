@@ -0,0 +1,120 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var fs = require('fs');
+  var path = require('path');
+  var { getReceiptParsers, parseReceipt } = require('../src/receiptParsers');
+  var { recordTestResult, runTests } = require('./testHelpers');
+}
+
+const fixturesDirectory = path.join(__dirname, 'fixtures', 'receipts');
+const updateGoldenFiles = process.argv.includes('--update');
+
+runAllReceiptFixtureTests()
+
+/**
+ * Golden-output regression tests for the receipt parsers
+ * Each receipt in test/fixtures/receipts/<parser id>/ (an e-mail body as .html or a PDF text as .txt)
+ * is parsed with `parseReceipt` and compared with the expected output in <name>.expected.json.
+ * Run `node test/receiptFixtures.test.js --update` to rewrite the expected outputs after an intended change.
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllReceiptFixtureTests() {
+  return runTests(listReceiptFixtures().map(fixture => results => testReceiptFixture(results, fixture)));
+}
+
+/**
+ * List the receipt fixtures of all registered parsers
+ * @returns {Array<Object>} The fixtures with parser, name and file paths
+ */
+function listReceiptFixtures() {
+  return getReceiptParsers().flatMap(parser => {
+    const parserDirectory = path.join(fixturesDirectory, parser.id);
+    if (!fs.existsSync(parserDirectory)) {
+      return [];
+    }
+    return fs.readdirSync(parserDirectory)
+      .filter(file => /\.(html|txt)$/.test(file))
+      .sort()
+      .map(file => ({
+        parser: parser,
+        name: `${parser.id}/${file}`,
+        receiptPath: path.join(parserDirectory, file),
+        expectedPath: path.join(parserDirectory, file.replace(/\.(html|txt)$/, '.expected.json')),
+      }));
+  });
+}
+
+/**
+ * Serialise a parser result as stored in the golden files
+ * Dates are written in local time so the files do not depend on the time zone of the machine.
+ * @param {Object} data - The parser result
+ * @returns {string} The JSON text
+ */
+function serialiseReceiptData(data) {
+  const pad = n => String(n).padStart(2, '0');
+  return JSON.stringify(data, function(key, value) {
+    const original = this[key];
+    if (original instanceof Date) {
+      return `${original.getFullYear()}-${pad(original.getMonth() + 1)}-${pad(original.getDate())}T` +
+        `${pad(original.getHours())}:${pad(original.getMinutes())}:${pad(original.getSeconds())}`;
+    }
+    return value;
+  }, 2) + '\n';
+}
+
+/**
+ * List the differences between an expected and an actual value
+ * @param {*} expected - The expected value
+ * @param {*} actual - The actual value
+ * @param {string} [location] - The path of the values, e.g. 'lineItems[2].totalPrice'
+ * @returns {Array<string>} One line per difference
+ */
+function diffValues(expected, actual, location = '') {
+  const isObject = value => value !== null && typeof value === 'object';
+  if (isObject(expected) && isObject(actual) && Array.isArray(expected) === Array.isArray(actual)) {
+    const keys = Array.isArray(expected)
+      ? [...Array(Math.max(expected.length, actual.length)).keys()]
+      : [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+    return keys.flatMap(key => diffValues(expected[key], actual[key],
+      Array.isArray(expected) ? `${location}[${key}]` : (location ? `${location}.${key}` : key)));
+  }
+  if (JSON.stringify(expected) === JSON.stringify(actual)) {
+    return [];
+  }
+  return [`${location || '(root)'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`];
+}
+
+/**
+ * Test one receipt fixture against its golden file, or rewrite the golden file in update mode
+ * @param {Object} results - Test results object
+ * @param {Object} fixture - The fixture from `listReceiptFixtures`
+ */
+function testReceiptFixture(results, fixture) {
+  const testName = `Receipt Fixture ${fixture.name}`;
+
+  try {
+    const data = parseReceipt(fixture.parser, fs.readFileSync(fixture.receiptPath, 'utf8'));
+    const actualText = serialiseReceiptData(data);
+
+    if (updateGoldenFiles) {
+      fs.writeFileSync(fixture.expectedPath, actualText);
+      recordTestResult(results, testName, true, `Updated ${path.basename(fixture.expectedPath)}`);
+      return;
+    }
+    if (!fs.existsSync(fixture.expectedPath)) {
+      throw new Error(`${path.basename(fixture.expectedPath)} not found, run with --update to create it`);
+    }
+
+    const differences = diffValues(JSON.parse(fs.readFileSync(fixture.expectedPath, 'utf8')), JSON.parse(actualText));
+    if (differences.length > 0) {
+      throw new Error(`${differences.length} difference(s) from the golden file:\n  ${differences.join('\n  ')}`);
+    }
+
+    recordTestResult(results, testName, true, 'Matches the golden file');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,113 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { getReceiptParsers, findReceiptParser, extractSenderAddress, buildReceiptSearchQuery } = require('../src/receiptParsers');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllReceiptParsersTests()
+
+/**
+ * Testing suite for the receipt parser registry
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllReceiptParsersTests() {
+  return runTests([
+    testExtractSenderAddress,
+    testFindParserBySender,
+    testSubjectPatterns,
+    testBuildSearchQuery,
+  ]);
+}
+
+/**
+ * Test extracting the bare address from the From header
+ * @param {Object} results - Test results object
+ */
+function testExtractSenderAddress(results) {
+  const testName = 'Extract Sender Address Test';
+
+  try {
+    assertEquals(extractSenderAddress('Netto <NoReply@Netto-App.de>'), 'noreply@netto-app.de');
+    assertEquals(extractSenderAddress(' noreply@netto-app.de '), 'noreply@netto-app.de');
+    assertEquals(extractSenderAddress('"dm-drogerie markt" <ebon@dm.de>'), 'ebon@dm.de');
+    assertEquals(extractSenderAddress(''), '');
+    assertEquals(extractSenderAddress(null), '');
+
+    recordTestResult(results, testName, true, 'Successfully extracted sender addresses');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test choosing the parser by the sender address
+ * @param {Object} results - Test results object
+ */
+function testFindParserBySender(results) {
+  const testName = 'Find Parser By Sender Test';
+  const parserId = (from, subject) => {
+    const parser = findReceiptParser(from, subject);
+    return parser ? parser.id : null;
+  };
+
+  try {
+    assertEquals(parserId('Netto <noreply@netto-app.de>', 'Dein Kassenbon'), 'netto');
+    assertEquals(parserId('nicht.antworten@reply.netto-online.de', 'Ihr Einkauf'), 'netto', 'Netto accepts any subject');
+    assertEquals(parserId('dm-drogerie markt <EBON@DM.DE>', 'Dein eBon'), 'dm', 'Senders should be compared ignoring case');
+    assertEquals(parserId('REWE <ebon@mailing.rewe.de>', 'Dein REWE eBon'), 'rewe');
+    assertEquals(parserId('news@example.com', 'Dein eBon'), null, 'Unknown senders should have no parser');
+    assertEquals(parserId('Netto <noreply@netto-app.de.example.com>', 'Dein Kassenbon'), null,
+      'Only the exact address should match');
+
+    const custom = getReceiptParsers().map(parser => parser.id === 'dm' ? { ...parser, senders: ['kassenbon@example.com'] } : parser);
+    assertEquals(findReceiptParser('kassenbon@example.com', 'Dein eBon', custom).id, 'dm', 'Configured senders should be used');
+    assertEquals(findReceiptParser('ebon@dm.de', 'Dein eBon', custom), null, 'Replaced senders should no longer match');
+
+    recordTestResult(results, testName, true, 'Successfully matched senders');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that parsers with a subject pattern only accept matching subjects
+ * @param {Object} results - Test results object
+ */
+function testSubjectPatterns(results) {
+  const testName = 'Subject Patterns Test';
+
+  try {
+    assertEquals(findReceiptParser('ebon@dm.de', 'Dein EBON vom 12.03.2026').id, 'dm', 'Patterns should ignore case');
+    assertEquals(findReceiptParser('ebon@dm.de', 'Neue Angebote in deiner Filiale'), null, 'Newsletters should be skipped');
+    assertEquals(findReceiptParser('ebon@dm.de', ''), null, 'An empty subject should not match a pattern');
+    assertEquals(findReceiptParser('ebon@mailing.rewe.de', undefined), null, 'A missing subject should not match a pattern');
+    assertEquals(findReceiptParser('noreply@netto-app.de', undefined).id, 'netto', 'Parsers without pattern accept a missing subject');
+
+    recordTestResult(results, testName, true, 'Successfully applied subject patterns');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test building the Gmail search query from the senders of the parsers
+ * @param {Object} results - Test results object
+ */
+function testBuildSearchQuery(results) {
+  const testName = 'Build Search Query Test';
+
+  try {
+    assertEquals(buildReceiptSearchQuery('kassenbons'),
+      '{from:nicht.antworten@reply.netto-online.de from:noreply@netto-app.de from:noreply@dm.de from:ebon@dm.de ' +
+      'from:ebon@mailing.rewe.de} label:kassenbons');
+    assertEquals(buildReceiptSearchQuery('belege', [{ senders: ['a@example.com'] }, { senders: ['b@example.com', 'c@example.com'] }]),
+      '{from:a@example.com from:b@example.com from:c@example.com} label:belege');
+
+    recordTestResult(results, testName, true, 'Successfully built search queries');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,132 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { getSheetSchemas, getSchemaMigrations, planSpreadsheetSetup } = require('../src/schema');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllSchemaTests()
+
+/**
+ * Testing suite for planSpreadsheetSetup function
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllSchemaTests() {
+  return runTests([
+    testNewSpreadsheet,
+    testMigratesOriginalLayout,
+    testSkippedMigrationIsRetried,
+  ]);
+}
+
+/**
+ * Return the headers of a spreadsheet set up with the latest schema
+ * @returns {Object} The header rows by sheet name
+ */
+function createLatestHeaders() {
+  const headers = {};
+  getSheetSchemas().forEach(schema => {
+    headers[schema.sheetName] = schema.header.slice();
+  });
+  return headers;
+}
+
+/**
+ * Test that an empty spreadsheet gets all sheets and the latest version without migrations
+ * @param {Object} results - Test results object
+ */
+function testNewSpreadsheet(results) {
+  const testName = 'New Spreadsheet Test';
+
+  try {
+    const headers = {};
+    getSheetSchemas().forEach(schema => {
+      headers[schema.sheetName] = null;
+    });
+    const plan = planSpreadsheetSetup(headers, 0);
+    const latestVersion = Math.max(...getSchemaMigrations().map(migration => migration.version));
+
+    assertEquals(plan.createSheets.map(schema => schema.sheetName),
+      ['stores', 'purchases', 'priceLog', 'products', 'productAliases', 'productReview', 'priceChanges', 'categoryRules',
+        'uncategorisedItems', 'errors', 'runs', 'config']);
+    assertEquals(plan.insertColumns, []);
+    assertEquals(plan.targetVersion, latestVersion);
+
+    const upToDate = planSpreadsheetSetup(createLatestHeaders(), latestVersion);
+    assertEquals(upToDate.createSheets, [], 'A set up spreadsheet needs no sheets');
+    assertEquals(upToDate.insertColumns, [], 'A set up spreadsheet needs no migrations');
+
+    recordTestResult(results, testName, true, 'Successfully planned new spreadsheet');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test migrating the original three sheet layout to the latest schema
+ * @param {Object} results - Test results object
+ */
+function testMigratesOriginalLayout(results) {
+  const testName = 'Migrates Original Layout Test';
+
+  try {
+    const headers = createLatestHeaders();
+    headers.stores = ['storeId', 'storeName', 'storeAddress'];
+    headers.purchases = ['purchaseId', 'comment', 'date', 'totalPrice', 'storeId'];
+    headers.priceLog = ['description', 'details', 'currency', 'totalPrice', 'purchaseId'];
+    headers.products = null;
+
+    const plan = planSpreadsheetSetup(headers, 0);
+
+    assertEquals(plan.createSheets.map(schema => schema.sheetName), ['products']);
+    assertEquals(plan.insertColumns, [
+      { sheetName: 'priceLog', version: 1, afterColumn: 2, headers: ['quantity', 'unit', 'unitPrice'] },
+      { sheetName: 'purchases', version: 2, afterColumn: 5, headers: ['receiptNumber'] },
+      { sheetName: 'priceLog', version: 3, afterColumn: 8, headers: ['type', 'lineNumber', 'appliesToLine', 'effectivePrice'] },
+      { sheetName: 'priceLog', version: 4, afterColumn: 12, headers: ['productId'] },
+      {
+        sheetName: 'stores',
+        version: 6,
+        afterColumn: 3,
+        headers: ['street', 'houseNumber', 'postcode', 'city', 'branchNumber', 'latitude', 'longitude'],
+      },
+      { sheetName: 'priceLog', version: 7, afterColumn: 13, headers: ['category'] },
+    ], 'Later migrations should account for columns inserted before them');
+    assertEquals(plan.skipped, []);
+    assertEquals(plan.targetVersion, 7);
+    assertEquals(headers.priceLog.length, 5, 'The given headers should not be changed');
+
+    const partlyMigrated = planSpreadsheetSetup(createLatestHeaders(), 2);
+    assertEquals(partlyMigrated.insertColumns, [], 'Columns already present should not be added again');
+
+    recordTestResult(results, testName, true, 'Successfully planned migrations');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that a migration without its anchor column is skipped and the version stays before it
+ * @param {Object} results - Test results object
+ */
+function testSkippedMigrationIsRetried(results) {
+  const testName = 'Skipped Migration Is Retried Test';
+
+  try {
+    const headers = createLatestHeaders();
+    headers.purchases = ['ID', 'Notiz', 'Datum', 'Summe', 'Laden'];
+    headers.priceLog = ['description', 'details', 'quantity', 'unit', 'unitPrice', 'currency', 'totalPrice', 'purchaseId'];
+
+    const plan = planSpreadsheetSetup(headers, 1);
+
+    assertEquals(plan.skipped, ["2: Add the receipt number column to purchases (column 'storeId' not found in purchases)"]);
+    assertEquals(plan.insertColumns.map(step => step.version), [3, 4, 7], 'Later migrations should still be applied');
+    assertEquals(plan.targetVersion, 1, 'The skipped migration should run again next time');
+
+    recordTestResult(results, testName, true, 'Successfully skipped migration');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,163 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { parseSettings, buildRepositoryLayout, applySenderSettings } = require('../src/settings');
+  var { getReceiptParsers } = require('../src/receiptParsers');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllSettingsTests()
+
+/**
+ * Testing suite for parseSettings function
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllSettingsTests() {
+  return runTests([
+    testDefaults,
+    testConfigSheetAndPropertiesOverrides,
+    testValidationErrors,
+    testLayoutAndSenders,
+  ]);
+}
+
+/**
+ * Test that missing settings fall back to the defaults
+ * @param {Object} results - Test results object
+ */
+function testDefaults(results) {
+  const testName = 'Defaults Test';
+
+  try {
+    const settings = parseSettings([], {});
+
+    assertEquals(settings.receiptLabel, 'kassenbons');
+    assertEquals(settings.currency, 'EUR');
+    assertEquals(settings.priceChangeThreshold, 0.05);
+    assertEquals(settings['sheet.priceLog'], 'priceLog');
+    assertEquals(settings['purchases.dateColumn'], 2, 'Column C should be index 2');
+    assertEquals(settings['senders.netto'], null, 'Parsers should keep their own senders');
+    assertEquals(settings.geocodeStores, false);
+    assertEquals(settings['schedule.import'], { everyHours: 1 });
+    assertEquals(settings['schedule.report'], { atHour: 3 });
+
+    recordTestResult(results, testName, true, 'Successfully applied defaults');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that the config sheet overrides defaults and script properties override the config sheet
+ * @param {Object} results - Test results object
+ */
+function testConfigSheetAndPropertiesOverrides(results) {
+  const testName = 'Config Sheet And Properties Overrides Test';
+
+  try {
+    const settings = parseSettings([
+      ['key', 'value'],
+      ['receiptLabel', 'belege'],
+      ['currency', 'CHF'],
+      ['priceChangeThreshold', '0,1'],
+      ['purchases.dateColumn', 'b'],
+      ['purchases.totalPriceColumn', 7],
+      ['sheet.stores', ''],
+      ['geocodeStores', true],
+      ['schedule.import', 'Every 4 hours'],
+      ['schedule.priceChangeDigest', 'off'],
+      ['', ''],
+    ], {
+      'currency': 'EUR',
+      'senders.dm': 'Ebon@dm.de, kassenbon@example.com',
+      'backfillState': '{}',
+    });
+
+    assertEquals(settings.receiptLabel, 'belege');
+    assertEquals(settings.currency, 'EUR', 'Script properties should win');
+    assertEquals(settings.priceChangeThreshold, 0.1, 'German decimal comma should be accepted');
+    assertEquals(settings['purchases.dateColumn'], 1);
+    assertEquals(settings['purchases.totalPriceColumn'], 6, 'Column numbers should be 1-based');
+    assertEquals(settings['sheet.stores'], 'stores', 'Empty values should keep the default');
+    assertEquals(settings['senders.dm'], ['ebon@dm.de', 'kassenbon@example.com']);
+    assertEquals(settings.geocodeStores, true, 'Checkbox values should be accepted');
+    assertEquals(settings['schedule.import'], { everyHours: 4 });
+    assertEquals(settings['schedule.priceChangeDigest'], null, "'off' should switch the trigger off");
+
+    recordTestResult(results, testName, true, 'Successfully applied overrides');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that all invalid settings are reported together
+ * @param {Object} results - Test results object
+ */
+function testValidationErrors(results) {
+  const testName = 'Validation Errors Test';
+
+  try {
+    let message = null;
+    try {
+      parseSettings([
+        ['key', 'value'],
+        ['recieptLabel', 'belege'],
+        ['priceChangeThreshold', 5],
+        ['geocodeStores', 'ja'],
+        ['schedule.report', 'every 5 hours'],
+        ['purchases.storeIdColumn', 'A'],
+        ['senders.rewe', 'ebon at rewe'],
+      ], { 'purchases.receiptNumberColumn': '0' });
+    } catch (error) {
+      message = error.message;
+    }
+
+    assertEquals(message, 'Invalid settings: ' + [
+      "Unknown setting 'recieptLabel'",
+      "Setting 'priceChangeThreshold': expected a number between 0 and 1, got '5'",
+      "Setting 'geocodeStores': expected TRUE or FALSE, got 'ja'",
+      "Setting 'schedule.report': expected 'off', 'hourly', 'every N hours' (N = 1, 2, 4, 6, 8, 12) " +
+        "or 'daily at H' (H = 0-23), got 'every 5 hours'",
+      "Setting 'purchases.receiptNumberColumn': expected a column letter or number, got '0'",
+      "Setting 'senders.rewe': expected e-mail addresses, got 'ebon at rewe'",
+      "Settings 'purchases.purchaseIdColumn' and 'purchases.storeIdColumn' use the same column",
+    ].join('; '));
+
+    recordTestResult(results, testName, true, 'Successfully reported invalid settings');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test the repository layout and the sender overrides built from the settings
+ * @param {Object} results - Test results object
+ */
+function testLayoutAndSenders(results) {
+  const testName = 'Layout And Senders Test';
+
+  try {
+    const settings = parseSettings([
+      ['key', 'value'],
+      ['sheet.purchases', 'Einkäufe'],
+      ['purchases.dateColumn', 'B'],
+      ['senders.netto', 'netto@example.com'],
+    ], {});
+
+    assertEquals(buildRepositoryLayout(settings), {
+      sheetNames: { stores: 'stores', purchases: 'Einkäufe', priceLog: 'priceLog' },
+      columnMaps: { purchases: [0, null, 1, 3, 4, 5] },
+    });
+
+    const parsers = applySenderSettings(getReceiptParsers(), settings);
+    assertEquals(parsers.find(p => p.id === 'netto').senders, ['netto@example.com']);
+    assertEquals(parsers.find(p => p.id === 'dm').senders, ['noreply@dm.de', 'ebon@dm.de'], 'Other parsers should keep their senders');
+
+    recordTestResult(results, testName, true, 'Successfully built layout and senders');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,219 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { createSheetRepository } = require('../src/sheetRepository');
+  var { createFakeSpreadsheet } = require('./fakeSpreadsheet');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllSheetRepositoryTests()
+
+/**
+ * Testing suite for createSheetRepository function
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllSheetRepositoryTests() {
+  return runTests([
+    testLoadsEachSheetOnce,
+    testStoreLookupAndCreation,
+    testPurchaseLookupIncludesPendingRows,
+    testFlushWritesOneBatchPerSheet,
+    testDryRunWritesNothing,
+    testConfiguredLayout,
+  ]);
+}
+
+/**
+ * Create a fake spreadsheet with the stores, purchases and priceLog sheets
+ * @returns {Object} The fake spreadsheet
+ */
+function createReceiptSpreadsheet() {
+  return createFakeSpreadsheet({
+    stores: [['storeId', 'storeName', 'storeAddress'], [1, 'Netto Marken-Discount', 'Hauptstr. 123, 12345 Berlin']],
+    purchases: [['purchaseId', 'comment', 'date', 'totalPrice', 'storeId', 'receiptNumber']],
+    priceLog: [['description', 'details', 'quantity', 'unit', 'unitPrice', 'currency', 'totalPrice', 'purchaseId']],
+  });
+}
+
+/**
+ * Test that repeated lookups do not read the sheet again
+ * @param {Object} results - Test results object
+ */
+function testLoadsEachSheetOnce(results) {
+  const testName = 'Loads Each Sheet Once Test';
+
+  try {
+    const spreadsheet = createReceiptSpreadsheet();
+    const repository = createSheetRepository(spreadsheet);
+
+    repository.getOrAddStore('Netto Marken-Discount', 'Hauptstr. 123, 12345 Berlin');
+    repository.getOrAddStore('Netto Marken-Discount', 'Musterstr. 42, 54321 München');
+    repository.findPurchaseId({ storeId: 1, purchaseDate: new Date(), totalPrice: 1, receiptNumber: '1' });
+    repository.findPurchaseId({ storeId: 1, purchaseDate: new Date(), totalPrice: 2, receiptNumber: '2' });
+
+    assertEquals(spreadsheet.getSheetByName('stores').calls.getValues, 1, 'Stores should be read once');
+    assertEquals(spreadsheet.getSheetByName('purchases').calls.getValues, 1, 'Purchases should be read once');
+    assertEquals(spreadsheet.getSheetByName('priceLog').calls.getValues, 0, 'Unused sheets should not be read');
+
+    recordTestResult(results, testName, true, 'Each sheet was read once');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that stores are found by normalised address and new stores get the next ID and their parsed address
+ * @param {Object} results - Test results object
+ */
+function testStoreLookupAndCreation(results) {
+  const testName = 'Store Lookup And Creation Test';
+
+  try {
+    const repository = createSheetRepository(createReceiptSpreadsheet());
+    const geocodedAddresses = [];
+    const geocode = address => {
+      geocodedAddresses.push(address);
+      return { latitude: 48.1374, longitude: 11.5755 };
+    };
+
+    assertEquals(repository.getOrAddStore('Netto Marken-Discount', 'Hauptstr. 123, 12345 Berlin'), 1, 'Existing store should be found');
+    assertEquals(repository.getOrAddStore('Netto Marken-Discount', 'Netto Filiale 4711, HAUPTSTRASSE 123, 12345 BERLIN'), 1,
+      'Differently spelled address should be found');
+    assertEquals(repository.getOrAddStore('dm-drogerie markt', 'Musterstr. 42, 54321 München', geocode), 2, 'New store should get ID 2');
+    assertEquals(repository.getOrAddStore('dm-drogerie markt', 'Musterstraße 42, 54321 München', geocode), 2, 'Pending store should be found');
+    assertEquals(repository.getOrAddStore('REWE', 'Berliner Str. 45, 10115 Berlin'), 3, 'Next store should get ID 3');
+    assertEquals(repository.getOrAddStore('dm-drogerie markt', 'Hauptstr. 123, 12345 Berlin'), 4, 'Other chain at the same address should get ID 4');
+    assertEquals(geocodedAddresses, ['Musterstr. 42, 54321 München'], 'Only new stores should be geocoded');
+    assertEquals(repository.getValues('stores')[2],
+      [2, 'dm-drogerie markt', 'Musterstr. 42, 54321 München', 'Musterstraße', '42', '54321', 'München', '', 48.1374, 11.5755]);
+
+    recordTestResult(results, testName, true, 'Successfully looked up and created stores');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that purchases added in the same run are found before flushing
+ * @param {Object} results - Test results object
+ */
+function testPurchaseLookupIncludesPendingRows(results) {
+  const testName = 'Purchase Lookup Includes Pending Rows Test';
+
+  try {
+    const repository = createSheetRepository(createReceiptSpreadsheet());
+    const purchase = { storeId: 1, purchaseDate: new Date(2026, 9, 18, 12, 0), totalPrice: 3.78, receiptNumber: '4711' };
+
+    assertEquals(repository.findPurchaseId(purchase), null, 'Purchase should not exist yet');
+    assertEquals(repository.addPurchase(purchase), 1, 'First purchase should get ID 1');
+    assertEquals(repository.findPurchaseId(purchase), 1, 'Pending purchase should be found');
+    assertEquals(repository.addPurchase({ ...purchase, receiptNumber: '4712' }), 2, 'Second purchase should get ID 2');
+
+    recordTestResult(results, testName, true, 'Found pending purchases');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that flushing writes all pending rows with one setValues call per sheet
+ * @param {Object} results - Test results object
+ */
+function testFlushWritesOneBatchPerSheet(results) {
+  const testName = 'Flush Writes One Batch Per Sheet Test';
+
+  try {
+    const spreadsheet = createReceiptSpreadsheet();
+    const repository = createSheetRepository(spreadsheet);
+
+    repository.getOrAddStore('dm-drogerie markt', 'Musterstr. 42, 54321 München');
+    repository.addPurchase({ storeId: 2, purchaseDate: new Date(2026, 9, 18), totalPrice: 3.78, receiptNumber: '4711' });
+    repository.appendRow('priceLog', ['Milch', null, 1, 'Stück', 1.29, 'EUR', 1.29, 1]);
+    repository.appendRow('priceLog', ['Brot', '500g', 0.5, 'kg', 4.98, 'EUR', 2.49, 1]);
+    repository.appendRow('priceLog', ['Käse', null, 1]);
+
+    assertEquals(spreadsheet.getSheetByName('priceLog').getLastRow(), 1, 'Nothing should be written before flush');
+
+    const writtenRows = repository.flush();
+    const priceLogSheet = spreadsheet.getSheetByName('priceLog');
+
+    assertEquals(writtenRows, { stores: 1, purchases: 1, priceLog: 3 }, 'Should report written rows per sheet');
+    assertEquals(priceLogSheet.calls.setValues, 1, 'priceLog should be written with one setValues');
+    assertEquals(priceLogSheet.calls.appendRow, 0, 'appendRow should not be used');
+    assertEquals(priceLogSheet.rows[3], ['Käse', null, 1, '', '', '', '', ''], 'Short rows should be padded');
+    assertEquals(repository.flush(), {}, 'Second flush should write nothing');
+
+    recordTestResult(results, testName, true, 'Flushed one batch per sheet');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that a dry-run repository tracks added rows without creating or writing sheets
+ * @param {Object} results - Test results object
+ */
+function testDryRunWritesNothing(results) {
+  const testName = 'Dry Run Writes Nothing Test';
+
+  try {
+    const spreadsheet = createReceiptSpreadsheet();
+    const repository = createSheetRepository(spreadsheet, { errors: ['messageId', 'error'] }, { dryRun: true });
+
+    repository.getOrAddStore('Netto Marken-Discount', 'Hauptstr. 123, 12345 Berlin');
+    const snapshot = repository.snapshot();
+    const storeId = repository.getOrAddStore('dm-drogerie markt', 'Musterstr. 42, 54321 München');
+    repository.addPurchase({ storeId: storeId, purchaseDate: new Date(2026, 9, 18), totalPrice: 1.29, receiptNumber: '4711' });
+    repository.appendRow('errors', ['msg-1', 'Failed']);
+
+    const addedRows = repository.getRowsAddedSince(snapshot);
+    assertEquals(Object.keys(addedRows), ['stores', 'purchases', 'errors'], 'Only sheets with added rows should be listed');
+    assertEquals(addedRows.stores.map(row => row.slice(0, 3)), [[2, 'dm-drogerie markt', 'Musterstr. 42, 54321 München']]);
+    assertEquals(repository.getValues('errors'), [['messageId', 'error'], ['msg-1', 'Failed']], 'Missing sheet should start from its header');
+
+    assertEquals(repository.flush(), { stores: 1, purchases: 1, errors: 1 }, 'Should report the rows it would write');
+    assertEquals(spreadsheet.getSheetByName('errors'), null, 'Missing sheet should not be created');
+    assertEquals(spreadsheet.getSheetByName('stores').calls.setValues, 0, 'Nothing should be written');
+    assertEquals(spreadsheet.getSheetByName('stores').getLastRow(), 2);
+
+    recordTestResult(results, testName, true, 'Dry run wrote nothing');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test that renamed sheets and moved purchases columns are presented in the default layout
+ * @param {Object} results - Test results object
+ */
+function testConfiguredLayout(results) {
+  const testName = 'Configured Layout Test';
+
+  try {
+    const purchaseDate = new Date(2026, 9, 18, 12, 30);
+    const spreadsheet = createFakeSpreadsheet({
+      'Einkäufe': [
+        ['ID', 'Datum', 'Laden', 'Summe', 'Bon', 'Notiz'],
+        [1, purchaseDate, 1, 3.78, '4711', 'Wocheneinkauf'],
+      ],
+    });
+    const repository = createSheetRepository(spreadsheet, {}, {
+      sheetNames: { purchases: 'Einkäufe' },
+      columnMaps: { purchases: [0, null, 1, 3, 2, 4] },
+    });
+
+    assertEquals(repository.getValues('purchases')[1], [1, null, purchaseDate, 3.78, 1, '4711'], 'Rows should be in the default column order');
+    assertEquals(repository.findPurchaseId({ storeId: 1, purchaseDate: purchaseDate, totalPrice: 3.78, receiptNumber: '4711' }), 1);
+
+    repository.addPurchase({ storeId: 2, purchaseDate: purchaseDate, totalPrice: 1.29, receiptNumber: '4712' });
+    repository.flush();
+
+    assertEquals(spreadsheet.getSheetByName('Einkäufe').rows[2], [2, purchaseDate, 2, 1.29, '4712', ''], 'New rows should use the sheet columns');
+
+    recordTestResult(results, testName, true, 'Successfully mapped the layout');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
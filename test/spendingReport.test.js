@@ -0,0 +1,144 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { aggregateSpending, buildReportRows, columnLetter } = require('../src/spendingReport');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllSpendingReportTests()
+
+/**
+ * Testing suite for aggregateSpending function
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllSpendingReportTests() {
+  return runTests([
+    testMonthlySpendAndBasket,
+    testTopProductsAndCategories,
+    testReportRows,
+  ]);
+}
+
+/**
+ * Create fixture rows of two stores, three purchases and their line items
+ * @returns {Object} The sheet values by table name
+ */
+function createReportTables() {
+  const priceLogRow = (description, quantity, unit, unitPrice, totalPrice, purchaseId, type, effectivePrice, productId, category = '') =>
+    [description, null, quantity, unit, unitPrice, 'EUR', totalPrice, purchaseId, type, 1, null, effectivePrice, productId, category];
+
+  return {
+    stores: [
+      ['storeId', 'storeName', 'storeAddress'],
+      [1, 'Netto Marken-Discount', 'Hauptstr. 123, 12345 Berlin'],
+      [2, 'REWE', 'Marktplatz 1, 12345 Berlin'],
+    ],
+    purchases: [
+      ['purchaseId', 'comment', 'date', 'totalPrice', 'storeId', 'receiptNumber'],
+      [1, null, new Date('2026-01-15T10:00:00'), 5.5, 1, 'A'],
+      [2, null, new Date('2026-02-03T10:00:00'), 4, 1, 'B'],
+      [3, null, new Date('2026-02-20T10:00:00'), '', 2, 'C'],
+    ],
+    products: [
+      ['productId', 'name', 'normalisedName', 'category'],
+      [10, 'Milch 3,5% 1L', 'milch 3.5% 1l', 'Dairy'],
+      [11, 'Roggenbrot', 'roggenbrot', ''],
+    ],
+    priceLog: [
+      ['description'],
+      priceLogRow('Milch', 2, 'l', 1.00, 2.00, 1, 'product', 2.00, 10),
+      priceLogRow('Roggenbrot', 1, 'Stück', 3.50, 3.50, 1, 'product', 3.00, 11),
+      priceLogRow('Rabatt', 1, 'Stück', -0.50, -0.50, 1, 'discount', null, ''),
+      priceLogRow('Pfand', 1, 'Stück', 0.50, 0.50, 1, 'deposit', null, ''),
+      priceLogRow('Milch', 4, 'l', 1.00, 4.00, 2, 'product', 4.00, 10),
+      priceLogRow('Milch', 1, 'l', 1.20, 1.20, 3, 'product', 1.20, 10),
+      priceLogRow('Roggenbrot', 1, 'Stück', 3.30, 3.30, 3, 'product', 3.30, 11, 'Bakery'),
+    ],
+  };
+}
+
+/**
+ * Test the monthly spend per store and the average basket
+ * @param {Object} results - Test results object
+ */
+function testMonthlySpendAndBasket(results) {
+  const testName = 'Monthly Spend And Basket Test';
+
+  try {
+    const aggregates = aggregateSpending(createReportTables());
+
+    assertEquals(aggregates.months, ['2026-01', '2026-02']);
+    assertEquals(aggregates.stores.map(store => store.label),
+      ['Netto Marken-Discount, Hauptstr. 123, 12345 Berlin', 'REWE, Marktplatz 1, 12345 Berlin']);
+    assertEquals(aggregates.monthlySpend, { '2026-01': { 1: 5.5 }, '2026-02': { 1: 4, 2: 4.5 } },
+      'A purchase without a total should count with the sum of its line items');
+    assertEquals(aggregates.basket, { purchases: 3, total: 14, average: 4.67 });
+
+    recordTestResult(results, testName, true, 'Successfully aggregated spend');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test the top products with their price trends and the category breakdown
+ * @param {Object} results - Test results object
+ */
+function testTopProductsAndCategories(results) {
+  const testName = 'Top Products And Categories Test';
+
+  try {
+    const aggregates = aggregateSpending(createReportTables(), { topProductCount: 1 });
+
+    assertEquals(aggregates.topProducts, [{
+      productId: 10,
+      name: 'Milch 3,5% 1L',
+      unit: 'l',
+      spend: 7.2,
+      quantity: 7,
+      purchases: 3,
+      trend: [1, 1.1],
+    }]);
+    assertEquals(aggregates.categories, [
+      { category: 'Dairy', spend: 7.2, share: 0.533 },
+      { category: 'Bakery', spend: 3.3, share: 0.244 },
+      { category: 'Uncategorised', spend: 3, share: 0.222 },
+    ], 'Row categories should win over product categories; discounts and deposits left out');
+    assertEquals(aggregateSpending(createReportTables(), { trendMonths: 1 }).trendMonths, ['2026-02']);
+
+    recordTestResult(results, testName, true, 'Successfully ranked products and categories');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test the report layout with sparkline formulas over the monthly prices
+ * @param {Object} results - Test results object
+ */
+function testReportRows(results) {
+  const testName = 'Report Rows Test';
+
+  try {
+    const updatedAt = new Date('2026-03-01T08:00:00');
+    const rows = buildReportRows(aggregateSpending(createReportTables()), updatedAt);
+
+    assertEquals(rows.every(row => row.length === 8), true, 'Rows should have the same width');
+    assertEquals(rows[0].slice(0, 2), ['Spending report', updatedAt]);
+    assertEquals(rows[4].slice(0, 4), ['2026-01', 5.5, 0, 5.5]);
+    assertEquals(rows[5].slice(0, 4), ['2026-02', 4, 4.5, 8.5]);
+
+    const milkRowIndex = rows.findIndex(row => row[0] === 'Milch 3,5% 1L');
+    assertEquals(rows[milkRowIndex], ['Milch 3,5% 1L', 7.2, 7, 'l', 3, `=SPARKLINE(G${milkRowIndex + 1}:H${milkRowIndex + 1})`, 1, 1.1]);
+    assertEquals(rows[rows.length - 1].slice(0, 3), ['Uncategorised', 3, 0.222]);
+
+    assertEquals(columnLetter(1), 'A');
+    assertEquals(columnLetter(27), 'AA');
+
+    recordTestResult(results, testName, true, 'Successfully laid out the report');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,93 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { parseStoreAddress, normaliseStreet, buildStoreKey, buildStoreRow } = require('../src/storeAddress');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllStoreAddressTests()
+
+/**
+ * Testing suite for parseStoreAddress function
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllStoreAddressTests() {
+  return runTests([
+    testParseStoreAddress,
+    testNormaliseStreet,
+    testStoreAddressKey,
+  ]);
+}
+
+/**
+ * Test parsing the addresses printed by the supported retailers
+ * @param {Object} results - Test results object
+ */
+function testParseStoreAddress(results) {
+  const testName = 'Parse Store Address Test';
+
+  try {
+    assertEquals(parseStoreAddress('Netto Filiale 4711, Musterstraße 12, 04109 Leipzig'),
+      { branchNumber: '4711', street: 'Musterstraße', houseNumber: '12', postcode: '04109', city: 'Leipzig' });
+    assertEquals(parseStoreAddress('Bahnhofstr. 3 a,  90402 Nürnberg'),
+      { branchNumber: null, street: 'Bahnhofstraße', houseNumber: '3a', postcode: '90402', city: 'Nürnberg' });
+    assertEquals(parseStoreAddress('Straße des 17. Juni 31, 10623 Berlin').street, 'Straße des 17. Juni',
+      'Numbers inside the street name should stay in the street');
+    assertEquals(parseStoreAddress('Bad-Str 3 - 5, 12345 Bad Berka').houseNumber, '3-5');
+    assertEquals(parseStoreAddress('Netto City-Filiale, Hauptstr. 123, 12345 Berlin').branchNumber, null);
+    assertEquals(parseStoreAddress('Hauptstraße 123'), null, 'Address without postcode should not be parsed');
+    assertEquals(parseStoreAddress(null), null);
+
+    recordTestResult(results, testName, true, 'Successfully parsed addresses');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test spelling variants of street names
+ * @param {Object} results - Test results object
+ */
+function testNormaliseStreet(results) {
+  const testName = 'Normalise Street Test';
+
+  try {
+    assertEquals(normaliseStreet('Hauptstr.'), 'Hauptstraße');
+    assertEquals(normaliseStreet('Hauptstrasse'), 'Hauptstraße');
+    assertEquals(normaliseStreet('HAUPTSTR.'), 'Hauptstraße', 'Capitals should be title-cased');
+    assertEquals(normaliseStreet('Berliner  Str.'), 'Berliner Straße');
+    assertEquals(normaliseStreet('Strandweg'), 'Strandweg', 'Words starting with str should be left alone');
+
+    recordTestResult(results, testName, true, 'Successfully normalised streets');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test the matching key and the 'stores' row built from an address
+ * @param {Object} results - Test results object
+ */
+function testStoreAddressKey(results) {
+  const testName = 'Store Address Key Test';
+
+  try {
+    const key = buildStoreKey('Netto Marken-Discount', 'Hauptstr. 123, 12345 Berlin');
+    assertEquals(key, 'netto marken-discount|hauptstraße|123|12345');
+    assertEquals(buildStoreKey('NETTO  Marken-Discount', 'Netto Filiale 12, Hauptstraße 123, 12345 BERLIN'), key);
+    assertEquals(buildStoreKey('Netto Marken-Discount', 'HAUPTSTRASSE  123, 12345 Berlin'), key);
+    assertEquals(buildStoreKey('Netto Marken-Discount', 'Hauptstr. 125, 12345 Berlin') === key, false, 'Other house numbers are other stores');
+    assertEquals(buildStoreKey('dm-drogerie markt', 'Hauptstr. 123, 12345 Berlin') === key, false, 'Other chains at the same address are other stores');
+    assertEquals(buildStoreKey('REWE', ' Marktplatz  1 '), 'rewe|marktplatz 1', 'Unparsed addresses should be compared as printed');
+
+    assertEquals(buildStoreRow(3, 'Netto Marken-Discount', 'Netto Filiale 4711, Musterstr. 12, 04109 Leipzig', { latitude: 51.34, longitude: 12.37 }),
+      [3, 'Netto Marken-Discount', 'Netto Filiale 4711, Musterstr. 12, 04109 Leipzig', 'Musterstraße', '12', '04109', 'Leipzig', '4711', 51.34, 12.37]);
+    assertEquals(buildStoreRow(4, 'REWE', null), [4, 'REWE', null, '', '', '', '', '', '', '']);
+
+    recordTestResult(results, testName, true, 'Successfully built keys and rows');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Shared helpers for the receipt test suites.
+ * Uses Google Apps Script's built-in Logger when available.
+ */
+
+// Create mock Logger for local testing
+if (typeof Logger === 'undefined') {
+  global.Logger = {
+    log: function(message) {
+      console.log(message);
+    }
+  };
+}
+
+/**
+ * Helper function to add test result
+ * @param {Object} results - The results object to update
+ * @param {string} testName - Name of the test
+ * @param {boolean} passed - Whether the test passed
+ * @param {string} message - Message about the test result
+ */
+function recordTestResult(results, testName, passed, message) {
+  results.tests.push({
+    name: testName,
+    passed: passed,
+    message: message
+  });
+
+  if (passed) {
+    results.passed++;
+  } else {
+    results.failed++;
+  }
+}
+
+/**
+ * Run a list of test functions and log a summary
+ * Sets a non-zero exit code when a test fails and the suite runs in Node
+ * @param {Array<Function>} testFunctions - Test functions taking the results object
+ * @returns {Object} The results object
+ */
+function runTests(testFunctions) {
+  const results = {
+    passed: 0,
+    failed: 0,
+    tests: []
+  };
+
+  testFunctions.forEach(testFunction => testFunction(results));
+
+  // Log summary
+  Logger.log(`Tests completed: ${results.passed} passed, ${results.failed} failed`);
+  results.tests.forEach(test => {
+    Logger.log(`${test.passed ? '✓' : '✗'} ${test.name}: ${test.message}`);
+  });
+
+  // Let Node exit with a failure code, e.g. in CI
+  if (results.failed > 0 && typeof process !== 'undefined') {
+    process.exitCode = 1;
+  }
+
+  return results;
+}
+
+/**
+ * Assert that two values are equal
+ * @param {*} actual - Actual value
+ * @param {*} expected - Expected value
+ * @param {string} message - Message if assertion fails
+ * @throws {Error} If assertion fails
+ */
+function assertEquals(actual, expected, message) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+/**
+ * Assert that a value is not null or undefined
+ * @param {*} value - Value to check
+ * @param {string} message - Message if assertion fails
+ * @throws {Error} If assertion fails
+ */
+function assertNotNull(value, message) {
+  if (value === null || value === undefined) {
+    throw new Error(message || 'Expected value to not be null or undefined');
+  }
+}
+
+// Export functions for local testing (this is ignored in Google Apps Script)
+if (typeof module !== 'undefined') {
+  module.exports = { recordTestResult, runTests, assertEquals, assertNotNull };
+}
@@ -0,0 +1,117 @@
+// Import the functions for local testing (this is ignored in Google Apps Script)
+if (typeof require !== 'undefined') {
+  var { parseSchedule, planTriggers, describeSchedule, buildRunRow } = require('../src/triggers');
+  var { recordTestResult, runTests, assertEquals } = require('./testHelpers');
+}
+
+runAllTriggersTests()
+
+/**
+ * Testing suite for the trigger schedules and the run history
+ */
+
+/**
+ * Master test function that runs all tests
+ */
+function runAllTriggersTests() {
+  return runTests([
+    testParseSchedule,
+    testPlanTriggers,
+    testBuildRunRow,
+  ]);
+}
+
+/**
+ * Test parsing the schedules accepted by the `schedule.*` settings
+ * @param {Object} results - Test results object
+ */
+function testParseSchedule(results) {
+  const testName = 'Parse Schedule Test';
+
+  try {
+    assertEquals(parseSchedule('off'), null);
+    assertEquals(parseSchedule('Hourly'), { everyHours: 1 });
+    assertEquals(parseSchedule('every 6  hours'), { everyHours: 6 });
+    assertEquals(parseSchedule('every 1 hour'), { everyHours: 1 });
+    assertEquals(parseSchedule('daily at 0'), { atHour: 0 });
+    assertEquals(parseSchedule(' Daily at 23 '), { atHour: 23 });
+
+    ['every 3 hours', 'daily at 24', 'daily', 'weekly', ''].forEach(text => {
+      let thrown = false;
+      try {
+        parseSchedule(text);
+      } catch (error) {
+        thrown = true;
+      }
+      assertEquals(thrown, true, `'${text}' should be rejected`);
+    });
+
+    recordTestResult(results, testName, true, 'Successfully parsed schedules');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test planning the triggers of the tasks that are not switched off
+ * @param {Object} results - Test results object
+ */
+function testPlanTriggers(results) {
+  const testName = 'Plan Triggers Test';
+
+  try {
+    const plan = planTriggers({
+      'schedule.import': { everyHours: 2 },
+      'schedule.report': null,
+      'schedule.priceChangeDigest': { atHour: 7 },
+    });
+
+    assertEquals(plan, [
+      { handler: 'processEmailsAndAddToSheet', schedule: { everyHours: 2 } },
+      { handler: 'sendPriceChangeDigest', schedule: { atHour: 7 } },
+    ]);
+    assertEquals(plan.map(trigger => describeSchedule(trigger.schedule)), ['every 2 hours', 'daily at 7:00']);
+    assertEquals(describeSchedule({ everyHours: 1 }), 'hourly');
+
+    recordTestResult(results, testName, true, 'Successfully planned triggers');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}
+
+/**
+ * Test building the rows of the 'runs' sheet for imports, skipped runs and failed runs
+ * @param {Object} results - Test results object
+ */
+function testBuildRunRow(results) {
+  const testName = 'Build Run Row Test';
+  const startedAt = new Date('2026-03-02T10:00:00Z');
+  const finishedAt = new Date('2026-03-02T10:00:12.345Z');
+
+  try {
+    assertEquals(buildRunRow({
+      task: 'processEmailsAndAddToSheet',
+      startedAt: startedAt,
+      finishedAt: finishedAt,
+      outcome: 'completed',
+      threads: 4,
+      statuses: ['processed', 'duplicate', 'failed', 'processed', 'unsupported'],
+    }, '2026.10.18'), [startedAt, 'processEmailsAndAddToSheet', 12.3, 4, 2, 1, 'completed', '', '2026.10.18']);
+
+    assertEquals(buildRunRow({
+      task: 'processEmailsAndAddToSheet', startedAt: startedAt, finishedAt: startedAt, outcome: 'skipped',
+    }, '2026.10.18'), [startedAt, 'processEmailsAndAddToSheet', 0, '', '', '', 'skipped', '', '2026.10.18']);
+
+    assertEquals(buildRunRow({
+      task: 'updateSpendingReport',
+      startedAt: startedAt,
+      finishedAt: finishedAt,
+      outcome: 'failed',
+      error: new Error('Sheet not found'),
+    }, '2026.10.18').slice(6, 8), ['failed', 'Error: Sheet not found']);
+
+    recordTestResult(results, testName, true, 'Successfully built run rows');
+  } catch (e) {
+    recordTestResult(results, testName, false, `Failed: ${e.message}`);
+  }
+}